@@ -0,0 +1,43 @@
+/**
+ * Rebuild data/lock-lockage-history.json from LPMS lockage exports
+ *
+ *   npx vite-node -c vitest.config.mjs data/build-lock-lockage-history.mjs -- [--river ohio] lpms-2024.csv lpms-2025.csv ...
+ *
+ * Each CSV is one river's LPMS lockage records (USACE Lock Performance
+ * Monitoring System public export; columns in src/lib/lockageHistory.js).
+ * Locks rebuilt here replace their entries; other locks in the file are kept.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { buildLockageTable, parseLpmsCsv } from "@/lib/lockageHistory";
+
+const OUT = path.resolve(process.cwd(), "data/lock-lockage-history.json");
+
+const args = process.argv.slice(2).filter((a) => a !== "--");
+const riverAt = args.indexOf("--river");
+const river = riverAt >= 0 ? args.splice(riverAt, 2)[1] : "ohio";
+if (!args.length) {
+  console.error("usage: build-lock-lockage-history.mjs [--river ohio] <lpms.csv> ...");
+  process.exit(1);
+}
+
+const records = [];
+for (const file of args) {
+  const parsed = parseLpmsCsv(await fs.readFile(file, "utf8"), river);
+  console.log(`${file}: ${parsed.length} lockages`);
+  records.push(...parsed);
+}
+
+const built = buildLockageTable(records);
+const previous = JSON.parse(await fs.readFile(OUT, "utf8").catch(() => "{}"));
+
+const table = {
+  source: "USACE Lock Performance Monitoring System (LPMS) lockage records",
+  builtAt: new Date().toISOString(),
+  periods: { ...previous.periods, ...built.periods },
+  locks: { ...previous.locks, ...built.locks },
+};
+
+await fs.writeFile(OUT, JSON.stringify(table) + "\n");
+console.log(`${Object.keys(built.locks).length} locks -> ${path.relative(process.cwd(), OUT)}`);
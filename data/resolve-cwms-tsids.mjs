@@ -0,0 +1,44 @@
+/**
+ * Resolve each lock's CWMS time-series ids into data/cwms-tsids.json
+ *
+ *   npx vite-node -c vitest.config.mjs data/resolve-cwms-tsids.mjs
+ *
+ * For every registry lock with a CWMS location, searches the CWMS Data API
+ * catalog of its district office (`district`) and keeps the best series per
+ * role (src/lib/cwms.js pickSeries). Locations the office has no series for
+ * are reported: fix `cwms` / `district` in src/lib/stations.js and run again.
+ * Review the diff before committing; a role with no match stays out of the
+ * file and is looked up at runtime (logged).
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { allLocks } from "@/lib/stations";
+import { CWMS_SERIES, fetchCatalog, pickSeries } from "@/lib/cwms";
+
+process.env.DATA_SOURCE_MODE = "live";
+
+const OUT = path.resolve(process.cwd(), "data/cwms-tsids.json");
+
+const locks = {};
+let problems = 0;
+for (const lock of allLocks.filter((l) => l.cwms && l.district)) {
+  const catalog = await fetchCatalog(lock.district, lock.cwms);
+  if (!catalog?.length) {
+    console.warn(`${lock.name}: no series for ${lock.cwms} at ${lock.district}`);
+    problems++;
+    continue;
+  }
+
+  const tsids = {};
+  for (const role of CWMS_SERIES) {
+    const tsid = pickSeries(catalog, role, lock.cwms);
+    if (tsid) tsids[role] = tsid;
+    else console.warn(`${lock.name}: no ${role} series in ${catalog.length} at ${lock.district}`);
+  }
+  locks[lock.id] = { office: lock.district, location: lock.cwms, tsids };
+  console.log(`${lock.name}: ${Object.values(tsids).join(", ")}`);
+}
+
+await fs.writeFile(OUT, JSON.stringify({ checkedAt: new Date().toISOString(), locks }, null, 2) + "\n");
+console.log(`${Object.keys(locks).length} locks -> ${path.relative(process.cwd(), OUT)}${problems ? ` (${problems} not found)` : ""}`);
@@ -0,0 +1,37 @@
+/**
+ * Resolve each gauge's datum (gauge-zero elevation) into data/gauge-datums.json
+ *
+ *   npx vite-node -c vitest.config.mjs data/resolve-gauge-datums.mjs
+ *
+ * Reads alt_va / alt_datum_cd / alt_acy_va from the USGS site record of every
+ * registry gauge (src/lib/riverData.js fetchUsgsDatum). Gauges whose record
+ * has no altitude are reported and left out of the file; they keep falling
+ * back to the runtime lookup. Review the diff before committing: a datum
+ * change moves every elevation the app shows for that gauge.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { allGauges } from "@/lib/stations";
+import { fetchUsgsDatum } from "@/lib/riverData";
+
+process.env.DATA_SOURCE_MODE = "live";
+
+const OUT = path.resolve(process.cwd(), "data/gauge-datums.json");
+
+const gauges = {};
+let problems = 0;
+for (const g of allGauges) {
+  const datum = await fetchUsgsDatum(g.usgsId).catch(() => null);
+  if (!datum) {
+    console.warn(`${g.name} (${g.usgsId}): no altitude from the USGS site service`);
+    problems++;
+    continue;
+  }
+  const { elevationFt, vertical, accuracyFt } = datum;
+  gauges[g.id] = { elevationFt, vertical, accuracyFt };
+  console.log(`${g.name}: ${elevationFt} ft ${vertical || "(datum not given)"}`);
+}
+
+await fs.writeFile(OUT, JSON.stringify({ checkedAt: new Date().toISOString(), gauges }, null, 2) + "\n");
+console.log(`${Object.keys(gauges).length} gauges -> ${path.relative(process.cwd(), OUT)}${problems ? ` (${problems} not found)` : ""}`);
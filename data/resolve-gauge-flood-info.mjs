@@ -0,0 +1,41 @@
+/**
+ * Resolve each gauge's NWS id and flood categories into data/gauge-flood-info.json
+ *
+ *   npx vite-node -c vitest.config.mjs data/resolve-gauge-flood-info.mjs
+ *
+ * For every registry gauge, takes its AHPS id (or the nearest NWS gauge to its
+ * lat/lon when it has none) and reads the action / minor / moderate / major
+ * stages from the NWPS gauge metadata (src/lib/riverData.js getGaugeFloodInfo).
+ * Gauges NWS has no match or no categories for are reported; they keep the
+ * runtime lookup. Check every auto-discovered id against the gauge before
+ * committing: the nearest NWS gauge can sit on a tributary or across a dam.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { allGauges } from "@/lib/stations";
+import { getGaugeFloodInfo } from "@/lib/riverData";
+
+process.env.DATA_SOURCE_MODE = "live";
+
+const OUT = path.resolve(process.cwd(), "data/gauge-flood-info.json");
+
+const gauges = {};
+let problems = 0;
+for (const g of allGauges) {
+  const info = await getGaugeFloodInfo(g).catch(() => null);
+  if (!info?.ahps) {
+    console.warn(`${g.name} (${g.id}): no NWS gauge found`);
+    problems++;
+    continue;
+  }
+  if (!info.floodCategories) {
+    console.warn(`${g.name} (${g.id}): ${info.ahps} has no flood categories`);
+    problems++;
+  }
+  gauges[g.id] = { ahps: info.ahps, floodCategories: info.floodCategories };
+  console.log(`${g.name}: ${info.ahps}${g.ahps ? "" : " (discovered)"} ${JSON.stringify(info.floodCategories)}`);
+}
+
+await fs.writeFile(OUT, JSON.stringify({ checkedAt: new Date().toISOString(), gauges }, null, 2) + "\n");
+console.log(`${Object.keys(gauges).length} gauges -> ${path.relative(process.cwd(), OUT)}${problems ? ` (${problems} incomplete)` : ""}`);
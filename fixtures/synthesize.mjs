@@ -0,0 +1,273 @@
+/**
+ * Synthetic fixture set for replay mode
+ *
+ * Runs the /api/river-data (default gauge), /api/river-data-batch (the
+ * default river's gauges) and /api/lock-status-all (its locks) handlers in record mode with
+ * `fetch` answered from generated data, so every fixture lands at the exact
+ * URL/path the app asks for. Requests it has no answer for fail as if the
+ * upstream were unreachable and are not written.
+ *
+ * The scenario: every gauge on the default river near its normal level, with a ~5 ft rise
+ * travelling downstream that crests at the default gauge two days after
+ * generation (the NWPS forecast shows it coming). CWMS lock pools are not
+ * generated: they would have to match the real time-series ids
+ * (data/cwms-tsids.json), so record them instead.
+ *
+ *   npx vite-node -c vitest.config.mjs fixtures/synthesize.mjs
+ *
+ * Replay moves the timestamps forward from `recordedAt` (src/lib/upstreamFetch.js),
+ * so the scenario looks the same whenever it is replayed; re-run this only when
+ * the scenario or the requests change. Warnings for the requests it leaves
+ * unanswered are expected.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+process.env.DATA_SOURCE_MODE = "record";
+process.env.DATA_FIXTURES_DIR ||= "fixtures/upstream";
+
+const { DEFAULT_RIVER, getGauge, getRiver, getRiverGauges } = await import("@/lib/stations");
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const NOW = Math.floor(Date.now() / HOUR) * HOUR;
+
+const DEFAULT_GAUGE_ID = getRiver(DEFAULT_RIVER).defaultGaugeId;
+const gauges = getRiverGauges(DEFAULT_RIVER);
+const defaultGauge = getGauge(DEFAULT_GAUGE_ID);
+const defaultIndex = gauges.findIndex((g) => g.id === DEFAULT_GAUGE_ID);
+
+// Flood categories for the default gauge's NWPS metadata
+const DEFAULT_CATEGORIES = { action: 33, minor: 37, moderate: 43, major: 49 };
+
+/* ----------------------------- scenario ----------------------------- */
+
+const baseStage = (i) => 14 + ((i * 7) % 13);
+const baseFlow = (i) => 30000 + i * 9000;
+
+// Crest reaches gauge i at this time: 4 days ago at the head of the river, +2 days at the default gauge
+const crestAt = (i) => NOW - 4 * DAY + (i / Math.max(1, defaultIndex)) * 6 * DAY;
+const rise = (i, t) => Math.exp(-0.5 * ((t - crestAt(i)) / (1.5 * DAY)) ** 2);
+
+const stageAt = (i, t) => +(baseStage(i) + 5 * rise(i, t) + 0.1 * Math.sin(t / (5 * HOUR))).toFixed(2);
+const flowAt = (i, t) => Math.round(baseFlow(i) * (1 + 0.6 * rise(i, t)));
+const tempAt = (t) => +(16 + 1.5 * Math.sin((t / DAY) * 2 * Math.PI)).toFixed(1);
+
+const iso = (t) => new Date(t).toISOString();
+const times = (fromMs, toMs, stepMs) => {
+  const out = [];
+  for (let t = fromMs; t <= toMs; t += stepMs) out.push(t);
+  return out;
+};
+
+/* ------------------------------ USGS IV ------------------------------ */
+
+const IV_VARIABLES = {
+  "00065": { name: "Gage height, ft", unit: "ft", value: (i, t) => stageAt(i, t) },
+  "00060": { name: "Streamflow, ft&#179;/s", unit: "ft3/s", value: (i, t) => flowAt(i, t) },
+  "00010": { name: "Temperature, water, &#176;C", unit: "deg C", value: (_i, t) => tempAt(t) },
+};
+
+function ivTimeSeries(gauge, code, stamps) {
+  const i = gauges.indexOf(gauge);
+  const variable = IV_VARIABLES[code];
+  return {
+    sourceInfo: {
+      siteName: gauge.name,
+      siteCode: [{ value: gauge.id, network: "NWIS", agencyCode: "USGS" }],
+      geoLocation: { geogLocation: { srs: "EPSG:4326", latitude: gauge.lat, longitude: gauge.lon } },
+    },
+    variable: {
+      variableCode: [{ value: code, network: "NWIS", vocabulary: "NWIS:UnitValues", default: true }],
+      variableName: variable.name,
+      unit: { unitCode: variable.unit },
+      noDataValue: -999999.0,
+    },
+    values: [
+      {
+        value: stamps.map((t) => ({ value: String(variable.value(i, t)), qualifiers: ["P"], dateTime: iso(t) })),
+        qualifier: [{ qualifierCode: "P", qualifierDescription: "Provisional data subject to revision." }],
+      },
+    ],
+    name: `USGS:${gauge.id}:${code}:00000`,
+  };
+}
+
+function usgsIv(u) {
+  const sites = (u.searchParams.get("sites") || "").split(",");
+  const period = u.searchParams.get("period");
+  const single = sites.length === 1;
+
+  // Latest value only, or the period: hourly for one site, 6-hourly for a batch
+  const stamps = period ? times(NOW - 7 * DAY, NOW, single ? HOUR : 6 * HOUR) : [NOW];
+  // Stage for every gauge; discharge and temperature where a single site is asked for
+  const codes = single ? ["00065", "00060", "00010"] : ["00065"];
+
+  const timeSeries = sites
+    .map((id) => gauges.find((g) => g.id === id))
+    .filter(Boolean)
+    .flatMap((g) => codes.map((code) => ivTimeSeries(g, code, stamps)));
+
+  return { name: "ns1:timeSeriesResponseType", declaredType: "org.cuahsi.waterml.TimeSeriesResponseType", value: { timeSeries } };
+}
+
+/* ---------------------------- USGS RDB ---------------------------- */
+
+const rdb = (comment, header, format, rows) =>
+  [`# ${comment}`, "#", header.join("\t"), format.join("\t"), ...rows.map((r) => r.join("\t"))].join("\n") + "\n";
+
+function usgsSite(u) {
+  const gauge = getGauge(u.searchParams.get("sites"));
+  if (!gauge) return null;
+  const i = gauges.indexOf(gauge);
+  return rdb(
+    "Synthetic USGS site record (fixtures/synthesize.mjs)",
+    ["agency_cd", "site_no", "station_nm", "site_tp_cd", "dec_lat_va", "dec_long_va", "alt_va", "alt_acy_va", "alt_datum_cd"],
+    ["5s", "15s", "50s", "7s", "16s", "16s", "8s", "3s", "10s"],
+    [["USGS", gauge.id, gauge.name, "ST", gauge.lat, gauge.lon, (700 - i * 13).toFixed(2), "0.01", "NAVD88"]]
+  );
+}
+
+function usgsStat(u) {
+  const gauge = getGauge(u.searchParams.get("sites"));
+  if (gauge?.id !== DEFAULT_GAUGE_ID) return null;
+  const base = baseStage(defaultIndex);
+
+  const rows = [];
+  for (let d = 0; d < 366; d++) {
+    const date = new Date(Date.UTC(2024, 0, 1 + d));
+    // Higher in late winter / spring, lowest in early autumn
+    const season = Math.cos(((d - 60) / 366) * 2 * Math.PI);
+    const p50 = base + 6 * season;
+    const fmt = (v) => v.toFixed(2);
+    rows.push([
+      "USGS", gauge.id, "00065", "000000", "", date.getUTCMonth() + 1, date.getUTCDate(), 1990, 2025, 36,
+      fmt(p50 - 7), fmt(p50 + 1), fmt(p50 + 18), fmt(p50 - 5), fmt(p50 - 3), fmt(p50), fmt(p50 + 5), fmt(p50 + 11),
+    ]);
+  }
+
+  return rdb(
+    "Synthetic USGS daily statistics (fixtures/synthesize.mjs)",
+    ["agency_cd", "site_no", "parameter_cd", "ts_id", "loc_web_ds", "month_nu", "day_nu", "begin_yr", "end_yr", "count_nu", "min_va", "mean_va", "max_va", "p10_va", "p25_va", "p50_va", "p75_va", "p90_va"],
+    ["5s", "15s", "5s", "10n", "15s", "3n", "3n", "6n", "6n", "8n", "12s", "12s", "12s", "12s", "12s", "12s", "12s", "12s"],
+    rows
+  );
+}
+
+/* ------------------------------- NWPS ------------------------------- */
+
+function nwpsGauge(lid) {
+  if (lid !== defaultGauge.ahps) return null;
+  const categories = Object.fromEntries(
+    Object.entries(DEFAULT_CATEGORIES).map(([key, stage]) => [key, { stage, flow: -9999 }])
+  );
+  return {
+    lid,
+    usgsId: defaultGauge.id,
+    name: defaultGauge.name,
+    latitude: defaultGauge.lat,
+    longitude: defaultGauge.lon,
+    flood: { stageUnits: "ft", flowUnits: "kcfs", categories },
+  };
+}
+
+function nwpsHydrograph(lid) {
+  if (lid !== defaultGauge.ahps) return null;
+  const i = defaultIndex;
+  const point = (t) => ({ validTime: iso(t), generatedTime: iso(NOW - 2 * HOUR), primary: stageAt(i, t), secondary: +(flowAt(i, t) / 1000).toFixed(1) });
+  return {
+    observed: {
+      issuedTime: null,
+      primaryName: "Stage",
+      primaryUnits: "ft",
+      secondaryName: "Flow",
+      secondaryUnits: "kcfs",
+      data: times(NOW - 3 * DAY, NOW, HOUR).map(point),
+    },
+    forecast: {
+      issuedTime: iso(NOW - 2 * HOUR),
+      primaryName: "Stage",
+      primaryUnits: "ft",
+      secondaryName: "Flow",
+      secondaryUnits: "kcfs",
+      data: times(NOW + 6 * HOUR, NOW + 7 * DAY, 6 * HOUR).map(point),
+    },
+  };
+}
+
+/* ------------------------------ responder ------------------------------ */
+
+function respond(url) {
+  const u = new URL(url);
+  const nwps = u.pathname.match(/^\/nwps\/v1\/gauges\/([^/]+)(\/hydrograph)?$/);
+
+  let body = null;
+  if (u.hostname === "waterservices.usgs.gov" && u.pathname === "/nwis/iv/") body = usgsIv(u);
+  else if (u.hostname === "waterservices.usgs.gov" && u.pathname === "/nwis/site/" && u.searchParams.get("format") === "rdb") body = usgsSite(u);
+  else if (u.hostname === "waterservices.usgs.gov" && u.pathname === "/nwis/stat/") body = usgsStat(u);
+  else if (u.hostname === "api.water.noaa.gov" && nwps) body = nwps[2] ? nwpsHydrograph(nwps[1]) : nwpsGauge(nwps[1]);
+
+  if (body == null) return null;
+  return typeof body === "string"
+    ? new Response(body, { status: 200, headers: { "content-type": "text/plain" } })
+    : new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json" } });
+}
+
+const written = new Set();
+globalThis.fetch = async (input) => {
+  const url = String(input?.url ?? input);
+  const res = respond(url);
+  if (!res) throw new TypeError(`fetch failed (no synthetic response for ${url})`);
+  written.add(url);
+  return res;
+};
+
+/* ------------------------------ run the routes ------------------------------ */
+
+function call(handler, req) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      setHeader() {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+    };
+    handler({ method: "GET", query: {}, body: null, ...req }, res);
+  });
+}
+
+const { default: riverData } = await import("@/pages/api/river-data");
+const { default: riverDataBatch } = await import("@/pages/api/river-data-batch");
+const { default: lockStatusAll } = await import("@/pages/api/lock-status-all");
+
+const g = defaultGauge;
+await call(riverData, { query: { site: g.id, ahps: g.ahps, lat: String(g.lat), lon: String(g.lon) } });
+await call(riverDataBatch, {
+  method: "POST",
+  body: { stations: gauges.map((s) => ({ site: s.id, ahps: s.ahps, lat: s.lat, lon: s.lon })) },
+});
+await call(lockStatusAll, { query: { river: DEFAULT_RIVER } });
+
+// Mark what was written as generated, not recorded
+const dir = path.resolve(process.env.DATA_FIXTURES_DIR);
+let count = 0;
+for (const host of await fs.readdir(dir)) {
+  for (const name of await fs.readdir(path.join(dir, host))) {
+    const file = path.join(dir, host, name);
+    const fixture = JSON.parse(await fs.readFile(file, "utf8"));
+    if (!written.has(fixture.url) && !fixture.synthetic) continue;
+    const { url, recordedAt, ...rest } = fixture;
+    await fs.writeFile(file, JSON.stringify({ url, recordedAt, synthetic: true, ...rest }, null, 2) + "\n");
+    count++;
+  }
+}
+
+console.log(`[synthesize] ${count} fixtures in ${path.relative(process.cwd(), dir)}`);
+process.exit(0);
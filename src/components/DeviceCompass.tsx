@@ -2,12 +2,15 @@
 import * as React from "react";
 import { cn } from "@/lib/utils";
 import { useDeviceNav } from "@/hooks/useDeviceNav";
+import { formatSpeed } from "@/lib/units";
 
 interface DeviceCompassProps {
   /** Wind direction in meteorological degrees (0 = from North, 90 = from East) */
   windDirectionDeg?: number | null;
   /** Optional wind speed to show, in mph */
   windSpeedMph?: number | null;
+  /** Unit system for display: "imperial" (default), "metric" or "nautical" */
+  units?: string;
   /** Size of the compass in pixels */
   size?: number;
   /** User's current GPS location */
@@ -16,6 +19,9 @@ interface DeviceCompassProps {
 
 type SpeedUnit = 'mph' | 'knots' | 'kmh';
 
+// Boat-speed unit to start on for each unit system (the button still cycles)
+const SPEED_UNIT_FOR: Record<string, SpeedUnit> = { imperial: 'mph', metric: 'kmh', nautical: 'knots' };
+
 // 16-point compass with detailed directions
 const DIRECTIONS = [
   { label: "N", angle: 0 },
@@ -51,6 +57,7 @@ export function DeviceCompass({
   windSpeedMph,
   size = 160,
   userLocation,
+  units = "imperial",
 }: DeviceCompassProps) {
   // Use the navigation hook
   const {
@@ -76,7 +83,12 @@ export function DeviceCompass({
     webkitAccuracy,
   } = useDeviceNav();
 
-  const [speedUnit, setSpeedUnit] = React.useState<SpeedUnit>('mph');
+  const [speedUnit, setSpeedUnit] = React.useState<SpeedUnit>(SPEED_UNIT_FOR[units] || 'mph');
+
+  // Follow a changed preference
+  React.useEffect(() => {
+    setSpeedUnit(SPEED_UNIT_FOR[units] || 'mph');
+  }, [units]);
   const [showDebug, setShowDebug] = React.useState(false);
   const [showAdvanced, setShowAdvanced] = React.useState(false);
   const [showInfoTooltip, setShowInfoTooltip] = React.useState(false);
@@ -297,7 +309,7 @@ export function DeviceCompass({
         </div>
         {windSpeedMph != null && !Number.isNaN(windSpeedMph) && (
           <div className="text-cyan-300 font-semibold drop-shadow-[0_2px_4px_rgba(0,0,0,0.9)] bg-black/70 backdrop-blur-sm px-4 py-1.5 rounded-lg border-2 border-cyan-400/50 shadow-lg shadow-cyan-500/30 text-sm">
-            Wind: {windSpeedMph.toFixed(1)} mph
+            Wind: {formatSpeed(windSpeedMph, units)}
           </div>
         )}
       </div>
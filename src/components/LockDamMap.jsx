@@ -1,5 +1,7 @@
-import { useEffect, useState } from "react";
-import { ohioRiverLocks } from "@/lib/locks";
+import { useEffect, useMemo, useState } from "react";
+import { DEFAULT_RIVER, getRiverLocks } from "@/lib/stations";
+import { DEFAULT_UNITS, formatLength } from "@/lib/units";
+import { noticeBadge, noticeWindow } from "@/lib/noticeBadges";
 
 /**
  * LockDamMap Component
@@ -17,13 +19,18 @@ import { ohioRiverLocks } from "@/lib/locks";
  * - Lockage timestamps
  * - Tow sizes (when published)
  * 
+ * Shows the locks of one river (`river`: station registry id, default Ohio),
+ * with CWMS pool vs. normal pool and head across the dam where published
+ * (`units` for the elevations), and badges for closures, chamber outages and
+ * restricted hours from USACE navigation notices.
+ *
  * Note: We track the infrastructure/system analytics, not individual vessels.
  */
-export default function LockDamMap() {
+export default function LockDamMap({ river = DEFAULT_RIVER, units = DEFAULT_UNITS }) {
   const [loading, setLoading] = useState(true);
   const [lockData, setLockData] = useState(null);
   const [error, setError] = useState(null);
-  const locks = ohioRiverLocks;
+  const locks = useMemo(() => getRiverLocks(river), [river]);
 
   useEffect(() => {
     // Fetch real USACE lock data via our API
@@ -31,48 +38,56 @@ export default function LockDamMap() {
       try {
         setLoading(true);
         
-        // Fetch data for all locks in parallel
-        const lockDataPromises = locks.map(async (lock) => {
-          try {
-            const response = await fetch(
-              `/api/lock-status?lockId=${lock.id}&lockName=${encodeURIComponent(lock.name)}&riverMile=${lock.riverMile}`
-            );
-            
-            if (!response.ok) {
-              throw new Error(`HTTP ${response.status}`);
-            }
-            
-            const data = await response.json();
-            
-            return {
-              ...lock,
-              queueLength: data.queueLength || 0,
-              lastTowPassage: data.lastTowPassage,
-              towsLast24h: data.towsLast24h || 0,
-              averageWaitTime: data.averageWaitTime || 0,
-              direction: data.direction || 'unknown',
-              congestion: data.congestion || 0,
-              source: data.source || 'unknown',
-              realTimeData: data.realTimeData || false,
-            };
-          } catch (err) {
-            console.error(`Failed to fetch data for ${lock.name}:`, err);
-            // Return lock with default values on error
+        // One request for every lock on the river (each lock cached on its own)
+        const response = await fetch(`/api/lock-status-all?river=${encodeURIComponent(river)}`);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const { locks: statusById = {}, errors = {} } = await response.json();
+
+        const results = locks.map((lock) => {
+          const data = statusById[lock.id];
+          if (!data) {
+            if (errors[lock.id]) console.error(`Failed to fetch data for ${lock.name}:`, errors[lock.id]);
+            // Lock with default values when its status is missing
             return {
               ...lock,
               queueLength: 0,
-              lastTowPassage: new Date().toISOString(),
+              lastTowPassage: null,
               towsLast24h: 0,
               averageWaitTime: 0,
               direction: 'unknown',
               congestion: 0,
               source: 'unavailable',
               realTimeData: false,
+              confidence: null,
+              estimatedFrom: null,
+              minutesBetweenTows: null,
+              pools: null,
+              notices: null,
+              updatedAt: null,
             };
           }
+
+          return {
+            ...lock,
+            queueLength: data.queueLength || 0,
+            lastTowPassage: data.lastTowPassage,
+            towsLast24h: data.towsLast24h || 0,
+            averageWaitTime: data.averageWaitTime || 0,
+            direction: data.direction || 'unknown',
+            congestion: data.congestion || 0,
+            source: data.source || 'unknown',
+            realTimeData: data.realTimeData || false,
+            confidence: data.confidence ?? null,
+            estimatedFrom: data.estimatedFrom ?? null,
+            minutesBetweenTows: data.minutesBetweenTows ?? null,
+            pools: data.pools ?? null,
+            notices: data.notices ?? null,
+            updatedAt: data.updatedAt ?? null,
+          };
         });
-        
-        const results = await Promise.all(lockDataPromises);
+
         setLockData(results);
         setError(null);
       } catch (err) {
@@ -91,7 +106,7 @@ export default function LockDamMap() {
     }, 300000); // 5 minutes
     
     return () => clearInterval(refreshInterval);
-  }, []);
+  }, [locks, river]);
 
   if (loading) {
     return (
@@ -141,12 +156,36 @@ export default function LockDamMap() {
                   <span className="text-[9px] bg-green-600/30 px-1.5 py-0.5 rounded" title="Real-time USACE data">
                     LIVE
                   </span>
+                ) : lock.source === "modeled" ? (
+                  <span
+                    className="text-[9px] bg-blue-600/30 px-1.5 py-0.5 rounded"
+                    title={`Estimated from ${lock.estimatedFrom || "typical traffic"}, not measured`}
+                  >
+                    MODELED{lock.confidence != null ? ` · ${Math.round(lock.confidence * 100)}%` : ""}
+                  </span>
                 ) : (
-                  <span className="text-[9px] bg-blue-600/30 px-1.5 py-0.5 rounded" title="Estimated from historical patterns">
-                    EST
+                  <span className="text-[9px] bg-white/10 px-1.5 py-0.5 rounded" title="Lock data unavailable">
+                    N/A
                   </span>
                 )}
               </div>
+              {lock.notices?.active?.length > 0 && (
+                <div className="flex flex-wrap gap-1 mb-1">
+                  {lock.notices.active.map((n) => {
+                    const badge = noticeBadge(n);
+                    return (
+                      <span
+                        key={n.id}
+                        className="text-[9px] font-semibold px-1.5 py-0.5 rounded text-white"
+                        style={{ background: badge.color }}
+                        title={`${badge.title}${n.end ? ` (${noticeWindow(n)})` : ""}`}
+                      >
+                        {badge.label}
+                      </span>
+                    );
+                  })}
+                </div>
+              )}
               <div className="space-y-0.5 text-white/80">
                 <div>
                   🚢 Queue: <span className="font-semibold">{lock.queueLength}</span> tows
@@ -157,15 +196,49 @@ export default function LockDamMap() {
                 <div>
                   ⏱ Wait: <span className="font-semibold">{lock.averageWaitTime}</span> min avg
                 </div>
+                {lock.pools?.upperPool && (
+                  <div>
+                    🌊 Pool: <span className="font-semibold">{formatLength(lock.pools.upperPool.observed, units, 2)}</span>
+                    {lock.pools.poolDeviation != null &&
+                      ` (${lock.pools.poolDeviation > 0 ? "+" : ""}${formatLength(lock.pools.poolDeviation, units, 2)} vs normal)`}
+                  </div>
+                )}
+                {lock.pools?.head != null && (
+                  <div>
+                    ↕ Head: <span className="font-semibold">{formatLength(lock.pools.head, units, 2)}</span>
+                    {lock.pools.normalHead != null && ` (normal ${formatLength(lock.pools.normalHead, units, 1)})`}
+                  </div>
+                )}
                 <div>
                   📈 Last 24h: <span className="font-semibold">{lock.towsLast24h}</span> passages
                 </div>
                 <div>
-                  {lock.direction === "upstream" ? "⬆️ Upstream" : "⬇️ Downstream"} traffic
-                </div>
-                <div className="text-[10px] text-white/60 mt-1">
-                  Last passage: {new Date(lock.lastTowPassage).toLocaleTimeString()}
+                  {lock.direction === "upstream"
+                    ? "⬆️ Upstream"
+                    : lock.direction === "downstream"
+                      ? "⬇️ Downstream"
+                      : "↔️ Mixed"}{" "}
+                  traffic
                 </div>
+                {lock.lastTowPassage ? (
+                  <div className="text-[10px] text-white/60 mt-1">
+                    Last passage: {new Date(lock.lastTowPassage).toLocaleTimeString()}
+                  </div>
+                ) : lock.minutesBetweenTows ? (
+                  <div className="text-[10px] text-white/60 mt-1">
+                    Typically a tow every ~{lock.minutesBetweenTows} min at this hour
+                  </div>
+                ) : null}
+                {lock.notices?.upcoming?.map((n) => (
+                  <div key={n.id} className="text-[10px] text-amber-300/80" title={noticeBadge(n).title}>
+                    Upcoming: {noticeBadge(n).label.toLowerCase()} {noticeWindow(n, { upcoming: true })}
+                  </div>
+                ))}
+                {lock.updatedAt && (
+                  <div className="text-[10px] text-white/40">
+                    Updated {new Date(lock.updatedAt).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })}
+                  </div>
+                )}
               </div>
             </div>
           );
@@ -177,7 +250,8 @@ export default function LockDamMap() {
           <strong>Data Source:</strong> U.S. Army Corps of Engineers (USACE) Lock Performance Monitoring System
         </p>
         <p className="mb-1">
-          Real-time data when available; estimated from historical patterns when USACE feeds are unavailable.
+          Real-time data when available; otherwise estimated from each lock&apos;s past LPMS lockages for the
+          hour of the week and season (the percentage is the estimate&apos;s confidence, higher with more history).
         </p>
         <p>
           <strong>Note:</strong> Analytics track infrastructure activity, not individual vessels.
@@ -1,14 +1,39 @@
 'use client';
 
 import { useEffect, useRef, useState, useMemo, useCallback } from 'react';
+import { DEFAULT_RIVER, getRiver, getRiverGauges, getRiverLocks, RIVERS } from '@/lib/stations';
+import { HAZARD_LEVELS } from '@/lib/hazard';
+import { ANOMALY_CLASSES, anomalyClass, buildRiverTimeline } from '@/lib/riverTimeline';
+import { DEFAULT_UNITS, UNIT_SYSTEMS, formatDischarge, formatLength } from '@/lib/units';
+import { NOTICE_COLORS, noticeBadge, noticeWindow } from '@/lib/noticeBadges';
+
+const TIMELINE_STEP_MS = 900; // playback speed: one day per step
+const NO_DATA_COLOR = '#64748b';
+
+const formatTimelineDay = (day) =>
+  new Date(`${day}T18:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'America/Chicago',
+  });
+
+// Notice text comes from outside feeds and goes into popup HTML
+const escapeHtml = (text) =>
+  String(text ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// Rough miles between two points (same flat approximation as the snapping code below)
+const approxMiles = (lat1, lon1, lat2, lon2) =>
+  Math.sqrt(Math.pow((lat2 - lat1) * 69, 2) + Math.pow((lon2 - lon1) * 54 * Math.cos((lat1 * Math.PI) / 180), 2));
 
 /**
  * OhioRiverActivityMap Component
  * 
  * GPS-style interactive map showing:
- * - All Ohio River locks & dams
+ * - All locks & dams on the selected river (Ohio or a tributary)
  * - Real-time activity: tow passages, queue congestion, wait times
  * - Directional flow indicators
+ * - Navigation notice badges (closures, chamber outages, restricted hours) on lock markers
  * - Traffic density heatmap visualization
  * 
  * Data sources (all public):
@@ -16,47 +41,196 @@ import { useEffect, useRef, useState, useMemo, useCallback } from 'react';
  * - Lock queue status
  * - Lockage timestamps
  * - Tow passage events
+ *
+ * Locks and stations default to the river's entries in the station registry
+ * (src/lib/stations.js). Pass onRiverChange to show a river picker on the map.
+ *
+ * Time slider: steps through the past 7 days and the forecast one day at a time
+ * (src/lib/riverTimeline.js). Gauges are recolored by hazard level and the
+ * river line between gauges by stage anomaly, to show a rise moving downstream.
+ * "Live" returns to the current view.
+ *
+ * liveData (station id -> fields streamed from /api/river-stream) keeps the
+ * gauge popups and hazard rings current without reloading the map.
+ * units (imperial / metric / nautical) is passed to the APIs; popups show their units.
  */
 
-export default function OhioRiverActivityMap({ locks = [], stations = [], selectedLockId, userLocation, onLockSelect, mapStyle = 'standard' }) {
+// City marker: cyan ring normally, the hazard color once a gauge is above Normal
+const cityIcon = (L, name, hazardCode) =>
+  L.divIcon({
+    html: `
+          <div style="
+            position: relative;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            width: 16px;
+            height: 16px;
+            background: #1e293b;
+            border: 2px solid ${hazardCode > 0 ? HAZARD_LEVELS[hazardCode]?.color ?? '#06b6d4' : '#06b6d4'};
+            border-radius: 50%;
+            box-shadow: 0 1px 4px rgba(0,0,0,0.5);
+            cursor: pointer;
+          " title="${name}">
+            <img src="/city-hall-icon.svg" style="width: 10px; height: 10px;" alt="City" />
+          </div>
+        `,
+    iconSize: [16, 16],
+    iconAnchor: [8, 8],
+    popupAnchor: [0, -10],
+    className: 'city-marker',
+  });
+
+export default function OhioRiverActivityMap({ river = DEFAULT_RIVER, onRiverChange, locks: locksProp, stations: stationsProp, liveData, selectedLockId, userLocation, onLockSelect, mapStyle = 'standard', units = DEFAULT_UNITS }) {
+  const locks = useMemo(() => locksProp ?? getRiverLocks(river), [locksProp, river]);
+  const stations = useMemo(() => stationsProp ?? getRiverGauges(river), [stationsProp, river]);
+  const riverName = getRiver(river)?.name || 'Ohio River';
+  const unitSystem = UNIT_SYSTEMS[units] || UNIT_SYSTEMS[DEFAULT_UNITS];
   const mapContainer = useRef(null);
   const map = useRef(null);
   const riverLinesRef = useRef([]); // Changed to array to hold multiple polylines
   const riverCoordinatesRef = useRef([]); // Store all river coordinates for snapping
   const markersRef = useRef([]);
   const cityMarkersRef = useRef([]);
+  const cityMarkerByIdRef = useRef(new Map()); // station id -> city marker (live hazard rings)
   const userMarkerRef = useRef(null);
   const tileLayerRef = useRef(null);
   const [mapReady, setMapReady] = useState(false);
-  const [initialFitDone, setInitialFitDone] = useState(false);
+  const fittedRiverRef = useRef(null); // River the view was last fitted to
   const [refreshTrigger, setRefreshTrigger] = useState(0); // Trigger for auto-refresh
   const [lockStatusData, setLockStatusData] = useState({}); // Store lock status data by lockId
+  const stationDataRef = useRef({}); // Latest river-data payloads by station id (from batch endpoint)
   const prevSelectedLockIdRef = useRef(null);
   const prevUserLocationRef = useRef(null);
   const prevMapStyleRef = useRef(mapStyle);
+  const [outlineVersion, setOutlineVersion] = useState(0); // Bumped each time river lines are drawn
+  const [timeline, setTimeline] = useState(null); // Day-by-day state from the batch payloads
+  const [frameIdx, setFrameIdx] = useState(null); // Time slider position; null = live view
+  const [playing, setPlaying] = useState(false);
+  const timelineLayerRef = useRef(null); // Hazard markers + anomaly-colored river for the current frame
+  const riverWeightsRef = useRef({ key: null, ways: [] }); // Outline points weighted between neighboring gauges
   
-  // Fetch lock status data for all locks
+  // Load the selected river's channel outline - again whenever the river changes
   useEffect(() => {
-    const fetchLockStatusData = async () => {
-      const statusData = {};
-      
-      // Fetch all locks in parallel
-      await Promise.all(
-        locks.map(async (lock) => {
+    if (!mapReady || !map.current || !window.L) return;
+    const L = window.L;
+    let cancelled = false;
+
+    const loadRiverData = () => {
+      fetch(`/api/river-outline?river=${encodeURIComponent(river)}&t=${Date.now()}`, { cache: 'no-store' })
+        .then((r) => {
+          if (!r.ok) throw new Error(`HTTP ${r.status}`);
+          return r.json();
+        })
+        .then((data) => {
+          if (cancelled || !map.current) return;
+          if (!data || !data.success || !data.elements || data.elements.length === 0) {
+            return;
+          }
+
+          const elements = Array.isArray(data.elements) ? data.elements : [];
+
+          // Clear any existing river lines
+          riverLinesRef.current.forEach(line => {
+            if (map.current && line) {
+              try {
+                map.current.removeLayer(line);
+              } catch (e) {}
+            }
+          });
+          riverLinesRef.current = [];
+          riverCoordinatesRef.current = []; // Reset coordinates
+          
+          // Process each element and create polylines
+          elements.forEach((el, idx) => {
+            try {
+              if (el.type === 'way' && el.coordinates && Array.isArray(el.coordinates) && el.coordinates.length > 1) {
+                // Validate coordinates before creating polyline
+                const validCoords = el.coordinates.filter(coord => {
+                  return Array.isArray(coord) && coord.length >= 2 && 
+                    typeof coord[0] === 'number' && typeof coord[1] === 'number' &&
+                    isFinite(coord[0]) && isFinite(coord[1]);
+                });
+
+                if (validCoords.length > 1) {
+                  // Store all river coordinates for city snapping
+                  riverCoordinatesRef.current.push(...validCoords);
+                  
+                  const line = L.polyline(validCoords, {
+                    color: el.color || '#06b6d4',
+                    weight: el.weight || 4,
+                    opacity: el.opacity || 0.9,
+                    lineCap: 'round',
+                    lineJoin: 'round',
+                  }).addTo(map.current);
+
+                  riverLinesRef.current.push(line);
+                }
+              }
+            } catch (segmentErr) {}
+          });
+
+          // Trigger city markers to refresh after river coordinates load
           try {
-            const response = await fetch(
-              `/api/lock-status?lockId=${lock.id}&lockName=${encodeURIComponent(lock.name)}&riverMile=${lock.riverMile}`
-            );
-            
-            if (response.ok) {
-              const data = await response.json();
-              statusData[lock.id] = data;
+            setRefreshTrigger(prev => prev + 1);
+            setOutlineVersion(prev => prev + 1);
+          } catch {}
+          
+          // Fit map to show all river segments when a river is first shown
+          if (fittedRiverRef.current !== river && riverLinesRef.current.length > 0) {
+            try {
+              // Create a feature group from all polylines to get combined bounds
+              const group = L.featureGroup(riverLinesRef.current);
+              const bounds = group.getBounds();
+              
+              // Check if bounds are valid using Leaflet's method
+              if (bounds && bounds.isValid && bounds.isValid()) {
+                // Fit to the entire river (Pittsburgh to Cairo on the Ohio) with appropriate zoom
+                map.current.fitBounds(bounds, { 
+                  padding: [30, 30], // Smaller padding for better fit
+                  maxZoom: 9, // Max zoom 9 to ensure entire river is visible
+                  animate: false // No animation on initial load for immediate display
+                });
+
+                fittedRiverRef.current = river;
+              } else {
+                fittedRiverRef.current = river;
+              }
+            } catch (fitErr) {
+              fittedRiverRef.current = river;
             }
-          } catch (err) {
-            console.error(`Failed to fetch status for ${lock.name}:`, err);
           }
         })
-      );
+        .catch((err) => {});
+    };
+
+    // Use requestIdleCallback to defer heavy work if available
+    if (typeof requestIdleCallback !== 'undefined') {
+      requestIdleCallback(loadRiverData, { timeout: 2000 });
+    } else {
+      setTimeout(loadRiverData, 100);
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [river, mapReady]);
+
+  // Fetch lock status data for all locks
+  useEffect(() => {
+    const fetchLockStatusData = async () => {
+      let statusData = {};
+
+      // One request for every lock on the river (each lock cached on its own)
+      try {
+        const response = await fetch(`/api/lock-status-all?river=${encodeURIComponent(river)}`);
+        if (response.ok) {
+          const data = await response.json();
+          statusData = data.locks || {};
+        }
+      } catch (err) {
+        console.error('Failed to fetch lock status:', err);
+      }
       
       setLockStatusData(statusData);
     };
@@ -64,8 +238,46 @@ export default function OhioRiverActivityMap({ locks = [], stations = [], select
     if (locks.length > 0) {
       fetchLockStatusData();
     }
-  }, [locks, refreshTrigger]); // Re-fetch when locks change or refresh triggers
+  }, [locks, river, refreshTrigger]); // Re-fetch when locks change or refresh triggers
   
+  // Fetch river data for all stations in one batch request (used by station popups)
+  useEffect(() => {
+    if (!Array.isArray(stations) || stations.length === 0) return;
+
+    const fetchStationData = async () => {
+      try {
+        const response = await fetch('/api/river-data-batch', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            stations: stations.map((s) => ({ site: s.id, ahps: s.ahps, lat: s.lat, lon: s.lon })),
+            units,
+          }),
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          stationDataRef.current = data?.stations || {};
+          setTimeline(buildRiverTimeline(stations, stationDataRef.current));
+
+          // Ring existing city markers by the hazard level just loaded
+          if (window.L) {
+            cityMarkerByIdRef.current.forEach((marker, id) => {
+              const station = stations.find((s) => s.id === id);
+              try {
+                marker.setIcon(cityIcon(window.L, station?.name ?? id, stationDataRef.current[id]?.hazardCode));
+              } catch (e) {}
+            });
+          }
+        }
+      } catch (err) {
+        console.error('Failed to fetch batch station data:', err);
+      }
+    };
+
+    fetchStationData();
+  }, [stations, refreshTrigger, units]);
+
   // Auto-refresh markers every 5 minutes to keep data in sync with dropdown
   // FIXED: Add proper dependency array
   useEffect(() => {
@@ -133,100 +345,6 @@ export default function OhioRiverActivityMap({ locks = [], stations = [], select
       // Add tile layer
       tileLayerRef.current = L.tileLayer(tileUrl, tileOptions).addTo(map.current);
 
-      // Load Ohio River channel data from API - use requestIdleCallback for better performance
-      const loadRiverData = () => {
-        fetch(`/api/river-outline?t=${Date.now()}`, { cache: 'no-store' })
-          .then((r) => {
-            if (!r.ok) throw new Error(`HTTP ${r.status}`);
-            return r.json();
-          })
-          .then((data) => {
-            if (!data || !data.success || !data.elements || data.elements.length === 0) {
-              return;
-            }
-
-            const elements = Array.isArray(data.elements) ? data.elements : [];
-
-            // Clear any existing river lines
-            riverLinesRef.current.forEach(line => {
-              if (map.current && line) {
-                try {
-                  map.current.removeLayer(line);
-                } catch (e) {}
-              }
-            });
-            riverLinesRef.current = [];
-            riverCoordinatesRef.current = []; // Reset coordinates
-            
-            // Process each element and create polylines
-            elements.forEach((el, idx) => {
-              try {
-                if (el.type === 'way' && el.coordinates && Array.isArray(el.coordinates) && el.coordinates.length > 1) {
-                  // Validate coordinates before creating polyline
-                  const validCoords = el.coordinates.filter(coord => {
-                    return Array.isArray(coord) && coord.length >= 2 && 
-                      typeof coord[0] === 'number' && typeof coord[1] === 'number' &&
-                      isFinite(coord[0]) && isFinite(coord[1]);
-                  });
-
-                  if (validCoords.length > 1) {
-                    // Store all river coordinates for city snapping
-                    riverCoordinatesRef.current.push(...validCoords);
-                    
-                    const line = L.polyline(validCoords, {
-                      color: el.color || '#06b6d4',
-                      weight: el.weight || 4,
-                      opacity: el.opacity || 0.9,
-                      lineCap: 'round',
-                      lineJoin: 'round',
-                    }).addTo(map.current);
-
-                    riverLinesRef.current.push(line);
-                  }
-                }
-              } catch (segmentErr) {}
-            });
-
-            // Trigger city markers to refresh after river coordinates load
-            try {
-              setRefreshTrigger(prev => prev + 1);
-            } catch {}
-            
-            // Fit map to show all river segments on initial load
-            if (!initialFitDone && riverLinesRef.current.length > 0) {
-              try {
-                // Create a feature group from all polylines to get combined bounds
-                const group = L.featureGroup(riverLinesRef.current);
-                const bounds = group.getBounds();
-                
-                // Check if bounds are valid using Leaflet's method
-                if (bounds && bounds.isValid && bounds.isValid()) {
-                  // Fit to entire Ohio River (Pittsburgh to Cairo) with appropriate zoom
-                  map.current.fitBounds(bounds, { 
-                    padding: [30, 30], // Smaller padding for better fit
-                    maxZoom: 9, // Max zoom 9 to ensure entire river is visible
-                    animate: false // No animation on initial load for immediate display
-                  });
-
-                  setInitialFitDone(true);
-                } else {
-                  setInitialFitDone(true);
-                }
-              } catch (fitErr) {
-                setInitialFitDone(true);
-              }
-            }
-          })
-          .catch((err) => {});
-      };
-
-      // Use requestIdleCallback to defer heavy work if available
-      if (typeof requestIdleCallback !== 'undefined') {
-        requestIdleCallback(loadRiverData, { timeout: 2000 });
-      } else {
-        setTimeout(loadRiverData, 100);
-      }
-
       setMapReady(true);
     };
 
@@ -304,8 +422,13 @@ export default function OhioRiverActivityMap({ locks = [], stations = [], select
       const waitTime = lockStatus?.averageWaitTime ?? 0;
       const towsLast24h = lockStatus?.towsLast24h ?? 0;
       const direction = lockStatus?.direction ?? 'unknown';
-      const lastPassage = lockStatus?.lastTowPassage ? new Date(lockStatus.lastTowPassage) : new Date();
+      const lastPassage = lockStatus?.lastTowPassage ? new Date(lockStatus.lastTowPassage) : null;
+      const minutesBetweenTows = lockStatus?.minutesBetweenTows ?? null;
       const isRealTimeData = lockStatus?.realTimeData ?? false;
+      const confidence = lockStatus?.confidence ?? null;
+      const estimatedFrom = lockStatus?.estimatedFrom || 'typical traffic';
+      const pools = lockStatus?.pools ?? null;
+      const notices = lockStatus?.notices ?? null;
 
       // Color code based on congestion - matches LockDamMap colors
       let color, congestionLabel;
@@ -337,6 +460,21 @@ export default function OhioRiverActivityMap({ locks = [], stations = [], select
             cursor: pointer;
           " title="${lock.name}">
             <img src="/lock-dam-icon.svg" style="width: 18px; height: 18px;" alt="Lock" />
+            ${notices?.status ? `<span style="
+              position: absolute;
+              top: -6px;
+              right: -6px;
+              width: 14px;
+              height: 14px;
+              border-radius: 50%;
+              border: 1.5px solid white;
+              background: ${NOTICE_COLORS[notices.status]};
+              color: white;
+              font-size: 9px;
+              font-weight: bold;
+              line-height: 11px;
+              text-align: center;
+            " title="${escapeHtml(noticeBadge(notices.active[0]).title)}">!</span>` : ''}
           </div>
         `,
         iconSize: [32, 32],
@@ -352,14 +490,45 @@ export default function OhioRiverActivityMap({ locks = [], stations = [], select
       // Create popup content with data source indicator
       const dataSourceBadge = isRealTimeData 
         ? '<span style="background: #10b981; padding: 2px 6px; border-radius: 4px; font-size: 9px;">LIVE DATA</span>'
-        : '<span style="background: #3b82f6; padding: 2px 6px; border-radius: 4px; font-size: 9px;">ESTIMATED</span>';
+        : `<span style="background: #3b82f6; padding: 2px 6px; border-radius: 4px; font-size: 9px;" title="Estimated from ${estimatedFrom}, not measured">MODELED${confidence != null ? ` · ${Math.round(confidence * 100)}%` : ''}</span>`;
       
+      // CWMS pool vs. normal pool and head across the dam
+      const signed = (ft) => `${ft > 0 ? '+' : ''}${formatLength(ft, units, 2)}`;
+      const poolSection = pools
+        ? `
+          <div style="border-bottom: 1px solid #475569; padding-bottom: 8px; margin-bottom: 8px;">
+            <div>🌊 Pool: <strong>${formatLength(pools.upperPool?.observed, units, 2)}</strong>${
+              pools.poolDeviation != null ? ` (${signed(pools.poolDeviation)} vs normal ${formatLength(pools.normalPool, units, 1)})` : ''
+            }</div>
+            <div>⤵ Tailwater: <strong>${formatLength(pools.lowerPool?.observed, units, 2)}</strong></div>
+            <div>↕ Head: <strong>${formatLength(pools.head, units, 2)}</strong>${
+              pools.normalHead != null ? ` (normal ${formatLength(pools.normalHead, units, 1)})` : ''
+            }</div>
+            ${pools.outflow?.observed != null ? `<div>💧 Outflow: <strong>${formatDischarge(pools.outflow.observed, units)}</strong></div>` : ''}
+          </div>`
+        : '';
+
+      // Active and upcoming navigation notices
+      const noticeSection = notices?.active?.length || notices?.upcoming?.length
+        ? `
+          <div style="border-bottom: 1px solid #475569; padding-bottom: 8px; margin-bottom: 8px;">
+            ${notices.active.map((n) => {
+              const badge = noticeBadge(n);
+              return `<div style="margin-bottom: 4px;">
+                <span style="background: ${badge.color}; padding: 1px 5px; border-radius: 4px; font-size: 9px; font-weight: bold;">${escapeHtml(badge.label)}</span>
+                ${escapeHtml(n.title)}${n.end ? ` <span style="color: #94a3b8;">(${escapeHtml(noticeWindow(n))})</span>` : ''}
+              </div>`;
+            }).join('')}
+            ${notices.upcoming.map((n) => `<div style="font-size: 10px; color: #fcd34d;">Upcoming: ${escapeHtml(n.title)} (${escapeHtml(noticeWindow(n, { upcoming: true }))})</div>`).join('')}
+          </div>`
+        : '';
+
       const popupContent = `
         <div style="background: #1e293b; color: white; padding: 12px; border-radius: 8px; max-width: 280px; font-size: 12px;">
           <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
             <h3 style="margin: 0; color: #06b6d4; font-size: 14px;">${lock.name}</h3>
             ${dataSourceBadge}
-          </div>
+          </div>${noticeSection}
           <div style="border-bottom: 1px solid #475569; padding-bottom: 8px; margin-bottom: 8px;">
             <div>📍 River Mile: ${lock.riverMile}</div>
             <div>🚢 Queue: <strong>${queueLength} tows</strong></div>
@@ -371,9 +540,13 @@ export default function OhioRiverActivityMap({ locks = [], stations = [], select
           <div style="border-bottom: 1px solid #475569; padding-bottom: 8px; margin-bottom: 8px;">
             <div>📈 Last 24h: <strong>${towsLast24h} passages</strong></div>
             <div>${direction === 'upstream' ? '⬆️ Upstream' : direction === 'downstream' ? '⬇️ Downstream' : '↔️ Mixed'} traffic</div>
-          </div>
+          </div>${poolSection}
           <div style="font-size: 10px; color: #94a3b8;">
-            Last passage: ${lastPassage.toLocaleTimeString()}
+            ${lastPassage
+              ? `Last passage: ${lastPassage.toLocaleTimeString()}`
+              : minutesBetweenTows
+                ? `Typically a tow every ~${minutesBetweenTows} min at this hour`
+                : 'Last passage: unknown'}
           </div>
         </div>
       `;
@@ -390,7 +563,7 @@ export default function OhioRiverActivityMap({ locks = [], stations = [], select
         }
       });
     });
-  }, [locks, mapReady, onLockSelect, refreshTrigger, lockStatusData]); // Added lockStatusData dependency
+  }, [locks, mapReady, onLockSelect, refreshTrigger, lockStatusData, units]); // Added lockStatusData dependency
 
   // Add city/township markers (non-L&D stations)
   // FIXED: Add proper dependency array and memoize filtering
@@ -405,6 +578,7 @@ export default function OhioRiverActivityMap({ locks = [], stations = [], select
       map.current.removeLayer(marker);
     });
     cityMarkersRef.current = [];
+    cityMarkerByIdRef.current = new Map();
     
     // Filter out stations with "L&D" in their name (those are already shown as lock markers)
     const cityStations = stations.filter(station => {
@@ -444,34 +618,13 @@ export default function OhioRiverActivityMap({ locks = [], stations = [], select
       // Use river point for marker placement (snap to river)
       const [snapLat, snapLon] = riverPoint;
       
-      // Create custom icon - half size of lock markers with dark background
-      const icon = L.divIcon({
-        html: `
-          <div style="
-            position: relative;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            width: 16px;
-            height: 16px;
-            background: #1e293b;
-            border: 2px solid #06b6d4;
-            border-radius: 50%;
-            box-shadow: 0 1px 4px rgba(0,0,0,0.5);
-            cursor: pointer;
-          " title="${city.name}">
-            <img src="/city-hall-icon.svg" style="width: 10px; height: 10px;" alt="City" />
-          </div>
-        `,
-        iconSize: [16, 16],
-        iconAnchor: [8, 8],
-        popupAnchor: [0, -10],
-        className: 'city-marker',
-      });
+      // Half size of lock markers with dark background; ring shows the hazard level
+      const icon = cityIcon(L, city.name, stationDataRef.current[city.id]?.hazardCode);
 
       // Add marker at snapped river position
       const marker = L.marker([snapLat, snapLon], { icon }).addTo(map.current);
       cityMarkersRef.current.push(marker);
+      cityMarkerByIdRef.current.set(city.id, marker);
 
       // Create popup content with dark theme and placeholders for level/temp
       const popupContent = `
@@ -485,7 +638,7 @@ export default function OhioRiverActivityMap({ locks = [], stations = [], select
             <div>🌊 Level: <strong>—</strong></div>
             <div>🌡 Temp: <strong>—</strong></div>
           </div>
-          <div style="font-size: 11px; color: #94a3b8;">City monitoring station on Ohio River</div>
+          <div style="font-size: 11px; color: #94a3b8;">City monitoring station on ${riverName}</div>
         </div>
       `;
 
@@ -499,22 +652,24 @@ export default function OhioRiverActivityMap({ locks = [], stations = [], select
       // Fetch level and temperature when popup opens
       marker.on('popupopen', async () => {
         try {
-          const levelUrl = `/api/river-data?site=${encodeURIComponent(city.id)}&lat=${city.lat}&lon=${city.lon}`;
-          const wxUrl = `/api/weather?lat=${city.lat}&lon=${city.lon}`;
+          // Prefer the batch-loaded payload; fall back to a single-station request
+          const cachedLevel = stationDataRef.current[city.id];
+          const levelUrl = `/api/river-data?site=${encodeURIComponent(city.id)}&lat=${city.lat}&lon=${city.lon}&units=${units}`;
+          const wxUrl = `/api/weather?lat=${city.lat}&lon=${city.lon}&units=${units}`;
           const [levelRes, wxRes] = await Promise.allSettled([
-            fetch(levelUrl),
+            cachedLevel ? Promise.resolve(null) : fetch(levelUrl),
             fetch(wxUrl)
           ]);
 
-          let levelFt = null;
-          if (levelRes.status === 'fulfilled' && levelRes.value.ok) {
+          let level = typeof cachedLevel?.observed === 'number' ? cachedLevel.observed : null;
+          if (!cachedLevel && levelRes.status === 'fulfilled' && levelRes.value?.ok) {
             const j = await levelRes.value.json();
-            levelFt = typeof j?.observed === 'number' ? j.observed : null;
+            level = typeof j?.observed === 'number' ? j.observed : null;
           }
-          let tempF = null;
+          let temp = null;
           if (wxRes.status === 'fulfilled' && wxRes.value.ok) {
             const wj = await wxRes.value.json();
-            tempF = typeof wj?.tempF === 'number' ? wj.tempF : (wj?.current?.tempF ?? null);
+            temp = typeof wj?.temp === 'number' ? wj.temp : null;
           }
 
           const updated = `
@@ -525,10 +680,10 @@ export default function OhioRiverActivityMap({ locks = [], stations = [], select
                 <div style="margin-bottom: 4px;">📊 Station ID: <strong>${city.id}</strong></div>
               </div>
               <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; border-bottom: 1px solid #475569; padding-bottom: 8px; margin-bottom: 8px;">
-                <div>🌊 Level: <strong>${levelFt != null ? `${levelFt.toFixed(2)} ft` : '—'}</strong></div>
-                <div>🌡 Temp: <strong>${tempF != null ? `${Math.round(tempF)} °F` : '—'}</strong></div>
+                <div>🌊 Level: <strong>${level != null ? `${level.toFixed(2)} ${unitSystem.length}` : '—'}</strong></div>
+                <div>🌡 Temp: <strong>${temp != null ? `${Math.round(temp)} ${unitSystem.temp}` : '—'}</strong></div>
               </div>
-              <div style="font-size: 11px; color: #94a3b8;">City monitoring station on Ohio River</div>
+              <div style="font-size: 11px; color: #94a3b8;">City monitoring station on ${riverName}</div>
             </div>
           `;
           try { marker.setPopupContent(updated); } catch {}
@@ -540,7 +695,138 @@ export default function OhioRiverActivityMap({ locks = [], stations = [], select
         if (onLockSelect) onLockSelect(city.id);
       });
     });
-  }, [stations, mapReady, refreshTrigger, onLockSelect]); // FIXED: Proper dependency array
+  }, [stations, riverName, mapReady, refreshTrigger, onLockSelect, units]); // FIXED: Proper dependency array
+
+  // Streamed updates: merge into the station payloads and re-ring changed gauges
+  useEffect(() => {
+    if (!liveData || !window.L) return;
+    const L = window.L;
+
+    Object.entries(liveData).forEach(([id, fields]) => {
+      const prev = stationDataRef.current[id];
+      const next = { ...prev, ...fields };
+      stationDataRef.current[id] = next;
+      if (prev?.hazardCode === next.hazardCode) return;
+
+      const marker = cityMarkerByIdRef.current.get(id);
+      const station = stations.find((s) => s.id === id);
+      if (marker && station) {
+        try {
+          marker.setIcon(cityIcon(L, station.name, next.hazardCode));
+        } catch (e) {}
+      }
+    });
+  }, [liveData, stations]);
+
+  // Switching rivers returns to the live view
+  useEffect(() => {
+    setTimeline(null);
+    setFrameIdx(null);
+    setPlaying(false);
+  }, [river]);
+
+  // Time slider playback: advance one day per step, wrapping at the end
+  useEffect(() => {
+    if (!playing || !timeline) return;
+    const id = setInterval(() => {
+      setFrameIdx((i) => (i == null || i >= timeline.days.length - 1 ? 0 : i + 1));
+    }, TIMELINE_STEP_MS);
+    return () => clearInterval(id);
+  }, [playing, timeline]);
+
+  // Draw the selected time-slider frame: anomaly-colored river + hazard-colored gauges
+  useEffect(() => {
+    if (!map.current || !window.L || !mapReady) return;
+    const L = window.L;
+
+    if (timelineLayerRef.current) {
+      try {
+        map.current.removeLayer(timelineLayerRef.current);
+      } catch (e) {}
+      timelineLayerRef.current = null;
+    }
+    if (!timeline || frameIdx == null) return;
+
+    const frame = Math.min(frameIdx, timeline.days.length - 1);
+    const gauges = timeline.stations
+      .filter((s) => typeof s.lat === 'number' && typeof s.lon === 'number' && typeof s.riverMile === 'number')
+      .sort((a, b) => a.riverMile - b.riverMile);
+    if (gauges.length === 0) return;
+
+    // Weight every outline point between its nearest gauge and that gauge's closer
+    // neighbor along the river; recomputed only when the outline or gauges change
+    const weightsKey = `${outlineVersion}|${gauges.map((g) => g.id).join(',')}`;
+    if (riverWeightsRef.current.key !== weightsKey) {
+      riverWeightsRef.current = {
+        key: weightsKey,
+        ways: riverLinesRef.current.map((line) =>
+          line.getLatLngs().map((pt) => {
+            const dist = gauges.map((g) => approxMiles(pt.lat, pt.lng, g.lat, g.lon));
+            const a = dist.indexOf(Math.min(...dist));
+            const neighbors = [a - 1, a + 1].filter((j) => j >= 0 && j < gauges.length);
+            const b = neighbors.length ? neighbors.reduce((x, y) => (dist[y] < dist[x] ? y : x)) : a;
+            const w = a === b ? 0 : dist[a] / (dist[a] + dist[b]);
+            return { latlng: [pt.lat, pt.lng], a, b, w };
+          })
+        ),
+      };
+    }
+
+    const group = L.layerGroup();
+    const anomalyAt = (i) => gauges[i].frames[frame]?.anomaly ?? null;
+
+    // River runs colored by anomaly class (interpolated between gauges)
+    riverWeightsRef.current.ways.forEach((pts) => {
+      let run = [];
+      let runColor = null;
+      const flush = () => {
+        if (run.length > 1) {
+          L.polyline(run, { color: runColor, weight: 6, opacity: 0.85, lineCap: 'round', lineJoin: 'round' }).addTo(group);
+        }
+      };
+
+      pts.forEach(({ latlng, a, b, w }) => {
+        const za = anomalyAt(a);
+        const zb = anomalyAt(b);
+        const z = za == null ? zb : zb == null ? za : za * (1 - w) + zb * w;
+        const color = anomalyClass(z)?.color ?? NO_DATA_COLOR;
+        if (color !== runColor) {
+          flush();
+          // Start the next run at the previous point so runs join without gaps
+          run = run.length ? [run[run.length - 1]] : [];
+          runColor = color;
+        }
+        run.push(latlng);
+      });
+      flush();
+    });
+
+    // Gauges colored by hazard level at this frame
+    gauges.forEach((g) => {
+      const f = g.frames[frame];
+      const color = f?.hazardCode != null ? HAZARD_LEVELS[f.hazardCode]?.color : NO_DATA_COLOR;
+      const marker = L.circleMarker([g.lat, g.lon], {
+        radius: 7,
+        color: '#ffffff',
+        weight: 2,
+        fillColor: color,
+        fillOpacity: 1,
+      }).addTo(group);
+
+      const stage = f?.stage != null ? `${f.stage.toFixed(1)} ${unitSystem.length}` : 'no data';
+      const status = f?.hazardLabel ? ` — ${f.hazardLabel}` : '';
+      marker.bindTooltip(
+        `${g.name} · RM ${g.riverMile}<br>${stage}${status}${f?.forecast ? ' (forecast)' : ''}`,
+        { direction: 'top' }
+      );
+      marker.on('click', () => {
+        if (onLockSelect) onLockSelect(g.id);
+      });
+    });
+
+    group.addTo(map.current);
+    timelineLayerRef.current = group;
+  }, [timeline, frameIdx, outlineVersion, mapReady, onLockSelect, units]);
 
   // Handle zoom to selected lock OR city
   // FIXED: Add proper dependency array
@@ -669,20 +955,97 @@ export default function OhioRiverActivityMap({ locks = [], stations = [], select
 
   return (
     <div className="w-full">
-      <div
-        ref={mapContainer}
-        style={{
-          width: '100%',
-          height: '500px',
-          borderRadius: '8px',
-          overflow: 'hidden',
-          border: '1px solid rgba(255, 255, 255, 0.1)',
-        }}
-      />
+      <div className="relative">
+        <div
+          ref={mapContainer}
+          style={{
+            width: '100%',
+            height: '500px',
+            borderRadius: '8px',
+            overflow: 'hidden',
+            border: '1px solid rgba(255, 255, 255, 0.1)',
+          }}
+        />
+        {onRiverChange && (
+          <select
+            value={river}
+            onChange={(e) => onRiverChange(e.target.value)}
+            className="absolute top-2 right-2 z-[1000] px-2 py-1 text-sm text-black rounded bg-white shadow"
+            aria-label="River"
+          >
+            {RIVERS.map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {timeline && timeline.days.length > 1 && (
+        <div className="text-xs text-white/80 bg-slate-900/95 px-2.5 py-2 border-x border-white/10 flex flex-wrap items-center gap-3">
+          <button
+            onClick={() => {
+              if (frameIdx == null) setFrameIdx(0);
+              setPlaying((p) => !p);
+            }}
+            className="px-2 py-1 rounded border border-cyan-500/40 text-cyan-200 hover:border-cyan-500"
+            aria-label={playing ? 'Pause' : 'Play'}
+          >
+            {playing ? '⏸' : '▶'}
+          </button>
+          <input
+            type="range"
+            min={0}
+            max={timeline.days.length - 1}
+            value={frameIdx ?? timeline.nowIndex}
+            onChange={(e) => {
+              setPlaying(false);
+              setFrameIdx(Number(e.target.value));
+            }}
+            className="flex-1 min-w-[160px] accent-cyan-400"
+            aria-label="Day"
+          />
+          <span className="w-32 text-white">
+            {frameIdx == null ? (
+              'Live'
+            ) : (
+              <>
+                {formatTimelineDay(timeline.days[Math.min(frameIdx, timeline.days.length - 1)].day)}{' '}
+                <span className="text-white/50">
+                  {timeline.days[Math.min(frameIdx, timeline.days.length - 1)].forecast ? 'forecast' : 'observed'}
+                </span>
+              </>
+            )}
+          </span>
+          <button
+            onClick={() => {
+              setPlaying(false);
+              setFrameIdx(null);
+            }}
+            disabled={frameIdx == null}
+            className="px-2 py-1 rounded border border-white/20 hover:border-cyan-500 disabled:opacity-40"
+          >
+            Live
+          </button>
+          {frameIdx != null && (
+            <span className="flex flex-wrap items-center gap-2 text-[10px] text-white/60">
+              River vs normal:
+              {ANOMALY_CLASSES.map((c) => (
+                <span key={c.key} className="flex items-center gap-1">
+                  <span className="inline-block w-3 h-1.5 rounded" style={{ background: c.color }} />
+                  {c.label}
+                </span>
+              ))}
+              · Gauges by danger level
+            </span>
+          )}
+        </div>
+      )}
 
       <div className="text-xs text-white/80 bg-slate-900/95 p-2.5 rounded border border-white/10">
         <p className="font-semibold text-white mb-1.5">
-          Ohio River Activity Map | 🟢 Green: Light traffic (&lt;30% congestion) | 🟡 Yellow: Moderate traffic (30-70% congestion) | 🔴 Red: Heavy traffic (&gt;70% congestion)
+          {riverName} Activity Map | 🟢 Green: Light traffic (&lt;30% congestion) | 🟡 Yellow: Moderate traffic (30-70% congestion) | 🔴 Red: Heavy traffic (&gt;70% congestion)
         </p>
         <p className="text-white/60 text-[10px] border-t border-white/10 pt-1.5">
           <strong>Data Source:</strong> U.S. Army Corps of Engineers (USACE) Lock Performance Monitoring System. 
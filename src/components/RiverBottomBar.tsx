@@ -4,6 +4,7 @@ import { cn } from "@/lib/utils";
 import { Button } from "@/components/ui/button";
 import { WindCompass } from "@/components/WindCompass";
 import { DeviceCompass } from "@/components/DeviceCompass";
+import { formatPrecip, formatSpeed, formatTemp } from "@/lib/units";
 
 interface RiverBottomBarProps {
   // station or location name (optional)
@@ -28,6 +29,9 @@ interface RiverBottomBarProps {
   
   // Compass mode
   useDeviceCompass?: boolean;
+
+  // Display units: "imperial" (default), "metric" or "nautical"; values above stay in °F / mph / in
+  units?: string;
 }
 
 /**
@@ -47,24 +51,18 @@ export function RiverBottomBar({
   aqiCategory,
   onFindMe,
   useDeviceCompass = false,
+  units = "imperial",
 }: RiverBottomBarProps) {
   const [showDeviceCompass, setShowDeviceCompass] = React.useState(useDeviceCompass);
   
-  const displayTemp =
-    tempF != null && !Number.isNaN(tempF) ? `${tempF.toFixed(1)}°F` : "--°F";
-  const displayWind =
-    windSpeedMph != null && !Number.isNaN(windSpeedMph)
-      ? `${windSpeedMph.toFixed(1)} mph`
-      : "— mph";
-  const displayGust =
-    windGustMph != null && !Number.isNaN(windGustMph)
-      ? `${windGustMph.toFixed(1)} mph`
-      : "— mph";
+  const displayTemp = formatTemp(tempF, units);
+  const displayWind = formatSpeed(windSpeedMph, units);
+  const displayGust = formatSpeed(windGustMph, units);
   const displayCond = conditionLabel || "—";
 
   const displayPrecip =
     precipIn != null && !Number.isNaN(precipIn)
-      ? `${precipIn.toFixed(2)}" last 24h`
+      ? `${formatPrecip(precipIn, units)} last 24h`
       : "Precip data —";
 
   const displayAqi =
@@ -108,9 +106,10 @@ export function RiverBottomBar({
                 windDirectionDeg={windDirDeg}
                 windSpeedMph={windSpeedMph}
                 size={140}
+                units={units}
               />
             ) : (
-              <WindCompass directionDeg={windDirDeg} speedMph={windSpeedMph} />
+              <WindCompass directionDeg={windDirDeg} speedMph={windSpeedMph} units={units} />
             )}
             
             <button
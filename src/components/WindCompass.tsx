@@ -1,12 +1,15 @@
 // src/components/WindCompass.tsx
 import * as React from "react";
 import { cn } from "@/lib/utils";
+import { formatSpeed } from "@/lib/units";
 
 interface WindCompassProps {
   /** Wind direction in meteorological degrees (0 = from North, 90 = from East) */
   directionDeg: number | null | undefined;
   /** Optional wind speed to show in center, in mph */
   speedMph?: number | null;
+  /** Unit system for the speed: "imperial" (default), "metric" or "nautical" */
+  units?: string;
 }
 
 const DIRECTIONS = [
@@ -31,7 +34,7 @@ function degToCardinal(deg: number | null | undefined): string {
  * A compact wind compass with a centered arrow and heading pointer.
  * Arrow points to where wind is BLOWING TOWARD (heading), while degrees are FROM.
  */
-export function WindCompass({ directionDeg, speedMph }: WindCompassProps) {
+export function WindCompass({ directionDeg, speedMph, units = "imperial" }: WindCompassProps) {
   const hasDir = directionDeg != null && !Number.isNaN(directionDeg);
 
   // Meteorological degrees are "from" direction; for display we often want
@@ -91,7 +94,7 @@ export function WindCompass({ directionDeg, speedMph }: WindCompassProps) {
           {hasDir ? `${Math.round(directionDeg!)}° ${cardinal}` : "Wind dir —"}
         </span>
         {speedMph != null && !Number.isNaN(speedMph) && (
-          <span className="text-foreground">{speedMph.toFixed(1)} mph</span>
+          <span className="text-foreground">{formatSpeed(speedMph, units)}</span>
         )}
       </div>
     </div>
@@ -15,6 +15,7 @@ import {
   removePreferredStation,
   defaultUserProfile,
 } from "@/lib/userProfile";
+import { DEFAULT_UNITS, UNIT_SYSTEMS } from "@/lib/units";
 
 const UserProfileContext = createContext(null);
 export const useUserProfile = () => useContext(UserProfileContext);
@@ -320,9 +321,13 @@ export function UserProfileProvider({ children }) {
     [user, profile]
   );
 
+  // Display units; older profiles predate the preference
+  const units = UNIT_SYSTEMS[profile?.mapPreferences?.units] ? profile.mapPreferences.units : DEFAULT_UNITS;
+
   const value = {
     profile,
     loading,
+    units,
     saveMapPreferences,
     toggleFavorite,
     checkIsFavorite,
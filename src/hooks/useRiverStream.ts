@@ -0,0 +1,78 @@
+// src/hooks/useRiverStream.ts
+/**
+ * Live river updates over Server-Sent Events (/api/river-stream)
+ *
+ * Subscribes to the given gauges and calls `onEvent` for every
+ * observation / forecast / hazard event the server pushes. The stream ends
+ * itself every so often on serverless hosts and the browser reconnects on its
+ * own, resuming where it left off (see that route), so `connected` only turns
+ * false when a reconnect hasn't succeeded within RECONNECT_GRACE_MS; callers
+ * can fall back to their own refresh then. `units` ("imperial" | "metric" |
+ * "nautical") is passed through so events match the caller's other payloads.
+ */
+
+import { useState, useEffect, useRef } from "react";
+
+export type RiverStreamEventType = "observation" | "forecast" | "hazard";
+
+export interface RiverStreamEvent {
+  site: string;
+  [field: string]: unknown;
+}
+
+export interface UseRiverStreamResult {
+  connected: boolean;
+}
+
+const EVENT_TYPES: RiverStreamEventType[] = ["observation", "forecast", "hazard"];
+
+// A planned reconnect (retry: 2 s) shouldn't flip the "Live" badge off
+const RECONNECT_GRACE_MS = 10 * 1000;
+
+export function useRiverStream(
+  sites: string[],
+  onEvent: (type: RiverStreamEventType, data: RiverStreamEvent) => void,
+  units = "imperial"
+): UseRiverStreamResult {
+  const [connected, setConnected] = useState(false);
+
+  // Latest handler without reopening the stream on every render
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+
+  const key = (sites || []).filter(Boolean).join(",");
+
+  useEffect(() => {
+    if (!key || typeof EventSource === "undefined") return;
+
+    const source = new EventSource(`/api/river-stream?sites=${encodeURIComponent(key)}&units=${encodeURIComponent(units)}`);
+    let grace: ReturnType<typeof setTimeout> | null = null;
+
+    source.onopen = () => {
+      if (grace) clearTimeout(grace);
+      grace = null;
+      setConnected(true);
+    };
+    source.onerror = () => {
+      // CLOSED: the browser gave up; CONNECTING: a reconnect is on its way
+      if (source.readyState === EventSource.CLOSED) setConnected(false);
+      else if (!grace) grace = setTimeout(() => setConnected(false), RECONNECT_GRACE_MS);
+    };
+
+    EVENT_TYPES.forEach((type) => {
+      source.addEventListener(type, (e: MessageEvent) => {
+        try {
+          onEventRef.current(type, JSON.parse(e.data));
+        } catch {}
+      });
+    });
+
+    return () => {
+      if (grace) clearTimeout(grace);
+      source.close();
+      setConnected(false);
+    };
+  }, [key, units]);
+
+  return { connected };
+}
@@ -0,0 +1,23 @@
+/**
+ * Bounded-concurrency helpers (server-side; batch routes fanning out to upstreams)
+ */
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight.
+ * Results keep the input order.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
@@ -0,0 +1,205 @@
+/**
+ * USACE CWMS pool, tailwater and outflow for locks & dams (server-side)
+ *
+ * Each lock in the station registry names its CWMS location (`cwms`), the
+ * district office that runs it (`district`) and the time-series id for each
+ * role (`cwmsTsids`): upperPool, lowerPool (tailwater) and outflow. The ids
+ * live in data/cwms-tsids.json, resolved against each district's catalog by
+ * data/resolve-cwms-tsids.mjs.
+ *
+ * Fallback: when a lock has no id for a role, or its id returns no data, the
+ * CWMS Data API catalog for that location is searched and the best match
+ * taken (logged; re-run the resolver to fix the id):
+ * - upperPool: Elev at the pool / headwater (or the plain project Elev)
+ * - lowerPool: Elev at the tailwater / lower pool
+ * - outflow:   Flow out of the dam (total / release)
+ * preferring instantaneous values, the shortest interval and revised versions.
+ *
+ * Values come in English units (ft, cfs) with HISTORY_HOURS of history.
+ * Catalog lookups are cached for a day ("cwms-catalog"); the series themselves
+ * follow the lock status ("usace" TTL).
+ */
+
+import { cached } from "@/lib/serverCache";
+import { upstreamFetch } from "@/lib/upstreamFetch";
+import { allLocks } from "@/lib/stations";
+
+const CDA = "https://cwms-data.usace.army.mil/cwms-data";
+const HISTORY_HOURS = 48;
+const TIMEOUT_MS = 8000;
+
+export const CWMS_SERIES = ["upperPool", "lowerPool", "outflow"];
+
+const ROLES = {
+  upperPool: { parameter: /^elev/i, hint: /pool|upper|hw|headwater|forebay/i, avoid: /tail|lower|tw/i, plainOk: true },
+  lowerPool: { parameter: /^elev/i, hint: /tail|lower|tw/i, avoid: null, plainOk: false },
+  outflow: { parameter: /^flow/i, hint: /out|total|release/i, avoid: /in$|inflow|spill|gate|turb/i, plainOk: true },
+};
+
+const INTERVAL_SCORE = { "15Minutes": 3, "30Minutes": 2, "1Hour": 1 };
+
+/* ----------------------------- fetching ----------------------------- */
+
+async function requestCda(url) {
+  try {
+    const res = await upstreamFetch(url, {
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+      headers: {
+        accept: "application/json;version=2",
+        "user-agent": "rivervalleyreport/1.0 (+https://rivervalleyreport.com)",
+      },
+    });
+    if (!res.ok) return null;
+    return await res.json();
+  } catch (err) {
+    return null;
+  }
+}
+
+/** Time-series ids at a CWMS location (and its sub-locations). */
+export function fetchCatalog(office, location) {
+  const like = `^${location}(-[^.]*)?\\.(Elev|Flow)[^.]*\\..*`;
+  const url = `${CDA}/catalog/TIMESERIES?office=${office}&like=${encodeURIComponent(like)}&page-size=500`;
+  return cached(
+    `cwms-catalog:${office}:${location}`,
+    async () => {
+      const json = await requestCda(url);
+      return Array.isArray(json?.entries) ? json.entries.map((e) => e?.name).filter(Boolean) : null;
+    },
+    { source: "cwms-catalog" }
+  );
+}
+
+/* ----------------------------- series selection ----------------------------- */
+
+/**
+ * Best time-series id for a role, or null.
+ * Ids are Location[-Sub].Parameter[-Sub].Type.Interval.Duration.Version.
+ */
+export function pickSeries(tsids, role, location) {
+  const spec = ROLES[role];
+  let best = null;
+  let bestScore = -Infinity;
+
+  for (const tsid of tsids || []) {
+    const [loc, param, type, interval, , version = ""] = String(tsid).split(".");
+    const [base, ...sub] = loc.split("-");
+    if (base.toLowerCase() !== String(location).toLowerCase() || !spec.parameter.test(param)) continue;
+
+    const qualifiers = [...sub, ...param.split("-").slice(1)].join(" ");
+    if (spec.avoid?.test(qualifiers)) continue;
+    const hinted = spec.hint.test(qualifiers);
+    if (!hinted && !(spec.plainOk && !qualifiers)) continue;
+
+    const score =
+      (hinted ? 4 : 0) +
+      (type === "Inst" ? 2 : 0) +
+      (INTERVAL_SCORE[interval] ?? 0) +
+      (/rev|best/i.test(version) ? 1 : /raw/i.test(version) ? -1 : 0);
+    if (score > bestScore) {
+      best = tsid;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse a CDA time-series response: `values` rows are [epochMillis, value, qualityCode].
+ *
+ * @returns {{ tsid: string, unit: string|null, observed: number|null, time: string|null,
+ *             history: Array<{t: string, v: number}> } | null}
+ */
+export function parseCwmsTimeSeries(json, tsid) {
+  if (!Array.isArray(json?.values)) return null;
+
+  const history = json.values
+    .filter((row) => Array.isArray(row) && Number.isFinite(row[0]) && Number.isFinite(row[1]))
+    .map(([ms, v]) => ({ t: new Date(ms).toISOString(), v: +v.toFixed(2) }))
+    .sort((a, b) => a.t.localeCompare(b.t));
+
+  const last = history[history.length - 1];
+  return {
+    tsid: json.name || tsid,
+    unit: json.units ?? null,
+    observed: last?.v ?? null,
+    time: last?.t ?? null,
+    history,
+  };
+}
+
+async function fetchSeries(office, tsid) {
+  const end = new Date();
+  const begin = new Date(end.getTime() - HISTORY_HOURS * 3600000);
+  const url =
+    `${CDA}/timeseries?name=${encodeURIComponent(tsid)}&office=${office}&unit=EN` +
+    `&begin=${begin.toISOString()}&end=${end.toISOString()}&page-size=1000`;
+  return parseCwmsTimeSeries(await requestCda(url), tsid);
+}
+
+/**
+ * One role's series for a lock: the registry's time-series id, else the best
+ * catalog match (logged).
+ */
+async function loadRole(lock, role) {
+  const configured = lock.cwmsTsids?.[role];
+  if (configured) {
+    const series = await fetchSeries(lock.district, configured);
+    if (series?.history.length) return series;
+  }
+
+  const tsid = pickSeries(await fetchCatalog(lock.district, lock.cwms), role, lock.cwms);
+  if (!tsid) return null;
+  console.warn(
+    `[cwms] ${lock.name} ${role}: ${configured ? `no data for ${configured}` : "no time-series id"}, using catalog match ${tsid}`
+  );
+  return fetchSeries(lock.district, tsid);
+}
+
+/* ----------------------------- lock pools ----------------------------- */
+
+// Normal tailwater = the normal pool of the next dam downstream on the same river
+function nextLockDownstream(lock) {
+  const sameRiver = allLocks.filter((l) => l.river === lock.river && l.id !== lock.id);
+  const downstream = sameRiver
+    .filter((l) => (lock.river === "ohio" ? l.riverMile > lock.riverMile : l.riverMile < lock.riverMile))
+    .sort((a, b) => Math.abs(a.riverMile - lock.riverMile) - Math.abs(b.riverMile - lock.riverMile));
+  return downstream[0] || null;
+}
+
+const diff = (a, b) => (Number.isFinite(a) && Number.isFinite(b) ? +(a - b).toFixed(2) : null);
+
+/**
+ * Pool, tailwater and outflow for a registry lock, with history, plus how the
+ * pool sits against normal pool and the head across the dam.
+ *
+ * @param {object} lock  station registry lock
+ * @returns {Promise<object|null>} null when the lock has no CWMS location or CWMS has no series for it
+ */
+export async function getLockPools(lock) {
+  if (!lock?.cwms || !lock?.district) return null;
+
+  const series = {};
+  await Promise.all(
+    CWMS_SERIES.map(async (role) => {
+      series[role] = await loadRole(lock, role);
+    })
+  );
+  if (CWMS_SERIES.every((role) => !series[role]?.history.length)) return null;
+
+  const upper = series.upperPool?.observed;
+  const lower = series.lowerPool?.observed;
+  const normalTailwater = nextLockDownstream(lock)?.normalPool ?? null;
+
+  return {
+    source: "CWMS",
+    office: lock.district,
+    location: lock.cwms,
+    ...series,
+    normalPool: lock.normalPool,
+    normalTailwater,
+    poolDeviation: diff(upper, lock.normalPool),
+    head: diff(upper, lower),
+    normalHead: diff(lock.normalPool, normalTailwater),
+  };
+}
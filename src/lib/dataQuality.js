@@ -0,0 +1,141 @@
+/**
+ * Sensor data quality checks for USGS instantaneous values
+ *
+ * Flags suspect readings in a time-ordered [{ t, v }] series:
+ * - spike:    a jump faster than maxRatePerHour that reverses on the next reading
+ *             (or is the latest reading, with nothing yet to confirm it)
+ * - flatline: the exact same value for stuckHours or longer (stuck sensor);
+ *             the first reading of the run is kept. Pool gauges (`pool: true`,
+ *             held at a regulated level behind a dam) legitimately read the
+ *             same for hours, so for them the run has to last poolStuckHours
+ * - gap:      no readings for more than gapIntervals × the usual interval
+ *
+ * Spikes and flatlines are left out of `clean`; gaps are only reported.
+ * Callers decide what uses `clean` (trend, forecasting) vs the raw series.
+ */
+
+export const QUALITY_DEFAULTS = {
+  maxRatePerHour: 2, // ft/h
+  stuckHours: 6,
+  poolStuckHours: 48,
+  gapIntervals: 8, // 2 h at the usual 15-minute USGS interval
+};
+
+const MAX_FLAGS = 50; // keep payloads small when a sensor misbehaves all week
+const HOUR_MS = 60 * 60 * 1000;
+
+function median(values) {
+  if (!values.length) return null;
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+/**
+ * Check a series and split off the suspect points.
+ *
+ * @param {Array<{t: string, v: number}>} points  sorted by time
+ * @param {Partial<typeof QUALITY_DEFAULTS> & { pool?: boolean }} [options]  `pool`: a regulated pool gauge
+ * @returns {{
+ *   clean: Array<{t: string, v: number}>,  the input points (other fields kept), minus suspect ones
+ *   suspectTimes: Set<string>,
+ *   flags: Array<{ type: "spike"|"flatline"|"gap", t: string, end?: string, v?: number, count?: number, minutes?: number, note: string }>,
+ *   summary: { checked: number, suspect: number, spikes: number, flatlines: number, gaps: number, intervalMinutes: number|null }
+ * }}
+ */
+export function checkSeriesQuality(points, options = {}) {
+  const { maxRatePerHour, gapIntervals, pool, ...rest } = { ...QUALITY_DEFAULTS, ...options };
+  const stuckHours = pool ? rest.poolStuckHours : rest.stuckHours;
+  const pts = (Array.isArray(points) ? points : [])
+    .map((p) => ({ t: p.t, ms: new Date(p.t).getTime(), v: Number(p.v), point: p }))
+    .filter((p) => Number.isFinite(p.ms) && Number.isFinite(p.v));
+
+  const suspect = new Set(); // indexes
+  const flags = [];
+
+  const steps = [];
+  for (let i = 1; i < pts.length; i++) steps.push(pts[i].ms - pts[i - 1].ms);
+  const intervalMs = median(steps.filter((d) => d > 0));
+
+  // Gaps
+  if (intervalMs) {
+    for (let i = 1; i < pts.length; i++) {
+      const dt = pts[i].ms - pts[i - 1].ms;
+      if (dt > gapIntervals * intervalMs) {
+        const minutes = Math.round(dt / 60000);
+        flags.push({
+          type: "gap",
+          t: pts[i - 1].t,
+          end: pts[i].t,
+          minutes,
+          note: `No readings for ${minutes >= 120 ? `${(minutes / 60).toFixed(1)} h` : `${minutes} min`}`,
+        });
+      }
+    }
+  }
+
+  // Spikes: compare against the last good reading so a run of bad values can't vouch for itself
+  let prev = pts.length ? 0 : -1;
+  for (let i = 1; i < pts.length; i++) {
+    const a = pts[prev];
+    const p = pts[i];
+    const dtH = (p.ms - a.ms) / HOUR_MS;
+    const jump = p.v - a.v;
+
+    if (dtH > 0 && Math.abs(jump) / dtH > maxRatePerHour) {
+      const next = pts[i + 1];
+      const back = next ? next.v - p.v : null;
+      const reverses = back != null && Math.sign(back) !== Math.sign(jump) && Math.abs(back) >= Math.abs(jump) / 2;
+
+      if (reverses || !next) {
+        suspect.add(i);
+        flags.push({
+          type: "spike",
+          t: p.t,
+          v: p.v,
+          note: `${jump > 0 ? "Jump" : "Drop"} of ${Math.abs(jump).toFixed(2)} ft ${next ? "that reversed" : "not yet confirmed"}`,
+        });
+        continue;
+      }
+    }
+    prev = i;
+  }
+
+  // Flatlines: runs of identical values lasting stuckHours or more
+  let runStart = 0;
+  for (let i = 1; i <= pts.length; i++) {
+    if (i < pts.length && pts[i].v === pts[runStart].v) continue;
+
+    const last = i - 1;
+    if (last > runStart && pts[last].ms - pts[runStart].ms >= stuckHours * HOUR_MS) {
+      for (let j = runStart + 1; j <= last; j++) suspect.add(j);
+      const hours = (pts[last].ms - pts[runStart].ms) / HOUR_MS;
+      flags.push({
+        type: "flatline",
+        t: pts[runStart].t,
+        end: pts[last].t,
+        v: pts[runStart].v,
+        count: last - runStart + 1,
+        note: `Stuck at ${pts[runStart].v} ft for ${hours.toFixed(1)} h`,
+      });
+    }
+    runStart = i;
+  }
+
+  flags.sort((x, y) => new Date(x.t).getTime() - new Date(y.t).getTime());
+
+  const count = (type) => flags.filter((f) => f.type === type).length;
+  return {
+    clean: pts.filter((_, i) => !suspect.has(i)).map(({ point }) => point),
+    suspectTimes: new Set([...suspect].map((i) => pts[i].t)),
+    flags: flags.slice(-MAX_FLAGS),
+    summary: {
+      checked: pts.length,
+      suspect: suspect.size,
+      spikes: count("spike"),
+      flatlines: count("flatline"),
+      gaps: count("gap"),
+      intervalMinutes: intervalMs ? Math.round(intervalMs / 60000) : null,
+    },
+  };
+}
@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { checkSeriesQuality } from "@/lib/dataQuality";
+import { isPoolGauge } from "@/lib/stations";
+
+const START = Date.parse("2026-10-19T00:00:00Z");
+const MIN = 60000;
+
+// 15-minute readings from `values`, optionally with readings left out
+const series = (values, { skip = [] } = {}) =>
+  values
+    .map((v, i) => ({ t: new Date(START + i * 15 * MIN).toISOString(), v }))
+    .filter((_, i) => !skip.includes(i));
+
+// A slowly rising river: never the same value twice
+const rising = (n, from = 20) => Array.from({ length: n }, (_, i) => +(from + i * 0.01).toFixed(2));
+
+describe("checkSeriesQuality", () => {
+  it("flags a spike that reverses and keeps it out of clean", () => {
+    const values = rising(12);
+    values[5] = 26; // +6 ft in 15 minutes, back down next reading
+    const { flags, clean, suspectTimes, summary } = checkSeriesQuality(series(values));
+
+    expect(flags).toEqual([expect.objectContaining({ type: "spike", v: 26, note: expect.stringMatching(/^Jump of 5\.96 ft that reversed/) })]);
+    expect(clean).toHaveLength(11);
+    expect(suspectTimes.has(series(values)[5].t)).toBe(true);
+    expect(summary).toMatchObject({ spikes: 1, flatlines: 0, gaps: 0, intervalMinutes: 15 });
+  });
+
+  it("leaves a sustained rise alone but holds back an unconfirmed latest jump", () => {
+    const steady = rising(8).map((v, i) => (i >= 4 ? v + 3 : v)); // steps up and stays up
+    expect(checkSeriesQuality(series(steady)).summary.spikes).toBe(0);
+    const latest = [...rising(8), 30];
+    const { flags } = checkSeriesQuality(series(latest));
+    expect(flags.at(-1)).toMatchObject({ type: "spike", v: 30, note: expect.stringMatching(/not yet confirmed/) });
+  });
+
+  it("flags six hours of identical readings, keeping the first of the run", () => {
+    const values = [...rising(4), ...new Array(25).fill(21.5), ...rising(4, 21.6)];
+    const { flags, clean, summary } = checkSeriesQuality(series(values));
+
+    expect(flags).toEqual([expect.objectContaining({ type: "flatline", v: 21.5, count: 25, note: "Stuck at 21.5 ft for 6.0 h" })]);
+    expect(clean).toHaveLength(values.length - 24);
+    expect(summary.suspect).toBe(24);
+
+    // Just under six hours is fine
+    expect(checkSeriesQuality(series([...rising(4), ...new Array(24).fill(21.5)])).summary.flatlines).toBe(0);
+  });
+
+  it("gives pool gauges until poolStuckHours before calling a flat reading stuck", () => {
+    const heldPool = new Array(4 * 24).fill(42.1); // a day at normal pool
+    expect(checkSeriesQuality(series(heldPool), { pool: true }).summary.flatlines).toBe(0);
+    expect(checkSeriesQuality(series(heldPool)).summary.flatlines).toBe(1);
+
+    const stuck = new Array(4 * 49).fill(42.1);
+    expect(checkSeriesQuality(series(stuck), { pool: true }).flags[0]).toMatchObject({ type: "flatline", note: "Stuck at 42.1 ft for 48.8 h" });
+  });
+
+  it("reports gaps without dropping readings", () => {
+    const values = rising(20);
+    const { flags, clean } = checkSeriesQuality(series(values, { skip: [5, 6, 7, 8, 9, 10, 11, 12, 13] }));
+
+    expect(flags).toEqual([expect.objectContaining({ type: "gap", minutes: 150, note: "No readings for 2.5 h" })]);
+    expect(clean).toHaveLength(11);
+
+    // Seven missing readings (2 h between) is within gapIntervals
+    expect(checkSeriesQuality(series(values, { skip: [5, 6, 7, 8, 9, 10, 11] })).summary.gaps).toBe(0);
+  });
+});
+
+describe("isPoolGauge", () => {
+  it("follows the paired lock's normal pool unless the registry says otherwise", () => {
+    expect(isPoolGauge("03322420")).toBe(true); // J.T. Myers, normal pool 342 ft
+    expect(isPoolGauge("03294500")).toBe(false); // McAlpine Lower: tailwater
+    expect(isPoolGauge("03255000")).toBe(false); // Cincinnati: open river
+  });
+});
@@ -0,0 +1,356 @@
+/**
+ * Forecast verification (server-side)
+ *
+ * Every forecast issued by /api/river-data is stored once per station, model
+ * and issuance day; NWPS forecasts once per issuance (NWS issues several a day).
+ * When observed daily highs arrive they are scored:
+ * - error by lead day (forecast - observed daily high)
+ * - mean absolute error + bias per lead day
+ * - crest timing error (observed crest day - forecast crest day)
+ *
+ * Storage is Firestore (`forecastVerification`) when Firebase Admin is
+ * configured, otherwise an in-memory store that lives as long as the server
+ * (issuances older than SKILL_WINDOW_DAYS dropped, at most MEMORY_MAX_RECORDS).
+ * Scoring runs beside the request, not in its way, and touches at most
+ * SCORE_MAX_RECORDS issuances per station per run.
+ *
+ * Models: "NWPS" (official), "Routed", "Regression", "Trend".
+ */
+
+import { cached } from "@/lib/serverCache";
+
+const COLLECTION = "forecastVerification";
+const CHICAGO_TZ = "America/Chicago";
+
+const SKILL_WINDOW_DAYS = 60; // issuances older than this don't count toward skill
+const FINALIZE_AFTER_DAYS = 10; // stop waiting for observations after this
+const SKILL_MIN_SAMPLES = 5; // scored lead-1..3 days before skill is trusted
+const SKILL_CACHE_MS = 30 * 60 * 1000;
+const SCORE_WINDOW_DAYS = FINALIZE_AFTER_DAYS + 5; // open issuances older than this are left pending
+const SCORE_INTERVAL_MS = 30 * 60 * 1000; // score a station at most this often
+const SCORE_MAX_RECORDS = 40; // open issuances scored per station per run, oldest first
+const MEMORY_MAX_RECORDS = 5000;
+const RECORDED_IDS_MAX = 2000;
+const SKILL_CACHE_MAX = 500;
+
+const memoryStore = new Map(); // id -> record (no Firestore)
+const recordedIds = new Set(); // ids written by this process (skip re-writes)
+const skillCache = new Map(); // `${site}|${model}` -> { at, skill }
+
+// Drop the oldest-inserted entries of a Map / Set beyond `max`
+function cap(collection, max) {
+  for (const key of collection.keys()) {
+    if (collection.size <= max) break;
+    collection.delete(key);
+  }
+}
+
+/* ----------------------------- storage ----------------------------- */
+
+let dbPromise = null;
+
+// Firebase Admin throws at import time without credentials, so load it lazily
+function getDb() {
+  if (!dbPromise) {
+    dbPromise = import("@/lib/firebaseAdmin")
+      .then((mod) => mod.adminDb || null)
+      .catch(() => null);
+  }
+  return dbPromise;
+}
+
+async function loadRecords({ site = null, sinceDay = null } = {}) {
+  const db = await getDb();
+  if (db) {
+    // site + issuedDay uses the composite index in firestore.indexes.json
+    let query = db.collection(COLLECTION);
+    if (site) query = query.where("site", "==", site);
+    if (sinceDay) query = query.where("issuedDay", ">=", sinceDay);
+    const snap = await query.get();
+    return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  }
+
+  return [...memoryStore.values()].filter((r) => (!site || r.site === site) && (!sinceDay || r.issuedDay >= sinceDay));
+}
+
+/**
+ * A station's unscored issuances since `sinceDay`, filtered in the query so the
+ * read stays the size of the open window however long the history grows
+ * (composite index site + scored + issuedDay, see firestore.indexes.json).
+ */
+async function loadOpenRecords(site, sinceDay, limit) {
+  const db = await getDb();
+  if (!db) {
+    return [...memoryStore.values()]
+      .filter((r) => r.site === site && !r.scored && r.issuedDay >= sinceDay)
+      .sort((a, b) => a.issuedDay.localeCompare(b.issuedDay))
+      .slice(0, limit);
+  }
+
+  const snap = await db
+    .collection(COLLECTION)
+    .where("site", "==", site)
+    .where("scored", "==", false)
+    .where("issuedDay", ">=", sinceDay)
+    .orderBy("issuedDay")
+    .limit(limit)
+    .get();
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+async function createRecord(record) {
+  const db = await getDb();
+  if (!db) {
+    if (memoryStore.has(record.id)) return;
+    memoryStore.set(record.id, record);
+    // Nothing older than the skill window is read again
+    const oldest = daysAgoKey(SKILL_WINDOW_DAYS);
+    for (const [id, r] of memoryStore) if (r.issuedDay < oldest) memoryStore.delete(id);
+    cap(memoryStore, MEMORY_MAX_RECORDS);
+    return;
+  }
+
+  try {
+    await db.collection(COLLECTION).doc(record.id).create(record);
+  } catch (err) {
+    // ALREADY_EXISTS: another instance stored this issuance first
+    if (err?.code !== 6) throw err;
+  }
+}
+
+async function updateRecord(id, fields) {
+  const db = await getDb();
+  if (!db) {
+    const prev = memoryStore.get(id);
+    if (prev) memoryStore.set(id, { ...prev, ...fields });
+    return;
+  }
+  await db.collection(COLLECTION).doc(id).update(fields);
+}
+
+/* ----------------------------- helpers ----------------------------- */
+
+function chicagoDayKey(isoLike) {
+  const d = new Date(isoLike);
+  if (isNaN(d.getTime())) return null;
+
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: CHICAGO_TZ,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(d);
+}
+
+function dayDiff(fromDay, toDay) {
+  return Math.round((Date.parse(`${toDay}T00:00:00Z`) - Date.parse(`${fromDay}T00:00:00Z`)) / 86400000);
+}
+
+function daysAgoKey(days) {
+  return chicagoDayKey(new Date(Date.now() - days * 86400000).toISOString());
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function round2(n) {
+  return n == null ? null : +n.toFixed(2);
+}
+
+/* ----------------------------- record + score ----------------------------- */
+
+/**
+ * Store an issued forecast (daily highs). One record per site/model/issuance
+ * day; NWPS issuances are keyed by their own issuance time, so a day's later
+ * issuances are kept too.
+ */
+export async function recordIssuedForecast({ site, location, model, issuanceTime, points, crest }) {
+  if (!site || !model || !Array.isArray(points) || points.length === 0) return;
+
+  const issuedAt = issuanceTime || new Date().toISOString();
+  const issuedDay = chicagoDayKey(issuedAt);
+  if (!issuedDay) return;
+
+  const issuance = model === "NWPS" && issuanceTime ? new Date(issuedAt).toISOString() : null;
+  const id = `${site}__${model}__${issuance ?? issuedDay}`;
+  if (recordedIds.has(id)) return;
+
+  await createRecord({
+    id,
+    site,
+    location: location || null,
+    model,
+    issuedAt,
+    issuedDay,
+    points: points
+      .map((p) => ({ day: chicagoDayKey(p.t), v: Number(p.v) }))
+      .filter((p) => p.day && Number.isFinite(p.v)),
+    crest: crest?.day ? { day: crest.day, stage: crest.stage, status: crest.status } : null,
+    verified: {}, // day -> observed daily high
+    scored: false,
+    createdAt: new Date().toISOString(),
+  });
+  recordedIds.add(id);
+  cap(recordedIds, RECORDED_IDS_MAX);
+}
+
+/**
+ * Score this station's open forecasts against observed daily highs
+ * (`historyDaily`, noon-CT points). Only complete days (before today) count.
+ * Runs at most once per SCORE_INTERVAL_MS per station (shared server cache)
+ * over its SCORE_MAX_RECORDS oldest open issuances; those open for more than
+ * SCORE_WINDOW_DAYS are no longer looked at.
+ */
+export async function scorePendingForecasts(site, historyDaily) {
+  if (!site || !Array.isArray(historyDaily) || historyDaily.length === 0) return;
+
+  await cached(
+    `forecast-scoring:${site}`,
+    async () => {
+      await scoreOpenRecords(site, historyDaily);
+      return true;
+    },
+    { ttlMs: SCORE_INTERVAL_MS, track: false }
+  );
+}
+
+async function scoreOpenRecords(site, historyDaily) {
+  const todayKey = chicagoDayKey(new Date().toISOString());
+  const observedByDay = new Map();
+  for (const p of historyDaily) {
+    const day = chicagoDayKey(p.t);
+    if (day && day < todayKey && Number.isFinite(Number(p.v))) observedByDay.set(day, Number(p.v));
+  }
+  if (observedByDay.size === 0) return;
+
+  const open = await loadOpenRecords(site, daysAgoKey(SCORE_WINDOW_DAYS), SCORE_MAX_RECORDS);
+  const finalizeBefore = daysAgoKey(FINALIZE_AFTER_DAYS);
+
+  for (const rec of open) {
+    const verified = { ...(rec.verified || {}) };
+    let changed = false;
+    for (const p of rec.points) {
+      if (verified[p.day] == null && observedByDay.has(p.day)) {
+        verified[p.day] = observedByDay.get(p.day);
+        changed = true;
+      }
+    }
+
+    const complete = rec.points.every((p) => verified[p.day] != null);
+    const expired = rec.issuedDay < finalizeBefore;
+    if (!changed && !complete && !expired) continue;
+
+    const fields = { verified };
+    if (complete || expired) Object.assign(fields, scoreRecord({ ...rec, verified }), { scored: true });
+
+    await updateRecord(rec.id, fields);
+    skillCache.delete(`${site}|${rec.model}`);
+  }
+}
+
+/** Lead-day errors and crest timing for a (fully or partly) verified record. */
+function scoreRecord(rec) {
+  const errors = rec.points
+    .filter((p) => rec.verified?.[p.day] != null)
+    .map((p) => ({
+      day: p.day,
+      lead: dayDiff(rec.issuedDay, p.day),
+      forecast: p.v,
+      observed: rec.verified[p.day],
+      error: round2(p.v - rec.verified[p.day]),
+    }));
+
+  // Observed crest: highest verified day inside the forecast window
+  let crestTimingErrorDays = null;
+  if (rec.crest?.status === "cresting" && errors.length) {
+    const observedCrest = errors.reduce((best, e) => (e.observed > best.observed ? e : best));
+    crestTimingErrorDays = dayDiff(rec.crest.day, observedCrest.day);
+  }
+
+  return { errors, crestTimingErrorDays, scoredAt: new Date().toISOString() };
+}
+
+/* ----------------------------- skill ----------------------------- */
+
+function summarize(records) {
+  const byLead = new Map(); // lead -> errors[]
+  const crestErrors = [];
+
+  for (const rec of records) {
+    for (const e of rec.errors || []) {
+      if (!(e.lead >= 0) || !Number.isFinite(e.error)) continue;
+      if (!byLead.has(e.lead)) byLead.set(e.lead, []);
+      byLead.get(e.lead).push(e.error);
+    }
+    if (Number.isFinite(rec.crestTimingErrorDays)) crestErrors.push(rec.crestTimingErrorDays);
+  }
+
+  const leads = [...byLead.keys()].sort((a, b) => a - b);
+  const maeByLead = {};
+  const biasByLead = {};
+  for (const lead of leads) {
+    const errs = byLead.get(lead);
+    maeByLead[lead] = round2(mean(errs.map(Math.abs)));
+    biasByLead[lead] = round2(mean(errs));
+  }
+
+  const allErrors = leads.flatMap((l) => byLead.get(l));
+  const shortRange = leads.filter((l) => l >= 1 && l <= 3).flatMap((l) => byLead.get(l));
+
+  return {
+    forecasts: records.length,
+    samples: allErrors.length,
+    maeByLead,
+    biasByLead,
+    bias: round2(mean(allErrors)),
+    shortRangeMae: round2(mean(shortRange.map(Math.abs))),
+    shortRangeSamples: shortRange.length,
+    crestTimingMaeDays: round2(mean(crestErrors.map(Math.abs))),
+    crestTimingBiasDays: round2(mean(crestErrors)),
+    crestSamples: crestErrors.length,
+    usable: shortRange.length >= SKILL_MIN_SAMPLES,
+  };
+}
+
+/** Measured skill for one station + model over the last SKILL_WINDOW_DAYS. */
+export async function getForecastSkill(site, model) {
+  if (!site || !model) return null;
+
+  const key = `${site}|${model}`;
+  const hit = skillCache.get(key);
+  if (hit && Date.now() - hit.at < SKILL_CACHE_MS) return hit.skill;
+
+  const sinceDay = daysAgoKey(SKILL_WINDOW_DAYS);
+  const scored = (await loadRecords({ site, sinceDay })).filter((r) => r.model === model && r.scored);
+  const skill = scored.length ? { site, model, ...summarize(scored) } : null;
+
+  skillCache.delete(key); // re-insert at the back so the cap drops the least recently refreshed
+  skillCache.set(key, { at: Date.now(), skill });
+  cap(skillCache, SKILL_CACHE_MAX);
+  return skill;
+}
+
+/** Skill for every station/model pair (admin page). */
+export async function listForecastSkill({ days = SKILL_WINDOW_DAYS } = {}) {
+  const records = await loadRecords({ sinceDay: daysAgoKey(days) });
+
+  const groups = new Map();
+  for (const rec of records) {
+    const key = `${rec.site}|${rec.model}`;
+    if (!groups.has(key)) groups.set(key, { site: rec.site, location: rec.location, model: rec.model, all: [] });
+    const g = groups.get(key);
+    g.all.push(rec);
+    if (rec.location) g.location = rec.location;
+  }
+
+  return [...groups.values()]
+    .map(({ all, ...g }) => ({
+      ...g,
+      issued: all.length,
+      pending: all.filter((r) => !r.scored).length,
+      lastIssuedAt: all.reduce((max, r) => (r.issuedAt > max ? r.issuedAt : max), ""),
+      ...summarize(all.filter((r) => r.scored)),
+    }))
+    .sort((a, b) => a.site.localeCompare(b.site) || a.model.localeCompare(b.model));
+}
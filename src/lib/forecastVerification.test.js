@@ -0,0 +1,60 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { getForecastSkill, listForecastSkill, recordIssuedForecast, scorePendingForecasts } from "@/lib/forecastVerification";
+
+// No Firebase credentials here, so records go to the in-memory store
+vi.mock("@/lib/firebaseAdmin", () => ({ adminDb: null }));
+
+const DAY = 86400000;
+const noonCT = (day) => `${day}T17:00:00.000Z`;
+const dayKey = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(Date.parse("2026-10-19T18:00:00Z"));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("recordIssuedForecast", () => {
+  it("keeps every NWPS issuance of a day, one record a day for the other models", async () => {
+    const points = [{ t: noonCT("2026-10-20"), v: 24 }];
+    for (const hour of ["10", "16"]) {
+      await recordIssuedForecast({ site: "A1", model: "NWPS", issuanceTime: `2026-10-19T${hour}:00:00Z`, points });
+      await recordIssuedForecast({ site: "A1", model: "Trend", issuanceTime: null, points });
+    }
+    // The same issuance again is not a new record
+    await recordIssuedForecast({ site: "A1", model: "NWPS", issuanceTime: "2026-10-19T10:00:00Z", points });
+
+    const issued = Object.fromEntries((await listForecastSkill()).filter((g) => g.site === "A1").map((g) => [g.model, g.issued]));
+    expect(issued).toEqual({ NWPS: 2, Trend: 1 });
+  });
+});
+
+describe("scorePendingForecasts", () => {
+  it("scores verified issuances, a bounded number per run, oldest first", async () => {
+    const now = Date.now();
+    // Five NWPS issuances a day for 13 days, each forecasting the next day; observed 1 ft lower
+    for (let i = 14; i >= 2; i--) {
+      for (let h = 0; h < 5; h++) {
+        const issued = now - i * DAY + h * 3600000;
+        await recordIssuedForecast({
+          site: "B2",
+          model: "NWPS",
+          issuanceTime: new Date(issued).toISOString(),
+          points: [{ t: noonCT(dayKey(issued + DAY)), v: 20 }],
+        });
+      }
+    }
+    const history = Array.from({ length: 50 }, (_, i) => ({ t: noonCT(dayKey(now - (50 - i) * DAY)), v: 19 }));
+
+    await scorePendingForecasts("B2", history);
+    const [group] = (await listForecastSkill({ days: 60 })).filter((g) => g.site === "B2");
+    expect(group.issued).toBe(65);
+    expect(group.issued - group.pending).toBe(40);
+
+    const skill = await getForecastSkill("B2", "NWPS");
+    expect(skill).toMatchObject({ site: "B2", model: "NWPS", forecasts: 40, bias: 1, maeByLead: { 1: 1 } });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * River hazard scale (shared by the API and the browser)
+ *
+ * One 0–5 scale for every gauge:
+ * - NWS flood categories when the gauge publishes them: 0 Normal, 1 Action,
+ *   3 Minor, 4 Moderate, 5 Major
+ * - Otherwise percent of flood stage: 0 Normal, 1 Elevated (≥80%),
+ *   2 Near Flood (≥95%), 3 Flooding (≥100%)
+ *
+ * Code 2 (Near Flood) only comes from the percent fallback: NWS has no category
+ * between action and minor stage, and action stage is set per gauge (often well
+ * below flood stage), so it lines up with Elevated rather than Near Flood.
+ * Consumers keying on "≥ 3 = flooding" get the same answer on either basis.
+ */
+
+// NWS flood categories, lowest to highest. Codes share the 0–5 hazard scale
+// with the percent-of-flood-stage fallback (1 Elevated, 2 Near Flood, 3 Flooding),
+// so "minor" lines up with "Flooding" (NWS flood stage == minor flood stage).
+export const FLOOD_CATEGORIES = [
+  { key: "action", hazardCode: 1, label: "Action Stage" },
+  { key: "minor", hazardCode: 3, label: "Minor Flooding" },
+  { key: "moderate", hazardCode: 4, label: "Moderate Flooding" },
+  { key: "major", hazardCode: 5, label: "Major Flooding" },
+];
+
+// Display label + color per hazard code.
+// 0–3 is the percent-of-flood-stage scale; NWS flood categories use 0, 1, 3, 4, 5.
+export const HAZARD_LEVELS = {
+  0: { label: "Normal", color: "#00a86b" },
+  1: { label: "Elevated", color: "#d5a000" },
+  2: { label: "Near Flood", color: "#ff8c00" },
+  3: { label: "Flooding", color: "#c63d0f" },
+  4: { label: "Moderate Flooding", color: "#991b1b" },
+  5: { label: "Major Flooding", color: "#7e22ce" },
+};
+
+const isObj = (v) => v != null && typeof v === "object";
+
+/**
+ * Hazard from NWS flood categories: the highest category whose stage the
+ * level has reached. Returns null when categories can't be applied.
+ */
+export function classifyFloodCategory(stage, floodCategories) {
+  if (typeof stage !== "number" || !isObj(floodCategories)) return null;
+  if (!FLOOD_CATEGORIES.some(({ key }) => floodCategories[key] != null)) return null;
+
+  let result = { hazardCode: 0, hazardLabel: "Normal", floodCategory: "none" };
+  for (const { key, hazardCode, label } of FLOOD_CATEGORIES) {
+    const s = floodCategories[key];
+    if (s != null && stage >= s) {
+      result = { hazardCode, hazardLabel: label, floodCategory: key };
+    }
+  }
+  return result;
+}
+
+/**
+ * Hazard for a stage: NWS categories first, percent of flood stage otherwise.
+ *
+ * @param {number|null} stage
+ * @param {number|null} floodStage
+ * @param {object|null} [floodCategories]  { action, minor, moderate, major } in ft
+ * @returns {{ hazardCode: number, hazardLabel: string, floodCategory: string|null, hazardBasis: string|null }}
+ */
+export function classifyStage(stage, floodStage, floodCategories = null) {
+  const official = classifyFloodCategory(stage, floodCategories);
+  if (official) return { ...official, hazardBasis: "nws-categories" };
+
+  if (typeof stage !== "number" || typeof floodStage !== "number" || !(floodStage > 0)) {
+    return { hazardCode: 0, hazardLabel: "Normal", floodCategory: null, hazardBasis: null };
+  }
+
+  const pct = stage / floodStage;
+  const hazardCode = pct >= 1 ? 3 : pct >= 0.95 ? 2 : pct >= 0.8 ? 1 : 0;
+  return {
+    hazardCode,
+    hazardLabel: HAZARD_LEVELS[hazardCode].label,
+    floodCategory: null,
+    hazardBasis: "percent-of-flood-stage",
+  };
+}
@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { classifyFloodCategory, classifyStage, HAZARD_LEVELS } from "@/lib/hazard";
+
+const categories = { action: 35, minor: 37, moderate: 42, major: 48 };
+
+describe("classifyStage with NWS flood categories", () => {
+  it.each([
+    [34.99, 0, "none"],
+    [35, 1, "action"],
+    [36.99, 1, "action"],
+    [37, 3, "minor"],
+    [41.99, 3, "minor"],
+    [42, 4, "moderate"],
+    [48, 5, "major"],
+    [60, 5, "major"],
+  ])("stage %s is code %s (%s)", (stage, hazardCode, floodCategory) => {
+    expect(classifyStage(stage, 37, categories)).toMatchObject({ hazardCode, floodCategory, hazardBasis: "nws-categories" });
+  });
+
+  it("never produces Near Flood (2) from categories", () => {
+    for (let stage = 30; stage <= 50; stage += 0.25) expect(classifyStage(stage, 37, categories).hazardCode).not.toBe(2);
+  });
+
+  it("skips missing categories and falls back when there are none", () => {
+    expect(classifyFloodCategory(40, { action: null, minor: 37, moderate: null, major: null })).toMatchObject({ hazardCode: 3 });
+    expect(classifyFloodCategory(40, { action: null, minor: null })).toBeNull();
+    expect(classifyStage(36, 37, { action: null })).toMatchObject({ hazardBasis: "percent-of-flood-stage" });
+  });
+});
+
+describe("classifyStage by percent of flood stage", () => {
+  it.each([
+    [29.59, 0],
+    [29.6, 1], // 80%
+    [35.14, 1],
+    [35.15, 2], // 95%
+    [36.99, 2],
+    [37, 3], // 100%
+  ])("stage %s of 37 is code %s", (stage, hazardCode) => {
+    expect(classifyStage(stage, 37)).toEqual({
+      hazardCode,
+      hazardLabel: HAZARD_LEVELS[hazardCode].label,
+      floodCategory: null,
+      hazardBasis: "percent-of-flood-stage",
+    });
+  });
+
+  it("is Normal with no basis when there is no stage or flood stage", () => {
+    for (const [stage, floodStage] of [[null, 37], [30, null], [30, 0]]) {
+      expect(classifyStage(stage, floodStage)).toEqual({ hazardCode: 0, hazardLabel: "Normal", floodCategory: null, hazardBasis: null });
+    }
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Historical lockage table (server-side, behind src/lib/lockActivity.js)
+ *
+ * Lockage patterns by lock, hour-of-week and season, built from USACE Lock
+ * Performance Monitoring System (LPMS) lockage records and committed as
+ * data/lock-lockage-history.json (rebuild with data/build-lock-lockage-history.mjs).
+ *
+ * Per lock and season, three 168-slot arrays (hour-of-week in lock local time,
+ * 0 = Sunday 00:00):
+ * - hours:    how many times the slot occurred in the record period (the sample count)
+ * - lockages: tow lockages that started in it
+ * - upbound:  how many of those were upbound
+ * so a slot's rate is lockages / hours lockages per hour.
+ */
+
+import fs from "fs";
+import path from "path";
+import { getLock } from "@/lib/stations";
+import { parseNoticeDate } from "@/lib/navNotices";
+
+const HISTORY_FILE = "data/lock-lockage-history.json";
+const DEFAULT_TZ = "America/New_York";
+const HOUR_MS = 3600000;
+const SLOTS = 168;
+
+export const SEASONS = ["winter", "spring", "summer", "fall"];
+
+/* ----------------------------- time slots ----------------------------- */
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/** Local hour-of-week (0 = Sunday 00:00), hour and season of `date` at the lock. */
+export function localSlot(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone || DEFAULT_TZ,
+      weekday: "short",
+      hour: "numeric",
+      month: "numeric",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  const day = WEEKDAYS.indexOf(parts.weekday);
+  const hour = Number(parts.hour) % 24;
+  const month = Number(parts.month);
+  const season = month <= 2 || month === 12 ? "winter" : month <= 5 ? "spring" : month <= 8 ? "summer" : "fall";
+  return { day, hour, hourOfWeek: day * 24 + hour, season };
+}
+
+/* ----------------------------- LPMS records ----------------------------- */
+
+// LPMS export columns (first one present wins)
+const COLUMNS = {
+  lock: ["LOCK_NO", "LOCK_NUMBER", "LOCK"],
+  start: ["SOL_DATE", "START_OF_LOCKAGE", "LOCKAGE_START", "START_DATE"],
+  direction: ["DIRECTION", "DIR", "DIRECTION_OF_TRAVEL"],
+};
+
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted && c === '"' && line[i + 1] === '"') {
+      cell += c;
+      i++;
+    } else if (c === '"') {
+      quoted = !quoted;
+    } else if (c === "," && !quoted) {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/** Registry lock id for an LPMS lock number on `river` (Ohio: the number; tributaries: "<river>-lock-<n>"). */
+export function lockIdFor(river, lockNo) {
+  if (river === "ohio") return getLock(lockNo) ? lockNo : null;
+  const id = `${river}-lock-${lockNo}`;
+  return getLock(id) ? id : null;
+}
+
+/**
+ * Lockage records from an LPMS CSV export of one river; rows for locks not in
+ * the station registry are dropped. Times without a zone are lock local time.
+ *
+ * @returns {Array<{ lockId: number|string, start: Date, upbound: boolean|null }>}
+ */
+export function parseLpmsCsv(text, river = "ohio") {
+  const lines = String(text || "").split(/\r?\n/).filter((l) => l.trim());
+  if (lines.length < 2) return [];
+
+  const header = splitCsvLine(lines[0]).map((h) => h.toUpperCase());
+  const col = Object.fromEntries(
+    Object.entries(COLUMNS).map(([key, names]) => [key, names.map((n) => header.indexOf(n)).find((i) => i >= 0) ?? -1])
+  );
+  if (col.lock < 0 || col.start < 0) throw new Error(`LPMS CSV needs ${COLUMNS.lock[0]} and ${COLUMNS.start[0]} columns`);
+
+  const records = [];
+  for (const line of lines.slice(1)) {
+    const cells = splitCsvLine(line);
+    const lockId = lockIdFor(river, Number(cells[col.lock]));
+    const iso = lockId == null ? null : parseNoticeDate(cells[col.start], getLock(lockId)?.timezone);
+    if (!iso) continue;
+    const start = new Date(iso);
+
+    const dir = col.direction >= 0 ? (cells[col.direction] || "").toUpperCase() : "";
+    records.push({ lockId, start, upbound: dir.startsWith("U") ? true : dir.startsWith("D") ? false : null });
+  }
+  return records;
+}
+
+/* ----------------------------- table ----------------------------- */
+
+const emptySeason = () => ({
+  hours: new Array(SLOTS).fill(0),
+  lockages: new Array(SLOTS).fill(0),
+  upbound: new Array(SLOTS).fill(0),
+});
+
+/**
+ * Build the table from lockage records.
+ *
+ * Each lock's record period runs from the hour of its first lockage to the
+ * hour of its last; every slot-hour in it counts as a sample, lockages or not.
+ *
+ * @param {Array<{ lockId: number|string, start: Date, upbound?: boolean|null }>} records
+ * @returns {{ locks: Record<string, Record<string, { hours: number[], lockages: number[], upbound: number[] }>>,
+ *             periods: Record<string, { from: string, to: string }> }}
+ */
+export function buildLockageTable(records) {
+  const byLock = new Map();
+  for (const r of records) {
+    const id = String(r.lockId);
+    if (!byLock.has(id)) byLock.set(id, []);
+    byLock.get(id).push(r);
+  }
+
+  const locks = {};
+  const periods = {};
+  for (const [id, list] of byLock) {
+    const timezone = getLock(id)?.timezone || DEFAULT_TZ;
+    const seasons = Object.fromEntries(SEASONS.map((s) => [s, emptySeason()]));
+
+    // reduce, not Math.min(...): a year of lockages is too many arguments
+    const times = list.map((r) => r.start.getTime());
+    const from = Math.floor(times.reduce((a, b) => Math.min(a, b)) / HOUR_MS) * HOUR_MS;
+    const to = Math.floor(times.reduce((a, b) => Math.max(a, b)) / HOUR_MS) * HOUR_MS;
+    for (let t = from; t <= to; t += HOUR_MS) {
+      const { hourOfWeek, season } = localSlot(new Date(t), timezone);
+      seasons[season].hours[hourOfWeek]++;
+    }
+
+    for (const r of list) {
+      const { hourOfWeek, season } = localSlot(r.start, timezone);
+      seasons[season].lockages[hourOfWeek]++;
+      if (r.upbound) seasons[season].upbound[hourOfWeek]++;
+    }
+
+    locks[id] = Object.fromEntries(Object.entries(seasons).filter(([, s]) => s.hours.some(Boolean)));
+    periods[id] = { from: new Date(from).toISOString(), to: new Date(to).toISOString() };
+  }
+
+  return { locks, periods };
+}
+
+let table; // loaded once per server instance
+
+/** The committed table, or an empty one when the file is missing or unreadable. */
+export function lockageTable() {
+  if (table === undefined) {
+    try {
+      table = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), HISTORY_FILE), "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") console.warn(`[lockage-history] ${HISTORY_FILE}: ${err.message}`);
+      table = { locks: {} };
+    }
+  }
+  return table;
+}
+
+/**
+ * History for one lock and slot: { hours, lockages, upbound } (sample count,
+ * lockages and upbound lockages in it), or null when the table has none.
+ */
+export function lockageSlot(lockId, { hourOfWeek, season }, history = lockageTable()) {
+  const s = history?.locks?.[String(lockId)]?.[season];
+  const hours = s?.hours?.[hourOfWeek] ?? 0;
+  if (!hours) return null;
+  return { hours, lockages: s.lockages?.[hourOfWeek] ?? 0, upbound: s.upbound?.[hourOfWeek] ?? 0 };
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import { buildLockageTable, localSlot, lockageSlot, parseLpmsCsv } from "@/lib/lockageHistory";
+import { modelLockActivity } from "@/lib/lockActivity";
+
+const HOUR = 3600000;
+
+// J.T. Myers (lock 17, Central time): a lockage at 14:10 local every Tuesday for `weeks` weeks of October 2025
+function tuesdayLockages(weeks, { upbound = true } = {}) {
+  const first = Date.parse("2025-10-07T19:10:00Z"); // Tue 14:10 CDT
+  return Array.from({ length: weeks }, (_, w) => ({ lockId: 17, start: new Date(first + w * 7 * 24 * HOUR), upbound }));
+}
+
+describe("parseLpmsCsv", () => {
+  it("reads lock, start and direction from an LPMS export", () => {
+    const csv = [
+      "EROC,RIVER_CODE,LOCK_NO,CHMBR_NO,DIRECTION,SOL_DATE",
+      'B2,OH,17,1,U,"10/07/2025 14:10"',
+      "B2,OH,17,2,D,2025-10-07T20:00:00Z",
+      "B2,OH,99,1,U,2025-10-07T20:00:00Z", // not in the registry
+      "B2,OH,17,1,U,not a date",
+    ].join("\n");
+
+    const records = parseLpmsCsv(csv, "ohio");
+    expect(records).toHaveLength(2);
+    expect(records.map((r) => [r.lockId, r.upbound, r.start.toISOString()])).toEqual([
+      [17, true, "2025-10-07T19:10:00.000Z"], // lock local time (CDT)
+      [17, false, "2025-10-07T20:00:00.000Z"],
+    ]);
+  });
+
+  it("needs the lock and start columns", () => {
+    expect(() => parseLpmsCsv("LOCK_NO,DIRECTION\n17,U")).toThrow(/SOL_DATE/);
+  });
+});
+
+describe("buildLockageTable", () => {
+  it("counts every slot-hour in the record period as a sample", () => {
+    const { locks, periods } = buildLockageTable(tuesdayLockages(4));
+    const slot = localSlot(new Date("2025-10-07T19:10:00Z"), "America/Chicago");
+    expect(slot).toMatchObject({ hourOfWeek: 2 * 24 + 14, season: "fall" });
+
+    // Four Tuesdays, first to last lockage hour inclusive
+    expect(lockageSlot(17, slot, { locks })).toEqual({ hours: 4, lockages: 4, upbound: 4 });
+    // An hour in between with no lockages is still sampled
+    expect(lockageSlot(17, { hourOfWeek: 3 * 24 + 14, season: "fall" }, { locks })).toEqual({ hours: 3, lockages: 0, upbound: 0 });
+    expect(periods["17"].from).toBe("2025-10-07T19:00:00.000Z");
+  });
+});
+
+describe("modelLockActivity", () => {
+  const now = new Date("2026-10-20T19:30:00Z"); // Tue 14:30 CDT
+
+  it("uses the lock's history and derives confidence from the sample count", () => {
+    const few = modelLockActivity({ lockId: 17, lockName: "J.T. Myers L&D", now, history: buildLockageTable(tuesdayLockages(4)) });
+    const many = modelLockActivity({ lockId: 17, lockName: "J.T. Myers L&D", now, history: buildLockageTable(tuesdayLockages(12)) });
+
+    expect(few.model).toMatchObject({ basis: "lockage-history", samples: 4, lockagesPerHour: 1 });
+    expect(few.confidence).toBe(0.5);
+    expect(many.confidence).toBeGreaterThan(few.confidence);
+    expect(few.direction).toBe("upbound");
+    expect(few.estimatedFrom).toMatch(/LPMS/);
+  });
+
+  it("falls back to the static prior with low confidence when there is no history", () => {
+    const out = modelLockActivity({ lockId: 17, lockName: "J.T. Myers L&D", now, history: { locks: {} } });
+    expect(out.model.basis).toBe("static-prior");
+    expect(out.model.samples).toBe(0);
+    expect(out.confidence).toBe(0.2);
+  });
+});
@@ -1,23 +0,0 @@
-// Canonical Ohio River lock & dam metadata (ordered upstream ➜ downstream)
-// Coordinates sourced from USACE facility references and public nav charts.
-export const ohioRiverLocks = [
-  { id: 1, name: "Emsworth L&D", lat: 40.5109, lon: -80.0830, riverMile: 6.2 },
-  { id: 2, name: "Dashields L&D", lat: 40.5230, lon: -80.1986, riverMile: 13.3 },
-  { id: 3, name: "Montgomery L&D", lat: 40.6517, lon: -80.4039, riverMile: 31.7 },
-  { id: 4, name: "New Cumberland L&D", lat: 40.5086, lon: -80.6539, riverMile: 54.4 },
-  { id: 5, name: "Pike Island L&D", lat: 40.0950, lon: -80.7019, riverMile: 84.2 },
-  { id: 6, name: "Hannibal L&D", lat: 39.6668, lon: -80.8736, riverMile: 126.4 },
-  { id: 7, name: "Willow Island L&D", lat: 39.3677, lon: -81.2223, riverMile: 161.7 },
-  { id: 8, name: "Belleville L&D", lat: 39.0170, lon: -81.7770, riverMile: 204.0 },
-  { id: 9, name: "Racine L&D", lat: 38.9345, lon: -82.1556, riverMile: 237.5 },
-  { id: 10, name: "Robert C. Byrd L&D", lat: 38.6783, lon: -82.1959, riverMile: 279.2 },
-  { id: 11, name: "Greenup L&D", lat: 38.5582, lon: -82.8434, riverMile: 341.0 },
-  { id: 12, name: "Captain A. Meldahl L&D", lat: 38.7808, lon: -84.1418, riverMile: 436.2 },
-  { id: 13, name: "Markland L&D", lat: 38.7785, lon: -84.9694, riverMile: 531.5 },
-  { id: 14, name: "McAlpine L&D", lat: 38.2766, lon: -85.8070, riverMile: 604.5 },
-  { id: 15, name: "Cannelton L&D", lat: 37.9111, lon: -86.8080, riverMile: 720.7 },
-  { id: 16, name: "Newburgh L&D", lat: 37.9360, lon: -87.3810, riverMile: 776.1 },
-  { id: 17, name: "J.T. Myers L&D", lat: 37.7816, lon: -87.9820, riverMile: 846.0 },
-  { id: 18, name: "Smithland L&D", lat: 37.1486, lon: -88.4550, riverMile: 918.5 },
-  { id: 19, name: "Olmsted L&D", lat: 37.1817, lon: -89.0492, riverMile: 964.4 },
-];
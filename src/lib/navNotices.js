@@ -0,0 +1,390 @@
+/**
+ * Navigation notices — lock closures, chamber outages, restricted hours (server-side)
+ *
+ * USACE districts publish navigation notices as web pages and RSS feeds; there
+ * is no one API. Notices are read from configured sources, each a local file or
+ * a feed URL run through a named parser:
+ *
+ *   NAV_NOTICES_SOURCES=data/nav-notices.json,rss=https://example.usace.army.mil/notices.rss
+ *
+ * Entries are `[parser=]location`; without a parser, `.json` files/URLs use
+ * "json" and anything else "rss". Default: data/nav-notices.json (no file = no
+ * notices). Parsers turn a source's text into raw notices; register more with
+ * registerNoticeParser(name, parse). See data/nav-notices.example.json for the
+ * JSON format.
+ *
+ * Every notice is normalized to
+ *   { id, lockId, type, severity, scheduled, chamber, lifts, title, description,
+ *     start, end, issued, url, source }
+ * - type:      "closure" | "chamber-outage" | "restricted-hours" | "notice"
+ * - severity:  "closed" | "restricted" | "info"
+ * - scheduled: false for emergency / unscheduled closures
+ * - lifts:     true for notices lifting earlier ones ("reopened", "restriction
+ *              lifted"); these are "notice" / "info" and mark an end, nothing more
+ * Dates without a time zone ("Nov 2, 2026", "2026-11-02", "11/02/2026 06:00")
+ * are wall-clock time at the lock (its registry timezone), not server time.
+ * A notice without an end date stays in effect until a later notice at the
+ * lock lifts it (noticeEndMs / noticeInEffect; the trip delay estimator uses
+ * the same rule).
+ * Notices that don't name a registry lock (by id or by name) are dropped.
+ *
+ * Each source is cached on its own ("nav-notices" TTL); a failed feed keeps
+ * its last good notices.
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+import { cached } from "@/lib/serverCache";
+import { upstreamFetch } from "@/lib/upstreamFetch";
+import { allLocks, getLock } from "@/lib/stations";
+
+export const NOTICE_TYPES = ["closure", "chamber-outage", "restricted-hours", "notice"];
+
+const DEFAULT_SOURCES = "data/nav-notices.json";
+const UPCOMING_DAYS = 7;
+const TIMEOUT_MS = 8000;
+
+const SEVERITY = { closure: "closed", "chamber-outage": "restricted", "restricted-hours": "restricted", notice: "info" };
+
+/* ----------------------------- parsers ----------------------------- */
+
+const parsers = new Map();
+
+/**
+ * Add a parser for a source format.
+ *
+ * @param {string} name  used as `name=` in NAV_NOTICES_SOURCES
+ * @param {(text: string, source: string) => object[]} parse  raw notices (normalized afterwards)
+ */
+export function registerNoticeParser(name, parse) {
+  parsers.set(name, parse);
+}
+
+// { notices: [...] } or a bare array, fields as normalized (lockId or lockName required)
+registerNoticeParser("json", (text) => {
+  const json = JSON.parse(text);
+  return Array.isArray(json) ? json : Array.isArray(json?.notices) ? json.notices : [];
+});
+
+const xmlTag = (xml, tag) => {
+  const m = xml.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`, "i"));
+  if (!m) return null;
+  return m[1]
+    .replace(/^<!\[CDATA\[([\s\S]*?)\]\]>$/, "$1")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/\s+/g, " ")
+    .trim();
+};
+
+// RSS 2.0 items; type, chamber, lock and dates are read from the text (dates stay
+// as written, resolved in the lock's timezone once the lock is known)
+registerNoticeParser("rss", (text) =>
+  [...text.matchAll(/<item[\s>][\s\S]*?<\/item>/gi)].map(([item]) => {
+    const title = xmlTag(item, "title") || "";
+    const description = xmlTag(item, "description") || "";
+    const dates = findDates(`${title} ${description}`);
+    return {
+      id: xmlTag(item, "guid") || xmlTag(item, "link") || title,
+      lockName: `${title} ${description}`,
+      title,
+      description,
+      start: dates[0] ?? null,
+      end: dates[1] ?? null,
+      issued: xmlTag(item, "pubDate"),
+      url: xmlTag(item, "link"),
+    };
+  })
+);
+
+const MONTHS = "jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec";
+const DATE_PATTERN = new RegExp(
+  `\\b(?:\\d{4}-\\d{2}-\\d{2}(?:T[\\d:]+Z?)?|\\d{1,2}/\\d{1,2}/\\d{4}|(?:${MONTHS})[a-z]*\\.? \\d{1,2}(?:st|nd|rd|th)?,? \\d{4})\\b`,
+  "gi"
+);
+
+/** Dates mentioned in notice text, in order, as written (ordinals dropped). */
+function findDates(text) {
+  return (String(text).match(DATE_PATTERN) || [])
+    .map((d) => d.replace(/(\d)(st|nd|rd|th)\b/gi, "$1"))
+    .filter((d) => !isNaN(new Date(d).getTime()));
+}
+
+const HAS_ZONE = /(Z|[+-]\d{2}:?\d{2}|\b(GMT|UTC|[ECMP][SD]T))$/i;
+
+// Offset of `timezone` from UTC at instant `ms`, in ms
+function zoneOffset(ms, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+      hourCycle: "h23",
+    })
+      .formatToParts(new Date(ms))
+      .map((p) => [p.type, Number(p.value)])
+  );
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second) - ms;
+}
+
+/**
+ * A notice date as ISO. Strings with a zone (ISO "Z", "+05:00", RFC 822
+ * "GMT" / "CDT") are taken as is; anything else is wall-clock time in `timezone`.
+ * Also used for other lock-local timestamps (LPMS lockages, src/lib/lockageHistory.js).
+ */
+export function parseNoticeDate(value, timezone) {
+  if (!value) return null;
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return null;
+  if (value instanceof Date || !timezone || HAS_ZONE.test(String(value).trim())) return d.toISOString();
+
+  // The wall-clock fields as written: date-only ISO parses as UTC, the rest as server-local
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim());
+  const wall = dateOnly
+    ? Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate())
+    : Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes(), d.getSeconds());
+
+  // Two passes so a wall time near a DST change picks up the offset in effect then
+  let utc = wall - zoneOffset(wall, timezone);
+  utc = wall - zoneOffset(utc, timezone);
+  return new Date(utc).toISOString();
+}
+
+/* ----------------------------- normalizing ----------------------------- */
+
+// "reopened", "closure has been lifted", "returned to service"; "will reopen" is not yet a lift
+const LIFTS = /\b(re-?opened|lifted|resumed|returned to (normal )?service|back in service|cancell?ed|rescinded)\b/;
+
+function classify(text) {
+  const t = text.toLowerCase();
+  // The chamber named first is the one the notice is about ("main chamber closed; traffic uses the auxiliary")
+  const aux = t.search(/auxiliary|aux\.? chamber|small(er)? chamber/);
+  const main = t.search(/main (lock )?chamber|large(r)? chamber/);
+  const chamber = aux < 0 && main < 0 ? null : main < 0 || (aux >= 0 && aux < main) ? "auxiliary" : "main";
+
+  let type = "notice";
+  if (/restrict|daylight only|limited hours|hours of operation|will only operate/.test(t)) type = "restricted-hours";
+  if (/clos(ed|ure|ing)|outage|dewater|out of service/.test(t)) type = chamber ? "chamber-outage" : "closure";
+
+  return { type, chamber, lifts: LIFTS.test(t), scheduled: !/emergency|unscheduled|immediate/.test(t) };
+}
+
+// "McAlpine L&D" / "McAlpine Locks and Dam" -> "mcalpine"
+const lockKeyword = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/\(.*?\)/g, " ")
+    .replace(/\b(l&d|locks? (and|&) dams?)\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Each lock's full name, plus its last word when only that lock has it
+// ("Captain A. Meldahl" is "Meldahl Locks" in most notices)
+const LOCK_KEYS = (() => {
+  const full = allLocks.map((l) => ({ lock: l, key: lockKeyword(l.name) }));
+  const lastWord = (key) => key.split(" ").pop();
+  const counts = new Map();
+  for (const { key } of full) counts.set(lastWord(key), (counts.get(lastWord(key)) || 0) + 1);
+  const short = full
+    .filter(({ key }) => lastWord(key).length >= 5 && lastWord(key) !== key && counts.get(lastWord(key)) === 1)
+    .map(({ lock, key }) => ({ lock, key: lastWord(key) }));
+  return [...full, ...short].filter(({ key }) => key);
+})();
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Registry lock a notice is about: by id, else the lock named first in its
+ * text as "<name> Locks" / "<name> L&D" / "<name> Dam" (so "Kentucky" alone,
+ * usually the state, doesn't count).
+ */
+function matchLock(raw) {
+  if (raw.lockId != null) return getLock(raw.lockId);
+  const text = String(raw.lockName || "").toLowerCase().replace(/\s+/g, " ");
+  if (!text) return null;
+
+  let best = null;
+  for (const { lock, key } of LOCK_KEYS) {
+    const named = new RegExp(`\\b${escapeRegExp(key)}${/\block\b/.test(key) ? "\\b" : " (l&d|locks?\\b|dams?\\b)"}`);
+    const at = text.search(named);
+    if (at < 0) continue;
+    if (!best || at < best.at || (at === best.at && key.length > best.key.length)) best = { lock, at, key };
+  }
+  return best?.lock ?? null;
+}
+
+function normalizeNotice(raw, source) {
+  const lock = matchLock(raw);
+  if (!lock) return null;
+
+  const title = String(raw.title || "").trim() || "Navigation notice";
+  const description = String(raw.description || "").trim();
+  const guessed = classify(`${title} ${description}`);
+  // A notice with its own end date is a window ("closed until the closure is lifted Nov 5"), not a lift
+  const lifts = typeof raw.lifts === "boolean" ? raw.lifts : guessed.lifts && !raw.end;
+  const type = NOTICE_TYPES.includes(raw.type) ? raw.type : lifts ? "notice" : guessed.type;
+
+  return {
+    id: String(raw.id ?? `${source}:${lock.id}:${title}`),
+    lockId: lock.id,
+    type,
+    severity: SEVERITY[type],
+    scheduled: typeof raw.scheduled === "boolean" ? raw.scheduled : guessed.scheduled,
+    chamber: raw.chamber ?? guessed.chamber,
+    lifts,
+    title,
+    description,
+    start: parseNoticeDate(raw.start, lock.timezone) ?? parseNoticeDate(raw.issued, lock.timezone),
+    end: parseNoticeDate(raw.end, lock.timezone),
+    issued: parseNoticeDate(raw.issued, lock.timezone),
+    url: raw.url ?? null,
+    source,
+  };
+}
+
+/**
+ * Parse a source's text with a registered parser and normalize the notices
+ * (those not about a registry lock are dropped). Throws on unparseable text.
+ *
+ * @param {string} parser  registered parser name ("json", "rss", ...)
+ * @param {string} text
+ * @param {string} [source]  recorded on each notice (defaults to the parser name)
+ */
+export function parseNotices(parser, text, source = parser) {
+  const parse = parsers.get(parser);
+  if (!parse) throw new Error(`no parser "${parser}"`);
+  return parse(text, source)
+    .map((raw) => normalizeNotice(raw || {}, source))
+    .filter(Boolean);
+}
+
+/* ----------------------------- sources ----------------------------- */
+
+function configuredSources() {
+  return String(process.env.NAV_NOTICES_SOURCES || DEFAULT_SOURCES)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const m = entry.match(/^([a-z][\w-]*)=(.+)$/i);
+      const location = m ? m[2] : entry;
+      const parser = m ? m[1] : /\.json($|\?)/i.test(location) ? "json" : "rss";
+      return { parser, location, remote: /^https?:\/\//i.test(location) };
+    });
+}
+
+async function readSource({ location, remote }) {
+  if (!remote) {
+    try {
+      return await fs.readFile(path.resolve(process.cwd(), location), "utf8");
+    } catch (err) {
+      return null; // no file = no notices
+    }
+  }
+  try {
+    const res = await upstreamFetch(location, {
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+      headers: { "user-agent": "rivervalleyreport/1.0 (+https://rivervalleyreport.com)" },
+    });
+    return res.ok ? await res.text() : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function loadSource(src) {
+  return cached(
+    `nav-notices:${src.parser}:${src.location}`,
+    async () => {
+      if (!parsers.has(src.parser)) {
+        console.warn(`[nav-notices] no parser "${src.parser}" for ${src.location}`);
+        return [];
+      }
+      const text = await readSource(src);
+      if (text == null) return src.remote ? null : [];
+      try {
+        return parseNotices(src.parser, text, src.location);
+      } catch (err) {
+        console.warn(`[nav-notices] ${src.location}: ${err.message}`);
+        return null;
+      }
+    },
+    { source: "nav-notices" }
+  );
+}
+
+/** Every notice from every source (past ones included), de-duplicated by id. */
+export async function getNavNotices() {
+  const lists = await Promise.all(configuredSources().map(loadSource));
+  const byId = new Map();
+  for (const n of lists.flat()) if (n && !byId.has(n.id)) byId.set(n.id, n);
+  return [...byId.values()];
+}
+
+/* ----------------------------- per lock ----------------------------- */
+
+const ms = (iso) => (iso ? new Date(iso).getTime() : null);
+
+const SEVERITY_ORDER = ["info", "restricted", "closed"];
+
+/**
+ * When `notice` stops being in effect (ms): its end date, else the start of
+ * the first later notice at the same lock that lifts it (one naming a chamber
+ * only lifts that chamber), else Infinity. An open-ended closure stays in
+ * effect until the notice lifting it has been parsed.
+ *
+ * @param {object} notice
+ * @param {object[]} [notices]  the other notices to look for a lift in (any locks)
+ */
+export function noticeEndMs(notice, notices = []) {
+  const end = ms(notice.end);
+  if (end != null) return end;
+
+  const start = ms(notice.start) ?? -Infinity;
+  const lifted = notices
+    .filter(
+      (n) =>
+        n.lifts &&
+        n !== notice &&
+        String(n.lockId) === String(notice.lockId) &&
+        (!n.chamber || n.chamber === notice.chamber) &&
+        ms(n.start) != null &&
+        ms(n.start) > start
+    )
+    .map((n) => ms(n.start));
+  return lifted.length ? Math.min(...lifted) : Infinity;
+}
+
+/** Whether `notice` is in effect at `t` (ms) by the same rule; lifting notices never are. */
+export function noticeInEffect(notice, t, notices = []) {
+  if (notice.lifts) return false;
+  return (ms(notice.start) ?? -Infinity) <= t && noticeEndMs(notice, notices) > t;
+}
+
+/**
+ * Notices for one lock at `now`: in effect (`active`) and starting within
+ * UPCOMING_DAYS (`upcoming`, lifts included), most severe / soonest first.
+ *
+ * @returns {Promise<{ active: object[], upcoming: object[], status: "closed"|"restricted"|"info"|null }>}
+ */
+export async function getLockNotices(lockId, now = new Date()) {
+  const t = now.getTime();
+  const horizon = t + UPCOMING_DAYS * 24 * 3600000;
+  const mine = (await getNavNotices()).filter((n) => String(n.lockId) === String(lockId));
+
+  const bySeverity = (a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity);
+  const active = mine.filter((n) => noticeInEffect(n, t, mine)).sort(bySeverity);
+  const upcoming = mine
+    .filter((n) => ms(n.start) > t && ms(n.start) <= horizon)
+    .sort((a, b) => ms(a.start) - ms(b.start));
+
+  return { active, upcoming, status: active[0]?.severity ?? null };
+}
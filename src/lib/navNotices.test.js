@@ -0,0 +1,153 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import { getLockNotices, noticeEndMs, noticeInEffect, parseNotices } from "@/lib/navNotices";
+
+const rss = (items) => `<?xml version="1.0"?><rss version="2.0"><channel><title>LRL notices</title>${items}</channel></rss>`;
+
+const item = ({ title, description, guid = "n-1", pubDate = "Wed, 15 Oct 2026 14:00:00 GMT" }) => `
+  <item>
+    <title><![CDATA[${title}]]></title>
+    <description>${description}</description>
+    <link>https://example.usace.army.mil/notices/${guid}</link>
+    <guid>${guid}</guid>
+    <pubDate>${pubDate}</pubDate>
+  </item>`;
+
+describe("rss notice parser", () => {
+  it("reads the lock, type, chamber and dates from an item", () => {
+    const [notice] = parseNotices(
+      "rss",
+      rss(
+        item({
+          title: "McAlpine Locks auxiliary chamber closure",
+          description: "The auxiliary chamber at McAlpine Locks and Dam will be closed from November 2nd, 2026 through November 20th, 2026 for maintenance.",
+        })
+      )
+    );
+
+    expect(notice).toMatchObject({
+      id: "n-1",
+      lockId: 14,
+      type: "chamber-outage",
+      severity: "restricted",
+      chamber: "auxiliary",
+      scheduled: true,
+      title: "McAlpine Locks auxiliary chamber closure",
+      url: "https://example.usace.army.mil/notices/n-1",
+      source: "rss",
+      issued: "2026-10-15T14:00:00.000Z",
+    });
+    // Ordinals dropped from every date; midnight at McAlpine (Eastern: EST after Nov 1)
+    expect(notice.start).toBe("2026-11-02T05:00:00.000Z");
+    expect(notice.end).toBe("2026-11-20T05:00:00.000Z");
+  });
+
+  it("resolves dates without a zone in the lock's timezone", () => {
+    const [eastern, central] = parseNotices(
+      "rss",
+      rss(
+        item({ guid: "a", title: "Greenup Locks restricted hours", description: "Daylight only lockages 10/20/2026 through 10/31/2026." }) +
+          item({ guid: "b", title: "Smithland Locks closure", description: "Closed 2026-10-20 until 2026-10-22." })
+      )
+    );
+
+    expect(eastern.lockId).toBe(11);
+    expect(eastern.type).toBe("restricted-hours");
+    expect(eastern.start).toBe("2026-10-20T04:00:00.000Z"); // EDT
+    expect(central.lockId).toBe(18);
+    expect(central.start).toBe("2026-10-20T05:00:00.000Z"); // CDT
+    expect(central.end).toBe("2026-10-22T05:00:00.000Z");
+  });
+
+  it("keeps dates that carry a zone and flags emergencies", () => {
+    const [notice] = parseNotices(
+      "rss",
+      rss(item({ title: "Emergency closure at Olmsted Locks", description: "Closed 2026-10-18T03:30:00Z until further notice." }))
+    );
+
+    expect(notice.lockId).toBe(19);
+    expect(notice.type).toBe("closure");
+    expect(notice.scheduled).toBe(false);
+    expect(notice.start).toBe("2026-10-18T03:30:00.000Z");
+    expect(notice.end).toBeNull();
+  });
+
+  it("drops items that don't name a registry lock", () => {
+    const notices = parseNotices(
+      "rss",
+      rss(item({ title: "Kentucky high water advisory", description: "Expect strong currents statewide." }))
+    );
+    expect(notices).toEqual([]);
+  });
+});
+
+describe("open-ended notices", () => {
+  const DAY = 24 * 3600000;
+  const closedAt = Date.parse("2026-10-18T03:30:00Z");
+  const [closure, reopened, auxOnly] = parseNotices(
+    "rss",
+    rss(
+      item({ guid: "c", title: "Emergency closure at Olmsted Locks", description: "Closed 2026-10-18T03:30:00Z until further notice." }) +
+        item({ guid: "r", title: "Olmsted Locks reopened", description: "The closure has been lifted; traffic resumed 2026-11-20T15:00:00Z." }) +
+        item({ guid: "a", title: "Olmsted Locks auxiliary chamber back in service", description: "Returned 2026-11-01T12:00:00Z." })
+    )
+  );
+
+  it("recognizes notices that lift others", () => {
+    expect(closure.lifts).toBe(false);
+    expect(reopened).toMatchObject({ lockId: 19, type: "notice", severity: "info", lifts: true, start: "2026-11-20T15:00:00.000Z" });
+    expect(auxOnly).toMatchObject({ lifts: true, chamber: "auxiliary" });
+  });
+
+  it("stay in effect until a notice lifts them", () => {
+    expect(noticeEndMs(closure, [closure])).toBe(Infinity);
+    expect(noticeInEffect(closure, closedAt + 60 * DAY, [closure])).toBe(true);
+
+    // A lift for one chamber doesn't reopen the whole lock
+    const all = [closure, reopened, auxOnly];
+    expect(noticeEndMs(closure, all)).toBe(Date.parse(reopened.start));
+    expect(noticeInEffect(closure, Date.parse(reopened.start) - 1, all)).toBe(true);
+    expect(noticeInEffect(closure, Date.parse(reopened.start), all)).toBe(false);
+    expect(noticeInEffect(reopened, Date.parse(reopened.start) + DAY, all)).toBe(false);
+  });
+
+  it("reads an end date as a window, not a lift", () => {
+    const [notice] = parseNotices(
+      "rss",
+      rss(item({ title: "Greenup Locks closure", description: "Closed 2026-10-20 until the closure is lifted 2026-10-22." }))
+    );
+    expect(notice).toMatchObject({ type: "closure", lifts: false, end: "2026-10-22T04:00:00.000Z" });
+  });
+
+  describe("getLockNotices", () => {
+    let dir;
+    afterEach(() => {
+      delete process.env.NAV_NOTICES_SOURCES;
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("keeps an old open-ended closure active until the lift is parsed", async () => {
+      dir = mkdtempSync(path.join(tmpdir(), "notices-"));
+      const file = path.join(dir, "notices.json");
+      writeFileSync(
+        file,
+        JSON.stringify([
+          { id: "c", lockId: 19, type: "closure", title: "Olmsted emergency closure", start: "2026-10-18T03:30:00Z" },
+          { id: "r", lockId: 19, lifts: true, title: "Olmsted reopened", start: "2026-11-20T15:00:00Z" },
+        ])
+      );
+      process.env.NAV_NOTICES_SOURCES = file;
+
+      const monthLater = await getLockNotices(19, new Date(closedAt + 30 * DAY));
+      expect(monthLater.status).toBe("closed");
+      expect(monthLater.active.map((n) => n.id)).toEqual(["c"]);
+      expect(monthLater.upcoming.map((n) => n.id)).toEqual(["r"]);
+
+      const afterLift = await getLockNotices(19, new Date("2026-11-21T00:00:00Z"));
+      expect(afterLift.active).toEqual([]);
+      expect(afterLift.status).toBeNull();
+    });
+  });
+});
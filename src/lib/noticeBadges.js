@@ -0,0 +1,34 @@
+/**
+ * Badge labels / colors for lock navigation notices (client-safe; the notices
+ * themselves come from src/lib/navNotices.js through the lock status APIs)
+ */
+
+const CHAMBER_LABEL = { main: "MAIN", auxiliary: "AUX" };
+
+export const NOTICE_COLORS = {
+  closed: "#ef4444",
+  restricted: "#f59e0b",
+  info: "#64748b",
+};
+
+/** { label, color, title } for one notice, e.g. "AUX CLOSED", "⚠ CLOSED", "RESTRICTED". */
+export function noticeBadge(notice) {
+  let label = "NOTICE";
+  if (notice.type === "closure") label = "CLOSED";
+  if (notice.type === "chamber-outage") label = `${CHAMBER_LABEL[notice.chamber] || "CHAMBER"} CLOSED`;
+  if (notice.type === "restricted-hours") label = "RESTRICTED";
+
+  return {
+    label: notice.scheduled === false ? `⚠ ${label}` : label,
+    color: NOTICE_COLORS[notice.severity] || NOTICE_COLORS.info,
+    title: [notice.scheduled === false ? "Emergency" : null, notice.title, notice.description].filter(Boolean).join(" — "),
+  };
+}
+
+/** "until Nov 20, 10:00 PM" / "from Nov 2, 12:00 PM" / "" */
+export function noticeWindow(notice, { upcoming = false } = {}) {
+  const iso = upcoming ? notice.start : notice.end;
+  if (!iso) return "";
+  const when = new Date(iso).toLocaleString([], { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+  return `${upcoming ? "from" : "until"} ${when}`;
+}
@@ -0,0 +1,106 @@
+/**
+ * Multi-gauge river data load (server-side)
+ *
+ * Shared by /api/river-data-batch and /api/river-stream:
+ * - USGS observed + history are fetched with ONE multi-site `sites=` query each
+ * - NOAA forecast / flood-stage lookups fan out per station with a concurrency limit
+ * - Upstream-routed forecasts reuse the batch history for upstream gauges in the request
+ * - A failure at one station is reported under `errors[site]`; the rest still return
+ * - Each station carries `cacheAge` / `stale` (src/lib/serverCache.js)
+ */
+
+import { getRiverData, splitUsgsResponseBySite, usgsIvURL } from "@/lib/riverData";
+import { cached, trackCache } from "@/lib/serverCache";
+import { upstreamFetch } from "@/lib/upstreamFetch";
+import { mapWithConcurrency } from "@/lib/concurrency";
+import { getGauge } from "@/lib/stations";
+
+const NOAA_CONCURRENCY = 4;
+
+function fetchUsgsJSON(url, timeoutMs) {
+  return cached(
+    `json:${url}`,
+    async () => {
+      const res = await upstreamFetch(url, {
+        signal: AbortSignal.timeout(timeoutMs),
+        headers: {
+          accept: "application/json",
+          "user-agent": "rivervalleyreport/1.0 (+https://rivervalleyreport.com)",
+        },
+      });
+      if (!res.ok) return null;
+      return await res.json();
+    },
+    { source: "usgs-iv" }
+  );
+}
+
+/** Registry stations for site ids: AHPS id and coordinates for NOAA auto-discovery. */
+export function registryStations(sites) {
+  return sites.map((site) => {
+    const g = getGauge(site);
+    return { site, ahps: g?.ahps ?? null, lat: g?.lat ?? null, lon: g?.lon ?? null };
+  });
+}
+
+/**
+ * Fetch every station; per-station failures land in `errors`.
+ *
+ * @param {Array<{ site: string, ahps?: string|null, lat?: number|null, lon?: number|null }>} stations
+ * @returns {Promise<{ stationsOut: Record<string, object>, errors: Record<string, string>, siteIds: string[] }>}
+ */
+export async function loadRiverBatch(stations) {
+  const siteIds = stations.map((s) => s.site);
+
+  // One multi-site USGS request for latest values, one for the 7-day history
+  const [ivJson, histJson] = await Promise.all([
+    fetchUsgsJSON(usgsIvURL(siteIds), 15000),
+    fetchUsgsJSON(usgsIvURL(siteIds, { period: "P7D" }), 25000),
+  ]);
+
+  const ivBySite = splitUsgsResponseBySite(ivJson);
+  const histBySite = splitUsgsResponseBySite(histJson);
+
+  // Every requested site, so routing doesn't refetch gauges USGS had nothing for
+  const upstreamHistBySite = histJson
+    ? Object.fromEntries(siteIds.map((id) => [id, histBySite[id] ?? {}]))
+    : undefined;
+
+  const results = await mapWithConcurrency(stations, NOAA_CONCURRENCY, async (st) => {
+    try {
+      const tracked = await trackCache(() =>
+        getRiverData(st, {
+          // An empty per-site payload is still authoritative: USGS had nothing for it
+          ivJson: ivJson ? ivBySite[st.site] ?? {} : undefined,
+          histJson: histJson ? histBySite[st.site] ?? {} : undefined,
+          upstreamHistBySite,
+        })
+      );
+      const data = {
+        ...tracked.value,
+        cacheAge: tracked.cacheAge,
+        stale: tracked.stale,
+        staleSources: tracked.staleSources,
+      };
+
+      const hasObserved = typeof data?.observed === "number" && Number.isFinite(data.observed);
+      const hasHistory = Array.isArray(data?.history) && data.history.length > 0;
+      if (!hasObserved && !hasHistory) {
+        return { site: st.site, data, error: "No USGS observations returned for this site" };
+      }
+
+      return { site: st.site, data, error: null };
+    } catch (err) {
+      return { site: st.site, data: null, error: err?.message || "Failed to load station" };
+    }
+  });
+
+  const stationsOut = {};
+  const errors = {};
+  for (const r of results) {
+    if (r.data) stationsOut[r.site] = r.data;
+    if (r.error) errors[r.site] = r.error;
+  }
+
+  return { stationsOut, errors, siteIds };
+}
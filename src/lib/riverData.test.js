@@ -0,0 +1,94 @@
+import { describe, expect, it } from "vitest";
+import { detectCrest, generateRoutedForecast } from "@/lib/riverData";
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+// Noon Central on consecutive days from 2026-10-20
+const daily = (values) => values.map((v, i) => ({ t: new Date(Date.parse("2026-10-20T17:00:00Z") + i * DAY).toISOString(), v }));
+
+describe("detectCrest", () => {
+  it("is cresting when the peak falls inside the forecast", () => {
+    const crest = detectCrest(daily([24, 26, 27.5, 26, 25]), { observed: 23, floodStage: 37 });
+    expect(crest).toMatchObject({ status: "cresting", stage: 27.5, day: "2026-10-22", rise: 4.5, aboveFloodStage: false, timePrecision: "day" });
+  });
+
+  it("is rising when the last day is still the highest", () => {
+    expect(detectCrest(daily([24, 25, 26, 27]), { observed: 23 }).status).toBe("rising");
+  });
+
+  it("is falling when nothing rises more than 0.1 ft above the current level", () => {
+    expect(detectCrest(daily([23.1, 22.5, 22]), { observed: 23 }).status).toBe("falling");
+    expect(detectCrest(daily([23.2, 22.5, 22]), { observed: 23 }).status).toBe("cresting");
+    // Without an observation: the first day is the highest
+    expect(detectCrest(daily([25, 24, 23])).status).toBe("falling");
+  });
+
+  it("takes the crest hour from the sub-daily points and names the flood category", () => {
+    const rawPoints = [
+      { t: "2026-10-22T06:00:00Z", v: 42.1 },
+      { t: "2026-10-22T15:00:00Z", v: 42.6 },
+      { t: "2026-10-23T15:00:00Z", v: 43 }, // another day
+    ];
+    const crest = detectCrest(daily([38, 40, 42.5, 41]), {
+      observed: 36,
+      rawPoints,
+      floodStage: 37,
+      floodCategories: { action: 35, minor: 37, moderate: 42, major: 48 },
+    });
+    expect(crest).toMatchObject({ time: "2026-10-22T15:00:00Z", timePrecision: "hour", floodCategory: "moderate", aboveFloodStage: true });
+  });
+});
+
+describe("generateRoutedForecast", () => {
+  // NWIS IV response for one site: hourly stage over the last 7 days rising steadily by `range` ft
+  const ivJson = (site, range) => {
+    const now = Date.now();
+    const value = Array.from({ length: 7 * 24 + 1 }, (_, i) => ({
+      dateTime: new Date(now - 7 * DAY + i * HOUR).toISOString(),
+      value: String(+(10 + (range * i) / (7 * 24)).toFixed(3)),
+    }));
+    return {
+      value: {
+        timeSeries: [{ sourceInfo: { siteCode: [{ value: site }] }, variable: { variableCode: [{ value: "00065" }] }, values: [{ value }] }],
+      },
+    };
+  };
+  const targetHistory = (range) => [
+    { t: new Date(Date.now() - 6 * DAY).toISOString(), v: 20 },
+    { t: new Date(Date.now() - HOUR).toISOString(), v: 20 + range },
+  ];
+
+  // Paducah (Tennessee mile 21.9): Savannah is 169 mi up; Whitesburg, 311 mi up, is past the 250 mi limit
+  const paducah = (targetRange, upstreamRange) =>
+    generateRoutedForecast("03609500", targetHistory(targetRange), 20, {
+      upstreamHistBySite: { "03593500": ivJson("03593500", upstreamRange), "03575500": ivJson("03575500", upstreamRange) },
+    });
+
+  it("routes the nearest upstream gauges within 15–250 river miles", async () => {
+    const routed = await paducah(3, 3);
+    expect(routed.upstream.map((u) => u.site)).toEqual(["03593500"]);
+    expect(routed.upstream[0]).toMatchObject({ distanceMi: expect.closeTo(168.7, 5), lagHours: 56.2 });
+    expect(routed.points.length).toBeGreaterThan(0);
+    expect(routed.points.every((p, i, all) => i === 0 || p.v >= all[i - 1].v)).toBe(true);
+
+    // Mt. Vernon: Henderson, 10 mi up, sits in the same pool; Evansville and Newburgh route
+    const mtVernon = await generateRoutedForecast("03380000", targetHistory(3), 20, {
+      upstreamHistBySite: Object.fromEntries(["03322190", "03322000", "03304300"].map((s) => [s, ivJson(s, 3)])),
+    });
+    expect(mtVernon.upstream.map((u) => u.site)).toEqual(["03322000", "03304300"]);
+  });
+
+  it("scales by the ratio of stage ranges, clamped to 0.3–1.5", async () => {
+    expect((await paducah(3, 3)).upstream[0].gain).toBe(1);
+    expect((await paducah(1.5, 3)).upstream[0].gain).toBe(0.5);
+    expect((await paducah(0.3, 3)).upstream[0].gain).toBe(0.3);
+    expect((await paducah(9, 3)).upstream[0].gain).toBe(1.5);
+    // An upstream gauge that barely moved says nothing about geometry
+    expect((await paducah(9, 0.4)).upstream[0].gain).toBe(1);
+  });
+
+  it("needs an observation to route from", async () => {
+    expect(await generateRoutedForecast("03609500", targetHistory(3), null, { upstreamHistBySite: {} })).toBeNull();
+  });
+});
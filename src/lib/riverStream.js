@@ -0,0 +1,130 @@
+/**
+ * Live river updates (server-side, behind /api/river-stream)
+ *
+ * Each open stream checks its gauges every CHECK_MS and pushes only what
+ * changed:
+ * - observation: a new reading (time / stage / elevation), with history, trend, flood percent,
+ *                data-quality flags and USGS qualifiers
+ * - forecast:    a reissued or re-projected forecast (prediction, crest, metadata)
+ * - hazard:      the hazard level moved (previousHazardCode says from where)
+ *
+ * Loads go through the shared server cache (keyed by the gauge set), so streams
+ * watching the same gauges share one load per check instead of one each.
+ *
+ * Streams are short-lived on serverless hosts (see the route), so what a client
+ * has already seen travels with it: the SSE event id is a cursor holding a
+ * short digest of each gauge's last observation, forecast and hazard, and the
+ * browser sends it back as Last-Event-ID when it reconnects. A stream resumed
+ * from a cursor pushes only what changed since; without one, the current state
+ * of every gauge comes first as the same three events, so clients only need one
+ * code path.
+ */
+
+import { createHash } from "crypto";
+import { cached } from "@/lib/serverCache";
+import { loadRiverBatch, registryStations } from "@/lib/riverBatch";
+
+export const STREAM_EVENTS = ["observation", "forecast", "hazard"];
+
+export const CHECK_MS = 15 * 1000;
+
+/* ----------------------------- event payloads ----------------------------- */
+
+function observationEvent(site, p) {
+  return {
+    site,
+    time: p.time,
+    observed: p.observed,
+    unit: p.unit,
+    elevation: p.elevation,
+    datum: p.datum,
+    history: p.history,
+    trend: p.trend,
+    trendDelta: p.trendDelta,
+    floodPercent: p.floodPercent,
+    discharge: p.discharge,
+    waterTemp: p.waterTemp,
+    qualityFlags: p.qualityFlags,
+    qualifiers: p.qualifiers,
+  };
+}
+
+function forecastEvent(site, p) {
+  return {
+    site,
+    prediction: p.prediction,
+    crest: p.crest,
+    forecastSource: p.forecastSource,
+    forecastType: p.forecastType,
+    forecastMeta: p.forecastMeta,
+    forecastBadge: p.forecastBadge,
+  };
+}
+
+function hazardEvent(site, p, previousHazardCode) {
+  return {
+    site,
+    hazardCode: p.hazardCode,
+    hazardLabel: p.hazardLabel,
+    hazardBasis: p.hazardBasis,
+    floodCategory: p.floodCategory,
+    floodCategories: p.floodCategories,
+    floodStage: p.floodStage,
+    previousHazardCode,
+  };
+}
+
+/* ----------------------------- change detection ----------------------------- */
+
+const digest = (value) => createHash("sha1").update(JSON.stringify(value)).digest("hex").slice(0, 8);
+
+/** What a client has seen of one gauge: { obs, forecast, hazard }. */
+export function gaugeState(p) {
+  return {
+    obs: digest([p.time ?? null, p.observed ?? null]),
+    forecast: digest([p.forecastMeta?.issuanceTime ?? null, p.forecastType ?? null, (p.prediction || []).map((x) => [x.t, x.v])]),
+    hazard: typeof p.hazardCode === "number" ? p.hazardCode : null,
+  };
+}
+
+/**
+ * Events for one gauge: everything when there's no previous state, else only what changed.
+ *
+ * @returns {Array<[string, object]>} [event, data] pairs
+ */
+export function diffEvents(site, prev, next) {
+  const state = gaugeState(next);
+  const events = [];
+  if (!prev || prev.obs !== state.obs) events.push(["observation", observationEvent(site, next)]);
+  if (!prev || prev.forecast !== state.forecast) events.push(["forecast", forecastEvent(site, next)]);
+  if (!prev || prev.hazard !== state.hazard) events.push(["hazard", hazardEvent(site, next, prev ? prev.hazard : null)]);
+  return events;
+}
+
+/** Cursor (SSE event id) for gauge states: "site:obs:forecast:hazard,...". */
+export function encodeCursor(states) {
+  return [...states].map(([site, s]) => `${site}:${s.obs}:${s.forecast}:${s.hazard ?? ""}`).join(",");
+}
+
+/** Gauge states from a Last-Event-ID; anything malformed is dropped (that gauge starts over). */
+export function decodeCursor(cursor, sites) {
+  const states = new Map();
+  for (const part of String(cursor || "").split(",")) {
+    const m = part.match(/^([\w-]+):([0-9a-f]{8}):([0-9a-f]{8}):(\d*)$/);
+    if (!m || !sites.includes(m[1])) continue;
+    states.set(m[1], { obs: m[2], forecast: m[3], hazard: m[4] === "" ? null : Number(m[4]) });
+  }
+  return states;
+}
+
+/* ----------------------------- loading ----------------------------- */
+
+/** Current payloads for the gauges (site -> payload), shared between streams for CHECK_MS. */
+export async function loadStreamPayloads(sites) {
+  const key = [...sites].sort().join(",");
+  const batch = await cached(`river-stream:${key}`, () => loadRiverBatch(registryStations(sites)), {
+    ttlMs: CHECK_MS,
+    track: false,
+  });
+  return batch?.stationsOut ?? {};
+}
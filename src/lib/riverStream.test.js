@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { decodeCursor, diffEvents, encodeCursor, gaugeState } from "@/lib/riverStream";
+
+const payload = (overrides = {}) => ({
+  time: "2026-10-19T12:00:00.000Z",
+  observed: 23.1,
+  prediction: [{ t: "2026-10-20T12:00:00.000Z", v: 25 }],
+  forecastMeta: { issuanceTime: "2026-10-19T10:00:00.000Z" },
+  forecastType: "Official",
+  hazardCode: 0,
+  ...overrides,
+});
+
+const types = (events) => events.map(([type]) => type);
+
+describe("diffEvents", () => {
+  it("sends every event when the client has seen nothing", () => {
+    expect(types(diffEvents("03322420", undefined, payload()))).toEqual(["observation", "forecast", "hazard"]);
+  });
+
+  it("sends only what changed", () => {
+    const seen = gaugeState(payload());
+    expect(diffEvents("03322420", seen, payload())).toEqual([]);
+    expect(types(diffEvents("03322420", seen, payload({ observed: 23.4, time: "2026-10-19T12:15:00.000Z" })))).toEqual([
+      "observation",
+    ]);
+    expect(types(diffEvents("03322420", seen, payload({ forecastMeta: { issuanceTime: "2026-10-19T16:00:00.000Z" } })))).toEqual([
+      "forecast",
+    ]);
+  });
+
+  it("says where the hazard moved from", () => {
+    const [[, data]] = diffEvents("03322420", gaugeState(payload()), payload({ hazardCode: 1 }));
+    expect(data).toMatchObject({ site: "03322420", hazardCode: 1, previousHazardCode: 0 });
+  });
+});
+
+describe("cursor", () => {
+  it("round-trips gauge states so a reconnect resumes without repeats", () => {
+    const states = new Map([
+      ["03322420", gaugeState(payload())],
+      ["03303280", gaugeState(payload({ hazardCode: null }))],
+    ]);
+    const resumed = decodeCursor(encodeCursor(states), ["03322420", "03303280"]);
+    expect(resumed).toEqual(states);
+    expect(diffEvents("03322420", resumed.get("03322420"), payload())).toEqual([]);
+  });
+
+  it("drops unsubscribed gauges and malformed parts", () => {
+    const cursor = `${encodeCursor(new Map([["03322420", gaugeState(payload())]]))},junk,03303280:zz:zz:1`;
+    expect([...decodeCursor(cursor, ["03322420"]).keys()]).toEqual(["03322420"]);
+    expect(decodeCursor(cursor, ["03255000"]).size).toBe(0);
+    expect(decodeCursor(undefined, ["03322420"]).size).toBe(0);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * River timeline — day-by-day river state for the map time slider
+ *
+ * Built in the browser from /api/river-data-batch payloads: the past 7 days of
+ * daily highs (`history`) followed by the forecast (`prediction`, up to 7 days).
+ * One frame per Chicago day; the payloads carry daily values only.
+ *
+ * Each station gets, per frame:
+ * - stage (ft): observed daily high, else forecast; interior gaps interpolated
+ * - hazard: same 0–5 scale as the API (src/lib/hazard.js)
+ * - anomaly: departure from normal in rough standard deviations — against the
+ *   USGS day-of-year percentiles (climatology band) when the payload has them,
+ *   otherwise against the station's own mean over the window
+ */
+
+import { classifyStage } from "@/lib/hazard";
+
+// p10–p90 spans ±1.28σ of a normal distribution
+const P10_P90_SIGMAS = 2.56;
+const MIN_FALLBACK_SPREAD_FT = 0.5;
+
+// Anomaly classes for coloring the river, low to high (limits are z-scores)
+export const ANOMALY_CLASSES = [
+  { key: "much-below", max: -1.28, label: "Much below normal", color: "#1d4ed8" },
+  { key: "below", max: -0.67, label: "Below normal", color: "#60a5fa" },
+  { key: "normal", max: 0.67, label: "Normal", color: "#06b6d4" },
+  { key: "above", max: 1.28, label: "Above normal", color: "#f59e0b" },
+  { key: "much-above", max: Infinity, label: "Much above normal", color: "#dc2626" },
+];
+
+const chicagoDayFormat = new Intl.DateTimeFormat("en-CA", {
+  timeZone: "America/Chicago",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+
+function chicagoDayKey(ts) {
+  const d = new Date(ts);
+  if (isNaN(d.getTime())) return null;
+  // en-CA gives YYYY-MM-DD
+  return chicagoDayFormat.format(d);
+}
+
+function byDay(points) {
+  const out = new Map();
+  for (const p of Array.isArray(points) ? points : []) {
+    const day = chicagoDayKey(p?.t);
+    const v = Number(p?.v);
+    if (day && Number.isFinite(v)) out.set(day, v);
+  }
+  return out;
+}
+
+/** Anomaly class for a z-score (null stays null). */
+export function anomalyClass(z) {
+  if (typeof z !== "number" || !Number.isFinite(z)) return null;
+  return ANOMALY_CLASSES.find((c) => z <= c.max);
+}
+
+/**
+ * Fill interior gaps by linear interpolation between known days.
+ * Leading/trailing gaps stay null (no extrapolation).
+ */
+function fillGaps(values) {
+  const out = [...values];
+  let prev = -1;
+  for (let i = 0; i < out.length; i++) {
+    if (out[i] == null) continue;
+    if (prev >= 0 && i - prev > 1) {
+      for (let j = prev + 1; j < i; j++) {
+        out[j] = out[prev] + ((out[i] - out[prev]) * (j - prev)) / (i - prev);
+      }
+    }
+    prev = i;
+  }
+  return out;
+}
+
+function anomalies(days, stages, band) {
+  const normals = new Map();
+  for (const b of Array.isArray(band) ? band : []) {
+    const day = chicagoDayKey(b?.t);
+    if (day && typeof b.p50 === "number" && typeof b.p10 === "number" && typeof b.p90 === "number") {
+      normals.set(day, { median: b.p50, sigma: (b.p90 - b.p10) / P10_P90_SIGMAS });
+    }
+  }
+
+  const known = stages.filter((v) => v != null);
+  const mean = known.length ? known.reduce((a, b) => a + b, 0) / known.length : null;
+  const spread = known.length
+    ? Math.max(MIN_FALLBACK_SPREAD_FT, Math.sqrt(known.reduce((a, v) => a + (v - mean) ** 2, 0) / known.length))
+    : null;
+
+  return days.map((day, i) => {
+    const v = stages[i];
+    if (v == null) return null;
+    const n = normals.get(day);
+    if (n && n.sigma > 0) return +((v - n.median) / n.sigma).toFixed(2);
+    return mean != null ? +((v - mean) / spread).toFixed(2) : null;
+  });
+}
+
+/**
+ * Build the timeline for a river's stations.
+ *
+ * @param {Array<{id: string, name: string, lat: number, lon: number, riverMile: number}>} stations
+ * @param {Record<string, object>} payloads  /api/river-data payloads by station id
+ * @param {Date} [now]
+ * @returns {{
+ *   days: Array<{ day: string, forecast: boolean }>,
+ *   nowIndex: number,
+ *   stations: Array<{ id, name, lat, lon, riverMile, floodStage, frames: Array<{ stage, forecast, hazardCode, hazardLabel, anomaly }> }>
+ * } | null}  null when no station has data
+ */
+export function buildRiverTimeline(stations, payloads, now = new Date()) {
+  const series = (Array.isArray(stations) ? stations : [])
+    .map((s) => {
+      const p = payloads?.[s.id];
+      if (!p) return null;
+      return { station: s, payload: p, observed: byDay(p.history), forecast: byDay(p.prediction) };
+    })
+    .filter(Boolean);
+
+  if (!series.length) return null;
+
+  const today = chicagoDayKey(now);
+  const daySet = new Set();
+  for (const s of series) {
+    for (const d of s.observed.keys()) daySet.add(d);
+    for (const d of s.forecast.keys()) if (d >= today) daySet.add(d);
+  }
+  const dayKeys = [...daySet].sort();
+  if (!dayKeys.length) return null;
+
+  const days = dayKeys.map((day) => ({ day, forecast: day > today }));
+  const lastPast = dayKeys.filter((d) => d <= today).length - 1;
+  const nowIndex = Math.max(0, lastPast);
+
+  const out = series.map(({ station, payload, observed, forecast }) => {
+    const raw = dayKeys.map((d) => (observed.has(d) ? observed.get(d) : forecast.has(d) ? forecast.get(d) : null));
+    const stages = fillGaps(raw);
+    const z = anomalies(dayKeys, stages, payload.climatology?.band);
+    const floodStage = typeof payload.floodStage === "number" ? payload.floodStage : null;
+
+    return {
+      id: station.id,
+      name: station.name,
+      lat: station.lat,
+      lon: station.lon,
+      riverMile: station.riverMile,
+      floodStage,
+      frames: stages.map((v, i) => {
+        const stage = v == null ? null : +v.toFixed(2);
+        const { hazardCode, hazardLabel } = classifyStage(stage, floodStage, payload.floodCategories);
+        return {
+          stage,
+          forecast: stage != null && !observed.has(dayKeys[i]) && dayKeys[i] >= today,
+          hazardCode: stage == null ? null : hazardCode,
+          hazardLabel: stage == null ? null : hazardLabel,
+          anomaly: z[i],
+        };
+      }),
+    };
+  });
+
+  return { days, nowIndex, stations: out };
+}
@@ -0,0 +1,163 @@
+/**
+ * Shared server-side cache for upstream fetches (all API routes)
+ *
+ * - Per-source TTLs (USGS IV is minutes, NWIS statistics a day, ...)
+ * - Request coalescing: concurrent loads of the same key share one fetch
+ * - Stale-if-error: when the upstream fails, the last good value is served
+ *   (flagged stale) for up to STALE_MAX_MS instead of nothing
+ *
+ * A failed load is one that throws or returns null/undefined; failures are
+ * never cached, so the next request retries the upstream.
+ *
+ * Freshness reporting: wrap a route's work in `trackCache(fn)` to learn the
+ * age of the oldest data it used and whether any of it was stale; routes
+ * return these as `cacheAge` (seconds) / `stale`. Inside the tracked function,
+ * `cacheStatus()` reads the same numbers so far.
+ *
+ * The store is per server instance (module memory), like the old lock-status cache,
+ * and holds MAX_ENTRIES; the least recently used entry goes first.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+export const CACHE_TTLS = {
+  "usgs-iv": 5 * MINUTE,
+  "usgs-dv": 6 * HOUR,
+  "usgs-stat": 24 * HOUR,
+  "usgs-site": 24 * HOUR,
+  nwps: 15 * MINUTE,
+  "noaa-map": 6 * HOUR,
+  "open-meteo": 10 * MINUTE,
+  airnow: 30 * MINUTE,
+  openaq: 30 * MINUTE,
+  nominatim: 24 * HOUR,
+  usace: 5 * MINUTE,
+  "cwms-catalog": 24 * HOUR,
+  "nav-notices": 15 * MINUTE,
+  default: 5 * MINUTE,
+};
+
+const STALE_MAX_MS = 24 * HOUR;
+const MAX_ENTRIES = 300;
+
+const store = new Map(); // key -> { value, storedAt, source }
+const inflight = new Map(); // key -> Promise<value>
+const tracking = new AsyncLocalStorage(); // active freshness collector
+
+/** Map an upstream URL to its cache source (TTL class). */
+export function cacheSourceFor(url) {
+  const u = String(url);
+  if (u.includes("waterservices.usgs.gov/nwis/iv")) return "usgs-iv";
+  if (u.includes("waterservices.usgs.gov/nwis/dv")) return "usgs-dv";
+  if (u.includes("waterservices.usgs.gov/nwis/stat")) return "usgs-stat";
+  if (u.includes("waterservices.usgs.gov/nwis/site")) return "usgs-site";
+  if (u.includes("mapservices.weather.noaa.gov")) return "noaa-map";
+  if (u.includes("water.noaa.gov") || u.includes("water.weather.gov")) return "nwps";
+  if (u.includes("open-meteo.com")) return "open-meteo";
+  if (u.includes("airnowapi.org")) return "airnow";
+  if (u.includes("openaq.org")) return "openaq";
+  if (u.includes("nominatim.openstreetmap.org")) return "nominatim";
+  if (u.includes("usace.army.mil")) return "usace";
+  return "default";
+}
+
+function reportFreshness(source, ageMs, stale) {
+  // Every enclosing collector sees it (batch route + each station)
+  for (let c = tracking.getStore(); c; c = c.parent) {
+    c.maxAgeMs = Math.max(c.maxAgeMs, ageMs);
+    if (stale) {
+      c.stale = true;
+      c.staleSources.add(source);
+    }
+  }
+}
+
+// Map order is least recently used first: every hit and store moves its key to the back
+function touch(key, entry) {
+  store.delete(key);
+  store.set(key, entry);
+  return entry;
+}
+
+function remember(key, value, source) {
+  touch(key, { value, storedAt: Date.now(), source });
+  while (store.size > MAX_ENTRIES) store.delete(store.keys().next().value);
+}
+
+/**
+ * Get `key` from the cache or load it.
+ *
+ * @param {string} key
+ * @param {() => Promise<any>} loader  returns the value; null/undefined or a throw = failure
+ * @param {{ source?: string, ttlMs?: number, track?: boolean }} [opts]  track: false keeps
+ *   the entry out of trackCache() freshness (throttles and other bookkeeping, not data)
+ * @returns {Promise<any>} the value (possibly stale), or null when the load failed with nothing cached
+ */
+export async function cached(key, loader, { source = "default", ttlMs, track = true } = {}) {
+  const report = track ? reportFreshness : () => {};
+  const ttl = ttlMs ?? CACHE_TTLS[source] ?? CACHE_TTLS.default;
+  const entry = store.get(key);
+  const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+  if (entry && age < ttl) {
+    report(source, age, false);
+    return touch(key, entry).value;
+  }
+
+  let pending = inflight.get(key);
+  if (!pending) {
+    pending = (async () => {
+      try {
+        const value = await loader();
+        if (value != null) remember(key, value, source);
+        return value ?? null;
+      } catch {
+        return null;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+    inflight.set(key, pending);
+  }
+
+  const value = await pending;
+  if (value != null) {
+    report(source, 0, false);
+    return value;
+  }
+
+  // Stale-if-error
+  const last = store.get(key);
+  if (last && Date.now() - last.storedAt < STALE_MAX_MS) {
+    report(source, Date.now() - last.storedAt, true);
+    return touch(key, last).value;
+  }
+
+  return null;
+}
+
+function summarize(collector) {
+  return {
+    cacheAge: collector ? Math.round(collector.maxAgeMs / 1000) : 0,
+    stale: collector ? collector.stale : false,
+    staleSources: collector ? [...collector.staleSources] : [],
+  };
+}
+
+/**
+ * Run `fn` while collecting freshness of every cached() call it makes.
+ * Resolves to { value, cacheAge, stale, staleSources }.
+ */
+export async function trackCache(fn) {
+  const collector = { parent: tracking.getStore() || null, maxAgeMs: 0, stale: false, staleSources: new Set() };
+  const value = await tracking.run(collector, fn);
+  return { value, ...summarize(collector) };
+}
+
+/** Freshness collected so far by the enclosing trackCache() (zeros outside one). */
+export function cacheStatus() {
+  return summarize(tracking.getStore());
+}
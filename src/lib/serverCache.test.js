@@ -0,0 +1,94 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { cached, CACHE_TTLS, trackCache } from "@/lib/serverCache";
+
+const MAX_ENTRIES = 300; // src/lib/serverCache.js
+const HOUR = 3600000;
+
+// The store is module state shared by every test: keep keys unique
+let n = 0;
+const uniqueKey = (name) => `test:${name}:${++n}`;
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(Date.parse("2026-10-19T12:00:00Z"));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("cached", () => {
+  it("shares one load between concurrent callers", async () => {
+    const key = uniqueKey("coalesce");
+    let release;
+    const loader = vi.fn(() => new Promise((resolve) => (release = resolve)));
+
+    const calls = [cached(key, loader), cached(key, loader), cached(key, loader)];
+    release({ stage: 23.1 });
+    const values = await Promise.all(calls);
+
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(values).toEqual([{ stage: 23.1 }, { stage: 23.1 }, { stage: 23.1 }]);
+    expect(values[1]).toBe(values[0]);
+  });
+
+  it("serves the value until its source's TTL runs out", async () => {
+    const key = uniqueKey("ttl");
+    const loader = vi.fn(async () => ({ at: Date.now() }));
+
+    const first = await cached(key, loader, { source: "usgs-iv" });
+    vi.advanceTimersByTime(CACHE_TTLS["usgs-iv"] - 1);
+    expect(await cached(key, loader, { source: "usgs-iv" })).toBe(first);
+    vi.advanceTimersByTime(1);
+    expect(await cached(key, loader, { source: "usgs-iv" })).not.toBe(first);
+    expect(loader).toHaveBeenCalledTimes(2);
+  });
+
+  it("never caches a failure", async () => {
+    const key = uniqueKey("failure");
+    const loader = vi.fn().mockResolvedValueOnce(null).mockRejectedValueOnce(new Error("503")).mockResolvedValue("ok");
+
+    expect(await cached(key, loader)).toBeNull();
+    expect(await cached(key, loader)).toBeNull();
+    expect(await cached(key, loader)).toBe("ok");
+    expect(loader).toHaveBeenCalledTimes(3);
+  });
+
+  it("serves the last good value, flagged stale, when the upstream fails", async () => {
+    const key = uniqueKey("stale");
+    await cached(key, async () => "good", { source: "nwps" });
+
+    vi.advanceTimersByTime(2 * HOUR);
+    const failing = async () => {
+      throw new Error("upstream down");
+    };
+    const out = await trackCache(() => cached(key, failing, { source: "nwps" }));
+    expect(out).toEqual({ value: "good", cacheAge: 2 * 3600, stale: true, staleSources: ["nwps"] });
+
+    // Past STALE_MAX_MS (a day) there is nothing left to serve
+    vi.advanceTimersByTime(22 * HOUR);
+    expect(await cached(key, failing, { source: "nwps" })).toBeNull();
+  });
+
+  it("evicts the least recently used entry, not the oldest stored", async () => {
+    const keys = Array.from({ length: MAX_ENTRIES }, (_, i) => uniqueKey(`lru-${i}`));
+    for (const key of keys) await cached(key, async () => key);
+
+    // Use the first entry again, then push one more past the limit
+    const reload = vi.fn(async () => "reloaded");
+    expect(await cached(keys[0], reload)).toBe(keys[0]);
+    await cached(uniqueKey("lru-extra"), async () => "extra");
+
+    expect(await cached(keys[0], reload)).toBe(keys[0]);
+    expect(await cached(keys[1], reload)).toBe("reloaded");
+    expect(reload).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps untracked entries out of freshness reporting", async () => {
+    const key = uniqueKey("untracked");
+    await cached(key, async () => "x", { track: false });
+    vi.advanceTimersByTime(60000);
+    const out = await trackCache(() => cached(key, async () => "y", { track: false }));
+    expect(out).toMatchObject({ value: "x", cacheAge: 0, stale: false });
+  });
+});
@@ -92,30 +92,51 @@ export function filterStationsByLockProximity(stations, locks, proximityFeet = 1
   });
 }
 
+// Hazard scale shared with /api/river-data. Codes 0–3 come from the
+// percent-of-flood-stage fallback; NWS flood categories map onto the same
+// scale (action → 1, minor → 3, moderate → 4, major → 5).
+const HAZARD_COLORS = {
+  0: '#10b981', // Green - Normal
+  1: '#f59e0b', // Yellow - Elevated / Action Stage
+  2: '#ef5350', // Orange - Near Flood
+  3: '#c63d0f', // Red - Flooding / Minor Flooding
+  4: '#991b1b', // Dark red - Moderate Flooding
+  5: '#7e22ce', // Purple - Major Flooding
+};
+
+const HAZARD_LABELS = {
+  0: 'Normal',
+  1: 'Elevated',
+  2: 'Near Flood',
+  3: 'Flooding',
+  4: 'Moderate Flooding',
+  5: 'Major Flooding',
+};
+
+// NWS flood category (API `floodCategory`) → hazard code + label
+export const FLOOD_CATEGORY_LEVELS = {
+  none: { hazardCode: 0, label: 'Normal' },
+  action: { hazardCode: 1, label: 'Action Stage' },
+  minor: { hazardCode: 3, label: 'Minor Flooding' },
+  moderate: { hazardCode: 4, label: 'Moderate Flooding' },
+  major: { hazardCode: 5, label: 'Major Flooding' },
+};
+
 /**
- * Get hazard level color for station based on water conditions
+ * Get hazard level color for station based on water conditions.
+ * An NWS `floodCategory`, when present, takes precedence over the code.
  */
-export function getStationHazardColor(hazardCode) {
-  const hazardLevels = {
-    0: '#10b981', // Green - Normal
-    1: '#f59e0b', // Yellow - Elevated
-    2: '#ef5350', // Orange - Near Flood
-    3: '#c63d0f', // Red - Flooding
-  };
-  
-  return hazardLevels[hazardCode] || hazardLevels[0];
+export function getStationHazardColor(hazardCode, floodCategory) {
+  const code = FLOOD_CATEGORY_LEVELS[floodCategory]?.hazardCode ?? hazardCode;
+  return HAZARD_COLORS[code] || HAZARD_COLORS[0];
 }
 
 /**
- * Get hazard label text
+ * Get hazard label text.
+ * An NWS `floodCategory`, when present, takes precedence over the code.
  */
-export function getHazardLabel(hazardCode) {
-  const labels = {
-    0: 'Normal',
-    1: 'Elevated',
-    2: 'Near Flood',
-    3: 'Flooding',
-  };
-  
-  return labels[hazardCode] || 'Unknown';
+export function getHazardLabel(hazardCode, floodCategory) {
+  const category = FLOOD_CATEGORY_LEVELS[floodCategory];
+  if (category) return category.label;
+  return HAZARD_LABELS[hazardCode] || 'Unknown';
 }
@@ -0,0 +1,356 @@
+// Station registry: rivers, gauges and locks & dams (each river ordered upstream ➜ downstream).
+// The one place station metadata lives; pages, maps and API routes read it from here
+// and /api/stations serves it with filters.
+//
+// Rivers:  id, name, gnisName (NHD name for outlines), bbox [w, s, e, n], milesIncrease
+//          ("downstream" on the Ohio, "upstream" on tributaries), mileOrigin,
+//          mouth ({ river, riverMile } where it joins; null for the Ohio), defaultGaugeId
+// Gauges:  id (= USGS site id), usgsId, ahps (NWS gauge id from data/gauge-flood-info.json;
+//          null = auto-discover), river, name, state, lat, lon, riverMile, timezone,
+//          floodCategories ({ action, minor, moderate, major } stages in ft from
+//          data/gauge-flood-info.json; null = read from NWPS gauge metadata), lockId (paired lock),
+//          datum ({ elevationFt, vertical, accuracyFt } elevation of the gauge zero, e.g. NAVD88,
+//          from data/gauge-datums.json; null = read from the USGS site record),
+//          pool (reads a regulated pool; null = when its paired lock has a normalPool,
+//          false for tailwater gauges at a lock)
+// Locks:   id (Ohio: USACE lock number; tributaries: "<river>-<name>"), river, name, state,
+//          lat, lon, riverMile, timezone, district (USACE district office),
+//          gaugeId (paired gauge; null when no gauge sits at the dam),
+//          cwms (CWMS location id in the district's database), cwmsTsids
+//          ({ upperPool, lowerPool, outflow } CWMS time-series ids from data/cwms-tsids.json;
+//          null = look them up in the CWMS catalog), normalPool (normal upper pool elevation, ft, from the
+//          navigation charts; null = not listed)
+//
+// riverMile uses each river's own mile system (Ohio: miles below Pittsburgh;
+// tributaries: miles above the mouth); used for upstream routing travel times.
+// Coordinates sourced from USGS site records, USACE facility references and public nav charts.
+
+import CWMS_TSIDS from "../../data/cwms-tsids.json";
+import GAUGE_DATUMS from "../../data/gauge-datums.json";
+import GAUGE_FLOOD_INFO from "../../data/gauge-flood-info.json";
+
+export const STATION_TYPES = ["gauge", "lock"];
+
+export const DEFAULT_RIVER = "ohio";
+
+export const RIVERS = [
+  {
+    id: "ohio",
+    name: "Ohio River",
+    gnisName: "Ohio River",
+    bbox: [-89.3, 36.9, -79.9, 40.8],
+    milesIncrease: "downstream",
+    mileOrigin: "Pittsburgh, PA (Point State Park)",
+    mouth: null,
+    defaultGaugeId: "03322420",
+  },
+  {
+    id: "kanawha",
+    name: "Kanawha River",
+    gnisName: "Kanawha River",
+    bbox: [-82.2, 38.0, -81.1, 38.9],
+    milesIncrease: "upstream",
+    mileOrigin: "Mouth at Point Pleasant, WV",
+    mouth: { river: "ohio", riverMile: 265.7 },
+    defaultGaugeId: "03198000",
+  },
+  {
+    id: "kentucky",
+    name: "Kentucky River",
+    gnisName: "Kentucky River",
+    bbox: [-85.2, 37.6, -83.9, 38.7],
+    milesIncrease: "upstream",
+    mileOrigin: "Mouth at Carrollton, KY",
+    mouth: { river: "ohio", riverMile: 545.8 },
+    defaultGaugeId: "03287500",
+  },
+  {
+    id: "green",
+    name: "Green River",
+    gnisName: "Green River",
+    bbox: [-87.7, 37.0, -86.0, 37.9],
+    milesIncrease: "upstream",
+    mileOrigin: "Mouth near Henderson, KY",
+    mouth: { river: "ohio", riverMile: 784.2 },
+    defaultGaugeId: "03320000",
+  },
+  {
+    id: "cumberland",
+    name: "Cumberland River",
+    gnisName: "Cumberland River",
+    bbox: [-88.5, 35.9, -85.6, 37.2],
+    milesIncrease: "upstream",
+    mileOrigin: "Mouth at Smithland, KY",
+    mouth: { river: "ohio", riverMile: 920.4 },
+    defaultGaugeId: "03431500",
+  },
+  {
+    id: "tennessee",
+    name: "Tennessee River",
+    gnisName: "Tennessee River",
+    bbox: [-88.7, 34.4, -83.8, 37.1],
+    milesIncrease: "upstream",
+    mileOrigin: "Mouth at Paducah, KY",
+    mouth: { river: "ohio", riverMile: 934.5 },
+    defaultGaugeId: "03593500",
+  },
+];
+
+const ET = "America/New_York";
+const CT = "America/Chicago";
+
+const gauge = (id, name, state, lat, lon, riverMile, timezone, extra = {}) => ({
+  type: "gauge",
+  id,
+  usgsId: id,
+  // NWS gauge ids and flood categories from NWPS (data/resolve-gauge-flood-info.mjs writes the file)
+  ahps: GAUGE_FLOOD_INFO.gauges?.[id]?.ahps ?? null,
+  name,
+  state,
+  lat,
+  lon,
+  riverMile,
+  timezone,
+  floodCategories: GAUGE_FLOOD_INFO.gauges?.[id]?.floodCategories ?? null,
+  lockId: null,
+  // Gauge-zero elevations from the USGS site records (data/resolve-gauge-datums.mjs writes the file)
+  datum: GAUGE_DATUMS.gauges?.[id] ?? null,
+  pool: null,
+  ...extra,
+});
+
+const lock = (id, name, state, lat, lon, riverMile, timezone, district, gaugeId = null, extra = {}) => ({
+  type: "lock",
+  id,
+  name,
+  state,
+  lat,
+  lon,
+  riverMile,
+  timezone,
+  district,
+  gaugeId,
+  cwms: null,
+  cwmsTsids: null,
+  normalPool: null,
+  ...extra,
+});
+
+// Tag every station in `list` with its river
+const onRiver = (river, list) => list.map((s) => ({ ...s, river }));
+
+// CWMS time-series ids per lock, resolved from the CWMS Data API catalog of
+// each lock's district (data/resolve-cwms-tsids.mjs writes the file)
+const withCwmsTsids = (l) => ({ ...l, cwmsTsids: CWMS_TSIDS.locks?.[l.id]?.tsids ?? null });
+
+export const ohioRiverStations = onRiver("ohio", [
+  gauge("03085152", "Pittsburgh, PA", "PA", 40.44, -79.99, 0, ET),
+  gauge("03086000", "Dashields L&D, PA", "PA", 40.52, -80.2, 6, ET, { lockId: 2 }),
+  gauge("03108500", "Montgomery L&D, PA", "PA", 40.64, -80.4, 32, ET, { lockId: 3 }),
+  gauge("03110690", "New Cumberland L&D, WV", "WV", 40.51, -80.65, 54, ET, { lockId: 4 }),
+  gauge("03111520", "Pike Island L&D, WV", "WV", 40.09, -80.69, 84, ET, { lockId: 5 }),
+  gauge("03112500", "Wheeling, WV", "WV", 40.06, -80.72, 88, ET),
+  gauge("03114280", "Hannibal L&D, OH", "OH", 39.67, -80.87, 126, ET, { lockId: 6 }),
+  gauge("03150700", "Marietta, OH", "OH", 39.42, -81.46, 175, ET),
+  gauge("03151000", "Parkersburg, WV", "WV", 39.27, -81.56, 192, ET),
+  gauge("390707081443202", "Belleville L&D, WV", "WV", 39.07, -81.44, 204, ET, { lockId: 8 }),
+  gauge("03159870", "Racine L&D, WV", "WV", 38.93, -82.12, 237, ET, { lockId: 9 }),
+  gauge("03201500", "Point Pleasant, WV", "WV", 38.84, -82.13, 252, ET),
+  gauge("03206000", "Near Huntington, WV", "WV", 38.41, -82.39, 302, ET),
+  gauge("03216000", "Ashland, KY", "KY", 38.47, -82.63, 314, ET),
+  gauge("03216600", "Greenup L&D, KY", "KY", 38.57, -82.84, 341, ET, { lockId: 11 }),
+  gauge("03217200", "Portsmouth, OH", "OH", 38.73, -83.01, 358, ET),
+  gauge("03238000", "Maysville, KY", "KY", 38.64, -83.77, 404, ET),
+  gauge("03238680", "Meldahl L&D, OH", "OH", 38.78, -84.1, 436, ET, { lockId: 12 }),
+  gauge("03255000", "Cincinnati, OH", "OH", 39.1, -84.51, 471, ET),
+  gauge("03277200", "Markland Lower, KY", "KY", 38.78, -84.94, 531, ET, { lockId: 13, pool: false }),
+  gauge("03293551", "McAlpine Upper, KY", "KY", 38.27, -85.79, 584, ET, { lockId: 14 }),
+  gauge("03294500", "McAlpine Lower, KY", "KY", 38.26, -85.8, 606, ET, { lockId: 14, pool: false }),
+  gauge("03303280", "Cannelton L&D, IN", "IN", 37.91, -86.75, 720, CT, { lockId: 15 }),
+  gauge("03304300", "Newburgh L&D, IN", "IN", 37.93, -87.38, 776, CT, { lockId: 16 }),
+  gauge("03322000", "Evansville, IN", "IN", 37.97, -87.57, 792, CT),
+  gauge("03322190", "Henderson, KY", "KY", 37.84, -87.58, 813, CT),
+  gauge("03380000", "Mt. Vernon, IN", "IN", 37.82, -87.88, 823, CT),
+  gauge("03322420", "J.T. Myers L&D, KY", "KY", 37.78, -87.98, 846, CT, { ahps: "UNVK2", lockId: 17 }),
+  gauge("03381700", "Shawneetown, IL", "IL", 37.69, -88.14, 865, CT),
+  gauge("03384500", "Golconda, IL", "IL", 37.36, -88.48, 918, CT),
+  gauge("03399800", "Smithland L&D, KY", "KY", 37.15, -88.44, 919, CT, { lockId: 18 }),
+  gauge("03612500", "Metropolis, IL", "IL", 37.15, -88.73, 935, CT),
+  gauge("07022000", "Cairo, IL (Mouth)", "IL", 36.99, -89.18, 981, CT),
+]);
+
+export const ohioRiverLocks = onRiver("ohio", [
+  lock(1, "Emsworth L&D", "PA", 40.5109, -80.0830, 6.2, ET, "LRP", null, { cwms: "Emsworth", normalPool: 710.0 }),
+  lock(2, "Dashields L&D", "PA", 40.5230, -80.1986, 13.3, ET, "LRP", "03086000", { cwms: "Dashields", normalPool: 692.0 }),
+  lock(3, "Montgomery L&D", "PA", 40.6517, -80.4039, 31.7, ET, "LRP", "03108500", { cwms: "Montgomery", normalPool: 682.0 }),
+  lock(4, "New Cumberland L&D", "WV", 40.5086, -80.6539, 54.4, ET, "LRP", "03110690", { cwms: "NewCumberland", normalPool: 664.5 }),
+  lock(5, "Pike Island L&D", "WV", 40.0950, -80.7019, 84.2, ET, "LRP", "03111520", { cwms: "PikeIsland", normalPool: 644.0 }),
+  lock(6, "Hannibal L&D", "OH", 39.6668, -80.8736, 126.4, ET, "LRP", "03114280", { cwms: "Hannibal", normalPool: 623.0 }),
+  lock(7, "Willow Island L&D", "WV", 39.3677, -81.2223, 161.7, ET, "LRH", null, { cwms: "WillowIsland", normalPool: 602.0 }),
+  lock(8, "Belleville L&D", "WV", 39.0170, -81.7770, 204.0, ET, "LRH", "390707081443202", { cwms: "Belleville", normalPool: 582.0 }),
+  lock(9, "Racine L&D", "WV", 38.9345, -82.1556, 237.5, ET, "LRH", "03159870", { cwms: "Racine", normalPool: 560.0 }),
+  lock(10, "Robert C. Byrd L&D", "WV", 38.6783, -82.1959, 279.2, ET, "LRH", null, { cwms: "RCByrd", normalPool: 538.0 }),
+  lock(11, "Greenup L&D", "KY", 38.5582, -82.8434, 341.0, ET, "LRH", "03216600", { cwms: "Greenup", normalPool: 515.0 }),
+  lock(12, "Captain A. Meldahl L&D", "OH", 38.7808, -84.1418, 436.2, ET, "LRH", "03238680", { cwms: "Meldahl", normalPool: 485.0 }),
+  lock(13, "Markland L&D", "KY", 38.7785, -84.9694, 531.5, ET, "LRL", "03277200", { cwms: "Markland", normalPool: 455.0 }),
+  lock(14, "McAlpine L&D", "KY", 38.2766, -85.8070, 604.5, ET, "LRL", "03293551", { cwms: "McAlpine", normalPool: 420.0 }),
+  lock(15, "Cannelton L&D", "IN", 37.9111, -86.8080, 720.7, CT, "LRL", "03303280", { cwms: "Cannelton", normalPool: 383.0 }),
+  lock(16, "Newburgh L&D", "IN", 37.9360, -87.3810, 776.1, CT, "LRL", "03304300", { cwms: "Newburgh", normalPool: 358.0 }),
+  lock(17, "J.T. Myers L&D", "KY", 37.7816, -87.9820, 846.0, CT, "LRL", "03322420", { cwms: "JTMyers", normalPool: 342.0 }),
+  lock(18, "Smithland L&D", "KY", 37.1486, -88.4550, 918.5, CT, "LRL", "03399800", { cwms: "Smithland", normalPool: 324.0 }),
+  // Olmsted is a wicket dam: most of the year the wickets are down and it runs
+  // open river, so there's no fixed normal pool to chart (normalPool stays null
+  // and pool-vs-normal / normal head are omitted; measured head still shows)
+  lock(19, "Olmsted L&D", "IL", 37.1817, -89.0492, 964.4, CT, "LRL", null, { cwms: "Olmsted" }),
+]).map(withCwmsTsids);
+
+const tributaryGauges = [
+  ...onRiver("kanawha", [
+    gauge("03193000", "Kanawha Falls, WV", "WV", 38.14, -81.21, 95.0, ET),
+    gauge("03198000", "Charleston, WV", "WV", 38.37, -81.7, 58.0, ET),
+  ]),
+  ...onRiver("kentucky", [
+    gauge("03287500", "Lock 4 at Frankfort, KY", "KY", 38.2, -84.88, 65.0, ET, { lockId: "kentucky-lock-4" }),
+    gauge("03290500", "Lock 2 at Lockport, KY", "KY", 38.44, -84.96, 31.0, ET, { lockId: "kentucky-lock-2" }),
+  ]),
+  ...onRiver("green", [
+    gauge("03320000", "Lock 2 at Calhoun, KY", "KY", 37.54, -87.26, 63.1, CT, { lockId: "green-lock-2" }),
+    gauge("03321230", "Spottsville, KY", "KY", 37.85, -87.41, 9.1, CT, { lockId: "green-lock-1" }),
+  ]),
+  ...onRiver("cumberland", [
+    gauge("03431500", "Nashville, TN", "TN", 36.17, -86.77, 190.5, CT),
+  ]),
+  ...onRiver("tennessee", [
+    gauge("03568000", "Chattanooga, TN", "TN", 35.09, -85.28, 464.2, ET),
+    gauge("03575500", "Whitesburg, AL", "AL", 34.57, -86.56, 333.4, CT),
+    gauge("03593500", "Savannah, TN", "TN", 35.22, -88.26, 190.6, CT),
+    gauge("03609500", "Near Paducah, KY", "KY", 37.02, -88.27, 21.9, CT, { lockId: "tennessee-kentucky" }),
+  ]),
+];
+
+const tributaryLocks = [
+  ...onRiver("kanawha", [
+    lock("kanawha-london", "London L&D", "WV", 38.194, -81.37, 82.8, ET, "LRH"),
+    lock("kanawha-marmet", "Marmet L&D", "WV", 38.248, -81.569, 67.7, ET, "LRH"),
+    lock("kanawha-winfield", "Winfield L&D", "WV", 38.527, -81.915, 31.1, ET, "LRH"),
+  ]),
+  ...onRiver("kentucky", [
+    lock("kentucky-lock-4", "Kentucky Lock 4 (Frankfort)", "KY", 38.2, -84.878, 65.0, ET, "LRL", "03287500"),
+    lock("kentucky-lock-3", "Kentucky Lock 3 (Monterey)", "KY", 38.42, -84.87, 42.0, ET, "LRL"),
+    lock("kentucky-lock-2", "Kentucky Lock 2 (Lockport)", "KY", 38.44, -84.96, 31.0, ET, "LRL", "03290500"),
+    lock("kentucky-lock-1", "Kentucky Lock 1 (Carrollton)", "KY", 38.66, -85.14, 4.0, ET, "LRL"),
+  ]),
+  ...onRiver("green", [
+    lock("green-lock-2", "Green River Lock 2 (Calhoun)", "KY", 37.54, -87.26, 63.1, CT, "LRL", "03320000"),
+    lock("green-lock-1", "Green River Lock 1 (Spottsville)", "KY", 37.85, -87.41, 9.1, CT, "LRL", "03321230"),
+  ]),
+  ...onRiver("cumberland", [
+    lock("cumberland-cordell-hull", "Cordell Hull L&D", "TN", 36.29, -85.94, 313.5, CT, "LRN"),
+    lock("cumberland-old-hickory", "Old Hickory L&D", "TN", 36.296, -86.656, 216.2, CT, "LRN"),
+    lock("cumberland-cheatham", "Cheatham L&D", "TN", 36.32, -87.22, 148.7, CT, "LRN"),
+    lock("cumberland-barkley", "Barkley L&D", "KY", 37.021, -88.222, 30.6, CT, "LRN"),
+  ]),
+  ...onRiver("tennessee", [
+    lock("tennessee-fort-loudoun", "Fort Loudoun L&D", "TN", 35.79, -84.24, 602.3, ET, "LRN"),
+    lock("tennessee-watts-bar", "Watts Bar L&D", "TN", 35.62, -84.78, 529.9, ET, "LRN"),
+    lock("tennessee-chickamauga", "Chickamauga L&D", "TN", 35.1, -85.23, 471.0, ET, "LRN"),
+    lock("tennessee-nickajack", "Nickajack L&D", "TN", 35.0, -85.62, 424.7, CT, "LRN"),
+    lock("tennessee-guntersville", "Guntersville L&D", "AL", 34.42, -86.39, 349.0, CT, "LRN"),
+    lock("tennessee-wheeler", "Wheeler L&D", "AL", 34.8, -87.38, 274.9, CT, "LRN"),
+    lock("tennessee-wilson", "Wilson L&D", "AL", 34.8, -87.63, 259.4, CT, "LRN"),
+    lock("tennessee-pickwick", "Pickwick L&D", "TN", 35.07, -88.25, 206.7, CT, "LRN"),
+    lock("tennessee-kentucky", "Kentucky L&D", "KY", 37.013, -88.268, 22.4, CT, "LRN", "03609500"),
+  ]),
+].map(withCwmsTsids);
+
+/** Every gauge / lock on every river. */
+export const allGauges = [...ohioRiverStations, ...tributaryGauges];
+export const allLocks = [...ohioRiverLocks, ...tributaryLocks];
+
+/** River by id (null when unknown). */
+export function getRiver(id) {
+  return RIVERS.find((r) => r.id === id) || null;
+}
+
+// Position along the river counting downstream, whichever way its miles run
+function downstreamPosition(s) {
+  return getRiver(s.river)?.milesIncrease === "upstream" ? -s.riverMile : s.riverMile;
+}
+
+function byRiverThenDownstream(a, b) {
+  const ra = RIVERS.findIndex((r) => r.id === a.river);
+  const rb = RIVERS.findIndex((r) => r.id === b.river);
+  return ra - rb || downstreamPosition(a) - downstreamPosition(b);
+}
+
+/** Every station (gauges and locks), river by river, upstream ➜ downstream. */
+export const stationRegistry = [...allGauges, ...allLocks].sort(byRiverThenDownstream);
+
+/** Gauges on one river, upstream ➜ downstream. */
+export function getRiverGauges(riverId) {
+  return allGauges.filter((s) => s.river === riverId).sort(byRiverThenDownstream);
+}
+
+/** Locks on one river, upstream ➜ downstream. */
+export function getRiverLocks(riverId) {
+  return allLocks.filter((l) => l.river === riverId).sort(byRiverThenDownstream);
+}
+
+/**
+ * Miles from `from` down to `to` on the same river (negative when `to` is upstream).
+ * Null across rivers.
+ */
+export function milesDownstream(from, to) {
+  if (!from || !to || from.river !== to.river) return null;
+  return downstreamPosition(to) - downstreamPosition(from);
+}
+
+/** Gauge by USGS site id. */
+export function getGauge(id) {
+  return allGauges.find((s) => s.id === String(id)) || null;
+}
+
+/** Lock by id (Ohio lock number or tributary slug). */
+export function getLock(id) {
+  return allLocks.find((l) => String(l.id) === String(id)) || null;
+}
+
+/**
+ * Whether a gauge reads a regulated pool (held near the dam's normal pool, so
+ * readings can sit unchanged for hours): its `pool` flag, else whether its
+ * paired lock has a normal pool.
+ */
+export function isPoolGauge(gaugeOrId) {
+  const g = typeof gaugeOrId === "object" ? gaugeOrId : getGauge(gaugeOrId);
+  if (!g) return false;
+  if (typeof g.pool === "boolean") return g.pool;
+  return g.lockId != null && getLock(g.lockId)?.normalPool != null;
+}
+
+/** A lock's paired gauge (river data for the dam). */
+export function getLockGauge(lockOrId) {
+  const l = typeof lockOrId === "object" ? lockOrId : getLock(lockOrId);
+  return l?.gaugeId ? getGauge(l.gaugeId) : null;
+}
+
+/**
+ * Filter the registry.
+ *
+ * @param {{ river?: string, type?: string|string[], minMile?: number, maxMile?: number, state?: string }} [filters]
+ * @returns {object[]} matching stations, river by river, upstream ➜ downstream
+ */
+export function findStations({ river, type, minMile, maxMile, state } = {}) {
+  const types = type == null ? null : Array.isArray(type) ? type : [type];
+  const lo = Number.isFinite(minMile) ? minMile : -Infinity;
+  const hi = Number.isFinite(maxMile) ? maxMile : Infinity;
+  const st = state ? String(state).toUpperCase() : null;
+
+  return stationRegistry.filter(
+    (s) =>
+      (!river || s.river === river) &&
+      (!types || types.includes(s.type)) &&
+      s.riverMile >= lo &&
+      s.riverMile <= hi &&
+      (!st || s.state === st)
+  );
+}
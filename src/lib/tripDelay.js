@@ -0,0 +1,169 @@
+/**
+ * Trip delay estimator — expected lockage delay between two river miles (server-side)
+ *
+ * Walks the locks between the start and end mile in travel order and, at each
+ * one, adds up:
+ * - wait:     the lock's averageWaitTime from lock status, or its queue ×
+ *             LOCKAGE_MINUTES per open chamber when that is longer
+ * - lockage:  LOCKAGE_MINUTES through the chamber itself
+ * - closure:  when a closure notice covers the arrival time, the time until it
+ *             lifts (its end date, or the notice lifting it; neither = the trip
+ *             is `blocked` there and the total is a lower bound)
+ * A chamber outage halves throughput (wait × CHAMBER_OUTAGE_FACTOR); restricted
+ * hours add RESTRICTED_HOURS_FACTOR since lockages may be held for hours.
+ *
+ * Arrival times at each lock come from the departure time, the tow's speed
+ * over the water and the delays so far, and each lock's notices are checked at
+ * that arrival time (all of them, not just those within lock status' upcoming
+ * window), so closures scheduled later in the trip are caught too. Lock status
+ * comes through the shared server cache (see src/lib/lockStatus.js); modeled
+ * locks carry their confidence through. A lock whose status can't be loaded
+ * has an unknown wait (`waitMinutes: null`, listed in `unknownAt`): the totals
+ * leave it out and the trip's confidence drops with the share of such locks.
+ */
+
+import { findStations, getRiver } from "@/lib/stations";
+import { getLockStatus } from "@/lib/lockStatus";
+import { getNavNotices, noticeEndMs, noticeInEffect } from "@/lib/navNotices";
+import { LOCKAGE_MINUTES } from "@/lib/lockActivity";
+import { mapWithConcurrency } from "@/lib/concurrency";
+
+export const DEFAULT_TOW_SPEED_MPH = 5;
+
+const CHAMBERS = 2;
+const CHAMBER_OUTAGE_FACTOR = 2;
+const RESTRICTED_HOURS_FACTOR = 1.5;
+const STATUS_CONCURRENCY = 4;
+
+/**
+ * Delay at one lock for a tow arriving at `arrivalMs`; `status` null = unknown
+ * wait, `notices` every notice for the lock.
+ */
+function lockDelay(status, notices, arrivalMs) {
+  // In effect at arrival by the notices' own rule (open-ended ones run until lifted)
+  const inEffect = notices.filter((n) => noticeInEffect(n, arrivalMs, notices));
+  const closure = inEffect.find((n) => n.type === "closure");
+  const outage = inEffect.find((n) => n.type === "chamber-outage");
+  const restricted = inEffect.find((n) => n.type === "restricted-hours");
+
+  let queueLength = null;
+  let waitMinutes = null;
+  if (status) {
+    const openChambers = outage ? CHAMBERS - 1 : CHAMBERS;
+    queueLength = status.queueLength ?? 0;
+    waitMinutes = Math.max(status.averageWaitTime ?? 0, (queueLength * LOCKAGE_MINUTES) / openChambers);
+    if (outage) waitMinutes *= CHAMBER_OUTAGE_FACTOR;
+    if (restricted) waitMinutes *= RESTRICTED_HOURS_FACTOR;
+  }
+
+  // Open-ended closures end when a lifting notice says so; none yet = blocked
+  const closureEnd = closure ? noticeEndMs(closure, notices) : null;
+  const lifts = Number.isFinite(closureEnd);
+  const closureMinutes = closure && lifts ? Math.max(0, (closureEnd - arrivalMs) / 60000) : 0;
+
+  return {
+    queueLength,
+    waitMinutes: waitMinutes == null ? null : Math.round(waitMinutes),
+    lockageMinutes: LOCKAGE_MINUTES,
+    closureMinutes: Math.round(closureMinutes),
+    blocked: Boolean(closure && !lifts),
+    notices: inEffect.map(({ id, type, severity, scheduled, chamber, title, start, end }) => ({
+      id,
+      type,
+      severity,
+      scheduled,
+      chamber,
+      title,
+      start,
+      end,
+    })),
+  };
+}
+
+/**
+ * Expected lockage delay for a trip.
+ *
+ * @param {{ river?: string, fromMile: number, toMile: number, speedMph?: number, departure?: Date }} trip
+ * @returns {Promise<object>} per-lock breakdown (travel order) and totals, in minutes
+ */
+export async function estimateTripDelay({ river = "ohio", fromMile, toMile, speedMph = DEFAULT_TOW_SPEED_MPH, departure = new Date() }) {
+  const lo = Math.min(fromMile, toMile);
+  const hi = Math.max(fromMile, toMile);
+  const milesUp = toMile > fromMile; // mile numbers increasing along the trip
+  const downbound = getRiver(river)?.milesIncrease === "downstream" ? milesUp : !milesUp;
+
+  // Locks strictly between the two miles: starting or ending at a dam doesn't lock through it
+  const locks = findStations({ river, type: "lock", minMile: lo, maxMile: hi })
+    .filter((l) => l.riverMile > lo && l.riverMile < hi)
+    .sort((a, b) => (milesUp ? a.riverMile - b.riverMile : b.riverMile - a.riverMile));
+
+  const [statuses, notices] = await Promise.all([
+    mapWithConcurrency(locks, STATUS_CONCURRENCY, async (lock) => {
+      try {
+        return await getLockStatus(lock.id, lock.name);
+      } catch (err) {
+        return null;
+      }
+    }),
+    getNavNotices().catch(() => []),
+  ]);
+
+  const start = departure.getTime();
+  let delaySoFar = 0;
+  const breakdown = locks.map((lock, i) => {
+    const status = statuses[i];
+    const transitMinutes = (Math.abs(lock.riverMile - fromMile) / speedMph) * 60;
+    const arrivalMs = start + (transitMinutes + delaySoFar) * 60000;
+    const delay = lockDelay(
+      status,
+      notices.filter((n) => String(n.lockId) === String(lock.id)),
+      arrivalMs
+    );
+    const delayMinutes = (delay.waitMinutes ?? 0) + delay.lockageMinutes + delay.closureMinutes;
+    delaySoFar += delayMinutes;
+
+    return {
+      lockId: lock.id,
+      name: lock.name,
+      riverMile: lock.riverMile,
+      eta: new Date(arrivalMs).toISOString(),
+      ...delay,
+      delayMinutes,
+      source: status?.source ?? "unavailable",
+      realTimeData: status?.realTimeData ?? false,
+      confidence: status?.confidence ?? (status?.realTimeData ? 1 : null),
+    };
+  });
+
+  const transitMinutes = Math.round(((hi - lo) / speedMph) * 60);
+  const totalDelayMinutes = breakdown.reduce((sum, l) => sum + l.delayMinutes, 0);
+  const unknown = breakdown.filter((l) => l.waitMinutes == null);
+  const confidences = breakdown.map((l) => l.confidence).filter((c) => c != null);
+  const weakest = confidences.length ? Math.min(...confidences) : null;
+
+  return {
+    river,
+    fromMile,
+    toMile,
+    direction: downbound ? "downbound" : "upbound",
+    speedMph,
+    departure: departure.toISOString(),
+    locks: breakdown,
+    lockCount: breakdown.length,
+    totalWaitMinutes: breakdown.reduce((sum, l) => sum + (l.waitMinutes ?? 0), 0),
+    totalLockageMinutes: breakdown.reduce((sum, l) => sum + l.lockageMinutes, 0),
+    totalClosureMinutes: breakdown.reduce((sum, l) => sum + l.closureMinutes, 0),
+    totalDelayMinutes,
+    transitMinutes,
+    totalMinutes: transitMinutes + totalDelayMinutes,
+    arrival: new Date(start + (transitMinutes + totalDelayMinutes) * 60000).toISOString(),
+    blocked: breakdown.some((l) => l.blocked),
+    blockedAt: breakdown.filter((l) => l.blocked).map((l) => l.lockId),
+    unknownAt: unknown.map((l) => l.lockId),
+    // The weakest estimate on the route (null when no lock reported one), scaled
+    // by the share of locks whose wait is known at all
+    confidence: unknown.length
+      ? +(((weakest ?? 1) * (breakdown.length - unknown.length)) / breakdown.length).toFixed(2)
+      : weakest,
+  };
+}
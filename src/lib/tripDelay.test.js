@@ -0,0 +1,127 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { getLockStatus } from "@/lib/lockStatus";
+import { getNavNotices } from "@/lib/navNotices";
+import { LOCKAGE_MINUTES } from "@/lib/lockActivity";
+import { estimateTripDelay } from "@/lib/tripDelay";
+import handler from "@/pages/api/trip-delay";
+
+vi.mock("@/lib/lockStatus", () => ({ getLockStatus: vi.fn() }));
+vi.mock("@/lib/navNotices", async (importOriginal) => ({ ...(await importOriginal()), getNavNotices: vi.fn() }));
+
+const HOUR = 3600000;
+const departure = new Date("2026-10-20T12:00:00Z");
+const at = (hours) => new Date(departure.getTime() + hours * HOUR).toISOString();
+
+// Mile 500 -> 700 on the Ohio passes Markland (13, mile 531.5) and McAlpine (14, mile 604.5)
+const trip = (extra = {}) => estimateTripDelay({ river: "ohio", fromMile: 500, toMile: 700, speedMph: 5, departure, ...extra });
+
+const closure = (lockId, start, end = null, extra = {}) => ({
+  id: `${lockId}-${start}`,
+  lockId,
+  type: "closure",
+  severity: "closed",
+  scheduled: true,
+  chamber: null,
+  lifts: false,
+  title: "Lock closed",
+  start,
+  end,
+  ...extra,
+});
+
+beforeEach(() => {
+  vi.mocked(getLockStatus).mockReset().mockResolvedValue({ source: "modeled", averageWaitTime: 30, queueLength: 0, confidence: 0.6 });
+  vi.mocked(getNavNotices).mockReset().mockResolvedValue([]);
+});
+
+describe("estimateTripDelay", () => {
+  it("walks the locks in travel order, carrying each delay into the next arrival", async () => {
+    const out = await trip();
+    const [markland, mcalpine] = out.locks;
+
+    expect(out.locks.map((l) => l.lockId)).toEqual([13, 14]);
+    expect(markland.eta).toBe(at(31.5 / 5));
+    expect(markland.delayMinutes).toBe(30 + LOCKAGE_MINUTES);
+    expect(mcalpine.eta).toBe(at(104.5 / 5 + (30 + LOCKAGE_MINUTES) / 60));
+    expect(out.totalDelayMinutes).toBe(2 * (30 + LOCKAGE_MINUTES));
+    expect(out.transitMinutes).toBe(200 / 5 * 60);
+    expect(out.confidence).toBe(0.6);
+
+    // Upstream the order flips
+    const up = await trip({ fromMile: 700, toMile: 500 });
+    expect(up.direction).toBe("upbound");
+    expect(up.locks.map((l) => l.lockId)).toEqual([14, 13]);
+  });
+
+  it("checks each lock's notices at that lock's arrival, however far out", async () => {
+    // McAlpine is reached ~21.7 h out: closed then until hour 30. Markland's closure is over by the time the tow gets there.
+    // A trip nine days out still sees a closure starting then (beyond lock status' 7-day window).
+    vi.mocked(getNavNotices).mockResolvedValue([closure(13, at(0), at(2)), closure(14, at(20), at(30)), closure(14, at(24 * 9), at(24 * 9 + 48))]);
+
+    const out = await trip();
+    const [markland, mcalpine] = out.locks;
+    expect(markland.closureMinutes).toBe(0);
+    expect(markland.notices).toEqual([]);
+    expect(mcalpine.notices.map((n) => n.end)).toEqual([at(30)]);
+    expect(mcalpine.closureMinutes).toBe(Math.round((Date.parse(at(30)) - Date.parse(mcalpine.eta)) / 60000));
+    expect(out.totalClosureMinutes).toBe(mcalpine.closureMinutes);
+
+    const later = await trip({ departure: new Date(Date.parse(at(24 * 9 - 10))) });
+    expect(later.locks[1].closureMinutes).toBeGreaterThan(0);
+  });
+
+  it("is blocked behind an open-ended closure until a lift is parsed", async () => {
+    vi.mocked(getNavNotices).mockResolvedValue([closure(14, at(-48))]);
+    const blocked = await trip();
+    expect(blocked.blocked).toBe(true);
+    expect(blocked.blockedAt).toEqual([14]);
+
+    vi.mocked(getNavNotices).mockResolvedValue([
+      closure(14, at(-48)),
+      { ...closure(14, at(40)), id: "lift", type: "notice", severity: "info", lifts: true },
+    ]);
+    const lifted = await trip();
+    expect(lifted.blocked).toBe(false);
+    expect(lifted.locks[1].closureMinutes).toBe(Math.round((Date.parse(at(40)) - Date.parse(lifted.locks[1].eta)) / 60000));
+  });
+
+  it("reports a lock whose status failed as unknown and lowers the confidence", async () => {
+    vi.mocked(getLockStatus).mockImplementation(async (id) => {
+      if (id === 14) throw new Error("upstream down");
+      return { source: "modeled", averageWaitTime: 30, queueLength: 0, confidence: 0.6 };
+    });
+
+    const out = await trip();
+    expect(out.locks[1]).toMatchObject({ lockId: 14, waitMinutes: null, queueLength: null, source: "unavailable", delayMinutes: LOCKAGE_MINUTES });
+    expect(out.unknownAt).toEqual([14]);
+    expect(out.totalWaitMinutes).toBe(30);
+    expect(out.confidence).toBe(0.3);
+  });
+});
+
+describe("/api/trip-delay units", () => {
+  const call = async (query) => {
+    const res = { status: vi.fn().mockReturnThis(), json: vi.fn() };
+    await handler({ method: "GET", query }, res);
+    return { code: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+  };
+
+  it("reads the speed in the requested units and converts notice text", async () => {
+    vi.mocked(getNavNotices).mockResolvedValue([
+      { ...closure(13, at(0), at(12)), type: "restricted-hours", severity: "restricted", title: "Draft limited to 9 ft" },
+    ]);
+
+    const { code, body } = await call({ fromMile: "500", toMile: "700", speed: "8", units: "metric", departure: departure.toISOString() });
+    expect(code).toBe(200);
+    expect(body).toMatchObject({ speed: 8, speedUnit: "km/h", units: "metric" });
+    expect(body.speedMph).toBeCloseTo(8 / 1.609344, 6);
+    expect(body.locks[0].eta).toBe(new Date(departure.getTime() + (31.5 / (8 / 1.609344)) * HOUR).toISOString());
+    expect(body.locks[0].notices[0].title).toBe("Draft limited to 2.74 m");
+  });
+
+  it("rejects speeds outside the range in the requested units", async () => {
+    const { code, body } = await call({ fromMile: "500", toMile: "700", speed: "20", units: "nautical" });
+    expect(code).toBe(400);
+    expect(body.error).toMatch(/knots|kn/);
+  });
+});
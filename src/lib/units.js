@@ -0,0 +1,209 @@
+/**
+ * Unit systems — imperial (default), metric, nautical
+ *
+ * Everything upstream and every calculation stays in US units (ft, mph, °F, in,
+ * ft³/s). Conversion happens at the edges: APIs taking `units=` convert their
+ * response (convertRiverUnits for gauge payloads, stream events and stations;
+ * convertLockUnits for lock status; the weather API itself), and display components format with formatSpeed /
+ * formatTemp / formatPrecip / formatLength / formatDischarge.
+ *
+ * - imperial: ft, mph, °F, in, ft³/s
+ * - metric:   m, km/h, °C, mm, m³/s
+ * - nautical: imperial with speeds in knots (what tow and boat crews use)
+ *
+ * River miles stay as published (they are the mile markers on the navigation
+ * charts). USGS water temperature is °C in every system's API payload; displays
+ * convert it with formatTemp(celsiusToF(c), units).
+ */
+
+export const UNIT_SYSTEMS = {
+  imperial: { label: "Imperial (ft, mph, °F)", length: "ft", speed: "mph", temp: "°F", precip: "in", discharge: "ft³/s" },
+  metric: { label: "Metric (m, km/h, °C)", length: "m", speed: "km/h", temp: "°C", precip: "mm", discharge: "m³/s" },
+  nautical: { label: "Nautical (ft, knots, °F)", length: "ft", speed: "kn", temp: "°F", precip: "in", discharge: "ft³/s" },
+};
+
+export const DEFAULT_UNITS = "imperial";
+
+const FT_TO_M = 0.3048;
+const MPH_TO_KMH = 1.609344;
+const MPH_TO_KN = 0.868976;
+const IN_TO_MM = 25.4;
+const CFS_TO_CMS = 0.0283168;
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const systemOf = (units) => UNIT_SYSTEMS[units] || UNIT_SYSTEMS[DEFAULT_UNITS];
+
+/** `units=` query value -> { units } (imperial when absent) or { error }. */
+export function parseUnits(value) {
+  if (value == null || value === "") return { units: DEFAULT_UNITS };
+  const units = String(value).trim().toLowerCase();
+  if (!UNIT_SYSTEMS[units]) {
+    return { error: `units must be one of: ${Object.keys(UNIT_SYSTEMS).join(", ")}` };
+  }
+  return { units };
+}
+
+/* ----------------------------- conversions ----------------------------- */
+
+export const celsiusToF = (c) => (isNum(c) ? (c * 9) / 5 + 32 : null);
+
+export function toLength(ft, units) {
+  if (!isNum(ft)) return null;
+  return systemOf(units).length === "m" ? ft * FT_TO_M : ft;
+}
+
+export function toSpeed(mph, units) {
+  if (!isNum(mph)) return null;
+  const { speed } = systemOf(units);
+  return speed === "km/h" ? mph * MPH_TO_KMH : speed === "kn" ? mph * MPH_TO_KN : mph;
+}
+
+/** A speed given in `units`' speed unit, back to mph. */
+export function speedToMph(v, units) {
+  if (!isNum(v)) return null;
+  const { speed } = systemOf(units);
+  return speed === "km/h" ? v / MPH_TO_KMH : speed === "kn" ? v / MPH_TO_KN : v;
+}
+
+export function toTemp(f, units) {
+  if (!isNum(f)) return null;
+  return systemOf(units).temp === "°C" ? ((f - 32) * 5) / 9 : f;
+}
+
+export function toPrecip(inches, units) {
+  if (!isNum(inches)) return null;
+  return systemOf(units).precip === "mm" ? inches * IN_TO_MM : inches;
+}
+
+/* ----------------------------- display ----------------------------- */
+
+const fmt = (v, digits, unit, sep = " ") => (v == null ? `—${sep}${unit}` : `${v.toFixed(digits)}${sep}${unit}`);
+
+export const formatLength = (ft, units, digits = 1) => fmt(toLength(ft, units), digits, systemOf(units).length);
+export const formatSpeed = (mph, units, digits = 1) => fmt(toSpeed(mph, units), digits, systemOf(units).speed);
+export const formatTemp = (f, units, digits = 1) => fmt(toTemp(f, units), digits, systemOf(units).temp, "");
+export const formatPrecip = (inches, units) =>
+  systemOf(units).precip === "mm" ? fmt(toPrecip(inches, units), 1, "mm") : fmt(inches, 2, '"', "");
+export const formatDischarge = (cfs, units) =>
+  fmt(isNum(cfs) ? (systemOf(units).discharge === "m³/s" ? cfs * CFS_TO_CMS : cfs) : null, 0, systemOf(units).discharge);
+
+/* ----------------------------- API payloads ----------------------------- */
+
+const LEVEL_KEYS = ["observed", "floodStage", "elevation", "normalPool", "trendDelta", "v", "min", "max", "mean", "lo", "hi"];
+const PERCENTILE_KEYS = ["p10", "p25", "p50", "p75", "p90"];
+
+const m = (v) => (isNum(v) ? +(v * FT_TO_M).toFixed(3) : v);
+const cms = (v) => (isNum(v) ? +(v * CFS_TO_CMS).toFixed(3) : v);
+
+function mapKeys(obj, keys, fn) {
+  if (!obj || typeof obj !== "object") return obj;
+  const out = { ...obj };
+  for (const k of keys) if (k in out) out[k] = fn(out[k]);
+  return out;
+}
+
+const mapPoints = (pts, keys, fn) => (Array.isArray(pts) ? pts.map((p) => mapKeys(p, keys, fn)) : pts);
+const mapValues = (obj, fn) =>
+  obj && typeof obj === "object" ? Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, fn(v)])) : obj;
+
+// "Jump of 2.10 ft ..." -> "Jump of 0.64 m ..." (notes built from feet values, and notice
+// text: "1,200 ft chamber", "9-foot draft", "12 feet"); areas and flows (ft², ft³/s) are left alone
+const FEET_IN_TEXT = /(-?\d{1,3}(?:,\d{3})+(?:\.\d+)?|-?\d+(?:\.\d+)?)[ -]?(?:ft|feet|foot)\b(?![²³])/g;
+const metricNote = (note) =>
+  typeof note === "string"
+    ? note.replace(FEET_IN_TEXT, (_, n) => `${(Number(n.replace(/,/g, "")) * FT_TO_M).toFixed(2)} m`)
+    : note;
+
+/**
+ * Convert a gauge payload — or any subset of one (stream event, registry
+ * station) — to `units`. Only the fields present are touched, so the same call
+ * serves /api/river-data, the batch and stream endpoints and /api/stations.
+ * Imperial and nautical share the native feet, so those return `data` as is.
+ * Metric renames the datum's `elevationFt` / `accuracyFt` to `elevationM` / `accuracyM`.
+ */
+export function convertRiverUnits(data, units) {
+  if (!data || typeof data !== "object" || systemOf(units).length !== "m") return data;
+
+  const out = mapKeys(data, LEVEL_KEYS, m);
+  if ("unit" in out) out.unit = "m";
+
+  if (data.floodCategories) out.floodCategories = mapValues(data.floodCategories, m);
+  if (data.datum) {
+    const { elevationFt, accuracyFt, ...rest } = data.datum;
+    out.datum = { ...rest, elevationM: m(elevationFt), accuracyM: m(accuracyFt) };
+  }
+  if (data.history) out.history = mapPoints(data.history, LEVEL_KEYS, m);
+  if (data.prediction) out.prediction = mapPoints(data.prediction, LEVEL_KEYS, m);
+  if (data.crest) out.crest = mapKeys(data.crest, ["stage", "lo", "hi", "rise"], m);
+  if (data.rangeHistory) out.rangeHistory = { ...data.rangeHistory, points: mapPoints(data.rangeHistory.points, LEVEL_KEYS, m) };
+
+  if (data.climatology) {
+    out.climatology = {
+      ...data.climatology,
+      today: mapKeys(data.climatology.today, [...LEVEL_KEYS, ...PERCENTILE_KEYS], m),
+      band: mapPoints(data.climatology.band, PERCENTILE_KEYS, m),
+    };
+  }
+
+  if (data.qualityFlags) {
+    out.qualityFlags = {
+      ...data.qualityFlags,
+      flags: (data.qualityFlags.flags || []).map((f) => ({ ...mapKeys(f, ["v"], m), note: metricNote(f.note) })),
+    };
+  }
+
+  if (data.forecastMeta) {
+    const meta = mapKeys(data.forecastMeta, ["correctionDelta"], m);
+    if ("coverageNote" in meta) meta.coverageNote = metricNote(meta.coverageNote);
+    if (data.forecastMeta.skill) {
+      meta.skill = {
+        ...mapKeys(data.forecastMeta.skill, ["bias", "shortRangeMae"], m),
+        maeByLead: mapValues(data.forecastMeta.skill.maeByLead, m),
+        biasByLead: mapValues(data.forecastMeta.skill.biasByLead, m),
+      };
+    }
+    out.forecastMeta = meta;
+  }
+
+  if (data.discharge?.unit === "ft3/s") {
+    const keys = ["observed", "trendDelta", "v", "min", "max"];
+    out.discharge = { ...mapKeys(data.discharge, keys, cms), unit: "m3/s", history: mapPoints(data.discharge.history, keys, cms) };
+  }
+
+  return out;
+}
+
+const POOL_KEYS = ["normalPool", "normalTailwater", "poolDeviation", "head", "normalHead"];
+
+const mapSeries = (series, fn, unit) =>
+  series && typeof series === "object"
+    ? { ...mapKeys(series, ["observed"], fn), unit, history: mapPoints(series.history, ["v"], fn) }
+    : series;
+
+const mapNotices = (list) =>
+  Array.isArray(list) ? list.map((n) => ({ ...n, title: metricNote(n.title), description: metricNote(n.description) })) : list;
+
+/**
+ * Convert a lock status payload (/api/lock-status, /api/lock-status-all,
+ * trip-delay notices) to `units`: CWMS pools (pool / tailwater elevations,
+ * deviation, head, outflow) and feet in notice text. Traffic numbers are
+ * counts and minutes and stay as they are.
+ */
+export function convertLockUnits(data, units) {
+  if (!data || typeof data !== "object" || systemOf(units).length !== "m") return data;
+
+  const out = { ...data };
+  if (data.pools) {
+    out.pools = {
+      ...mapKeys(data.pools, POOL_KEYS, m),
+      upperPool: mapSeries(data.pools.upperPool, m, "m"),
+      lowerPool: mapSeries(data.pools.lowerPool, m, "m"),
+      outflow: mapSeries(data.pools.outflow, cms, "m3/s"),
+    };
+  }
+  if (data.notices) {
+    out.notices = { ...data.notices, active: mapNotices(data.notices.active), upcoming: mapNotices(data.notices.upcoming) };
+  }
+  if (Array.isArray(data.locks)) out.locks = data.locks.map((l) => ({ ...l, notices: mapNotices(l.notices) }));
+  return out;
+}
@@ -0,0 +1,120 @@
+import { describe, expect, it } from "vitest";
+import {
+  celsiusToF,
+  convertLockUnits,
+  convertRiverUnits,
+  formatDischarge,
+  formatLength,
+  formatPrecip,
+  formatSpeed,
+  formatTemp,
+  parseUnits,
+  speedToMph,
+  toSpeed,
+} from "@/lib/units";
+
+describe("parseUnits", () => {
+  it("defaults to imperial and rejects unknown systems", () => {
+    expect(parseUnits(undefined)).toEqual({ units: "imperial" });
+    expect(parseUnits(" Metric ")).toEqual({ units: "metric" });
+    expect(parseUnits("si").error).toMatch(/imperial, metric, nautical/);
+  });
+});
+
+describe("conversions and formatting", () => {
+  it("round-trips speeds through each system", () => {
+    expect(toSpeed(5, "metric")).toBeCloseTo(8.047, 3);
+    expect(toSpeed(5, "nautical")).toBeCloseTo(4.345, 3);
+    for (const units of ["imperial", "metric", "nautical"]) expect(speedToMph(toSpeed(6.5, units), units)).toBeCloseTo(6.5, 9);
+  });
+
+  it("formats in the system's units", () => {
+    expect(formatLength(10, "metric")).toBe("3.0 m");
+    expect(formatSpeed(5, "nautical")).toBe("4.3 kn");
+    expect(formatTemp(celsiusToF(20), "imperial")).toBe("68.0°F");
+    expect(formatTemp(celsiusToF(20), "metric")).toBe("20.0°C");
+    expect(formatPrecip(0.5, "imperial")).toBe('0.50"');
+    expect(formatPrecip(0.5, "metric")).toBe("12.7 mm");
+    expect(formatDischarge(100000, "metric")).toBe("2832 m³/s");
+    expect(formatLength(null, "metric")).toBe("— m");
+  });
+});
+
+describe("convertRiverUnits", () => {
+  const payload = {
+    observed: 23.1,
+    unit: "ft",
+    floodStage: 37,
+    floodCategories: { action: 35, minor: 37, moderate: 42, major: 48 },
+    datum: { elevationFt: 318.9, vertical: "NGVD29", accuracyFt: 0.01, source: "registry" },
+    prediction: [{ t: "2026-10-20T12:00:00Z", v: 25, lo: 24, hi: 26 }],
+    discharge: { observed: 100000, unit: "ft3/s", history: [{ t: "2026-10-19T12:00:00Z", v: 100000 }] },
+    waterTemp: { observed: 14.2, unit: "deg C" },
+    qualityFlags: { flags: [{ type: "spike", v: 30, note: "Jump of 6.90 ft that reversed" }] },
+    riverMile: 846,
+  };
+
+  it("leaves imperial and nautical payloads as they are", () => {
+    expect(convertRiverUnits(payload, "imperial")).toBe(payload);
+    expect(convertRiverUnits(payload, "nautical")).toBe(payload);
+  });
+
+  it("converts levels, categories, datum and flow to metric", () => {
+    const out = convertRiverUnits(payload, "metric");
+    expect(out).toMatchObject({ observed: 7.041, unit: "m", floodStage: 11.278, riverMile: 846 });
+    expect(out.floodCategories).toEqual({ action: 10.668, minor: 11.278, moderate: 12.802, major: 14.63 });
+    expect(out.datum).toEqual({ vertical: "NGVD29", source: "registry", elevationM: 97.201, accuracyM: 0.003 });
+    expect(out.prediction[0]).toMatchObject({ v: 7.62, lo: 7.315, hi: 7.925 });
+    expect(out.discharge).toMatchObject({ observed: 2831.68, unit: "m3/s" });
+    expect(out.qualityFlags.flags[0]).toMatchObject({ v: 9.144, note: "Jump of 2.10 m that reversed" });
+  });
+
+  it("keeps water temperature in °C in every system", () => {
+    for (const units of ["imperial", "metric", "nautical"]) {
+      expect(convertRiverUnits(payload, units).waterTemp).toEqual({ observed: 14.2, unit: "deg C" });
+    }
+  });
+});
+
+describe("convertLockUnits", () => {
+  const notice = (title, description) => ({ id: "n", type: "chamber-outage", title, description });
+
+  it("converts feet in notice text as USACE writes it", () => {
+    const out = convertLockUnits(
+      {
+        notices: {
+          active: [
+            notice(
+              "McAlpine 600 ft auxiliary chamber closed",
+              "All traffic will use the 1,200 ft main chamber. Tows drafting over 9 feet or 9-foot loaded barges should expect delays."
+            ),
+          ],
+          upcoming: [notice("Pool drawdown", "Pool lowered -1.5 ft; flows above 150,000 ft³/s; 20,000 ft² work area")],
+        },
+      },
+      "metric"
+    );
+
+    expect(out.notices.active[0].title).toBe("McAlpine 182.88 m auxiliary chamber closed");
+    expect(out.notices.active[0].description).toBe(
+      "All traffic will use the 365.76 m main chamber. Tows drafting over 2.74 m or 2.74 m loaded barges should expect delays."
+    );
+    expect(out.notices.upcoming[0].description).toBe("Pool lowered -0.46 m; flows above 150,000 ft³/s; 20,000 ft² work area");
+  });
+
+  it("converts pools and trip-delay notices, not traffic", () => {
+    const out = convertLockUnits(
+      {
+        averageWaitTime: 45,
+        pools: { normalPool: 420, head: 37.2, upperPool: { observed: 420.3, history: [{ t: "x", v: 420.3 }] }, outflow: { observed: 100000 } },
+        locks: [{ lockId: 14, notices: [notice("Draft limited to 9 ft", "")] }],
+      },
+      "metric"
+    );
+    expect(out.averageWaitTime).toBe(45);
+    expect(out.pools).toMatchObject({ normalPool: 128.016, head: 11.339, upperPool: { observed: 128.107, unit: "m" } });
+    expect(out.pools.upperPool.history[0].v).toBe(128.107);
+    expect(out.pools.outflow).toMatchObject({ observed: 2831.68, unit: "m3/s" });
+    expect(out.locks[0].notices[0].title).toBe("Draft limited to 2.74 m");
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Upstream fetch with recorded-fixture replay (server-side)
+ *
+ * Every request to an outside data source (USGS, NOAA, Open-Meteo, AirNow,
+ * OpenAQ, Nominatim, USACE) goes through `upstreamFetch`, a drop-in for
+ * `fetch`. DATA_SOURCE_MODE picks where responses come from:
+ * - live (default): the network
+ * - record: the network, and each response is written to the fixtures directory
+ * - replay: the fixtures directory only; no network. A request with no fixture
+ *   fails like an unreachable upstream (callers already fall back)
+ *
+ * Fixtures live in DATA_FIXTURES_DIR (default fixtures/upstream), one JSON file
+ * per request, grouped by host. The file name is derived from the URL with
+ * API keys dropped and date-window params (startDT/endDT, CWMS begin/end)
+ * taken relative to now ("now-30d"), so the rolling 30d/90d/1y ranges replay
+ * on any day but different windows stay apart.
+ *
+ * Replay moves a fixture's timestamps (ISO strings and epoch milliseconds in
+ * JSON bodies) forward by the whole hours since it was recorded, so "now"-based
+ * windows (7-day history, forecast points still ahead) see the data as it was
+ * when recorded. DATA_REPLAY_SHIFT=0 replays the timestamps as recorded.
+ * See fixtures/README.md.
+ */
+
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+
+const MODES = ["live", "record", "replay"];
+
+// Never written to disk or used in fixture names
+const SECRET_PARAM = /key|token|secret|password/i;
+// Move with the calendar; named relative to now in the fixture name
+const WINDOW_PARAMS = ["startDT", "endDT", "begin", "end"];
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+const warnedMissing = new Set();
+
+/** Current data-source mode ("live" | "record" | "replay"). */
+export function dataSourceMode() {
+  const mode = String(process.env.DATA_SOURCE_MODE || "live").toLowerCase();
+  return MODES.includes(mode) ? mode : "live";
+}
+
+function fixturesDir() {
+  return path.resolve(process.cwd(), process.env.DATA_FIXTURES_DIR || "fixtures/upstream");
+}
+
+function stripParams(url, shouldDrop) {
+  const u = new URL(url);
+  for (const name of [...u.searchParams.keys()]) {
+    if (shouldDrop(name)) u.searchParams.delete(name);
+  }
+  return u;
+}
+
+/** URL as stored in a fixture (no secrets). */
+function publicUrl(url) {
+  return stripParams(url, (name) => SECRET_PARAM.test(name)).toString();
+}
+
+// A date-window value relative to `now`: days for dates ("now-30d"), hours for date-times ("now-48h")
+function relativeWindow(value, now) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const today = Math.floor(now / DAY_MS) * DAY_MS;
+    const days = Math.round((Date.parse(`${value}T00:00:00Z`) - today) / DAY_MS);
+    return Number.isFinite(days) ? `now${days < 0 ? "" : "+"}${days}d` : value;
+  }
+  const hours = Math.round((Date.parse(value) - now) / HOUR_MS);
+  return Number.isFinite(hours) ? `now${hours < 0 ? "" : "+"}${hours}h` : value;
+}
+
+/** Fixture file for a URL: <dir>/<host>/<path-slug>-<hash>.json */
+function fixturePath(url, now = Date.now()) {
+  const u = stripParams(url, (name) => SECRET_PARAM.test(name));
+  for (const name of WINDOW_PARAMS) {
+    if (u.searchParams.has(name)) u.searchParams.set(name, relativeWindow(u.searchParams.get(name), now));
+  }
+  u.searchParams.sort();
+
+  const hash = createHash("sha1").update(u.toString()).digest("hex").slice(0, 12);
+  const slug =
+    u.pathname
+      .replace(/[^a-zA-Z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(-60) || "root";
+
+  return path.join(fixturesDir(), u.hostname, `${slug}-${hash}.json`);
+}
+
+async function readFixture(url) {
+  const file = fixturePath(url);
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch {
+    if (!warnedMissing.has(file)) {
+      warnedMissing.add(file);
+      console.warn(`[replay] no fixture for ${publicUrl(url)} (${path.relative(process.cwd(), file)})`);
+    }
+    return null;
+  }
+}
+
+async function writeFixture(url, res, body) {
+  const contentType = res.headers.get("content-type") || "";
+  let json;
+  if (contentType.includes("json")) {
+    try {
+      json = JSON.parse(body);
+    } catch {
+      json = undefined;
+    }
+  }
+
+  const fixture = {
+    url: publicUrl(url),
+    recordedAt: new Date().toISOString(),
+    status: res.status,
+    contentType,
+    // Parsed JSON keeps fixtures readable and hand-editable
+    ...(json !== undefined ? { json } : { body }),
+  };
+
+  const file = fixturePath(url);
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(fixture, null, 2) + "\n");
+  } catch (err) {
+    console.warn(`[record] could not write ${file}: ${err.message}`);
+  }
+}
+
+/* ----------------------------- replay clock ----------------------------- */
+
+const ISO_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+// Integers in this range are taken as epoch milliseconds (2000–2100)
+const EPOCH_MS_MIN = 946684800000;
+const EPOCH_MS_MAX = 4102444800000;
+
+function shiftString(value, ms) {
+  let m = value.match(ISO_TIME);
+  if (m) {
+    // Move the wall-clock fields and keep the written zone, precision and fraction
+    const [, y, mo, d, h, mi, sec, frac = "", zone = ""] = m;
+    const t = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +(sec ?? 0)) + ms).toISOString();
+    return t.slice(0, 16) + (sec !== undefined ? t.slice(16, 19) : "") + frac + zone;
+  }
+  m = value.match(ISO_DATE);
+  if (m) {
+    const days = Math.floor(ms / DAY_MS);
+    return new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+  return value;
+}
+
+/** `value` with every timestamp in it moved forward by `ms`. */
+export function shiftTimestamps(value, ms) {
+  if (!ms) return value;
+  if (typeof value === "string") return shiftString(value, ms);
+  if (Number.isInteger(value) && value >= EPOCH_MS_MIN && value <= EPOCH_MS_MAX) return value + ms;
+  if (Array.isArray(value)) return value.map((v) => shiftTimestamps(v, ms));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, shiftTimestamps(v, ms)]));
+  }
+  return value;
+}
+
+// Whole hours since the fixture was recorded (0 when shifting is off or unknown)
+function replayShift(fixture, now = Date.now()) {
+  if (process.env.DATA_REPLAY_SHIFT === "0") return 0;
+  const recorded = Date.parse(fixture.recordedAt);
+  if (!Number.isFinite(recorded) || recorded > now) return 0;
+  return Math.floor((now - recorded) / HOUR_MS) * HOUR_MS;
+}
+
+function fixtureResponse(fixture) {
+  // Text bodies (RDB, XML) replay as recorded
+  const body =
+    fixture.json !== undefined ? JSON.stringify(shiftTimestamps(fixture.json, replayShift(fixture))) : fixture.body ?? "";
+  return new Response(body, {
+    status: fixture.status || 200,
+    headers: { "content-type": fixture.contentType || "application/json" },
+  });
+}
+
+/**
+ * `fetch` for upstream data sources, honoring DATA_SOURCE_MODE.
+ *
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>}
+ */
+export async function upstreamFetch(url, init) {
+  const mode = dataSourceMode();
+
+  if (mode === "replay") {
+    const fixture = await readFixture(url);
+    if (!fixture) throw new Error(`No recorded fixture for ${publicUrl(url)}`);
+    return fixtureResponse(fixture);
+  }
+
+  const res = await fetch(url, init);
+  if (mode !== "record") return res;
+
+  // Read once for the fixture, hand the caller an identical fresh Response
+  const body = await res.text();
+  await writeFixture(url, res, body);
+  return new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+}
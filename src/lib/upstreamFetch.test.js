@@ -0,0 +1,90 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import { shiftTimestamps, upstreamFetch } from "@/lib/upstreamFetch";
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+describe("shiftTimestamps", () => {
+  it("moves ISO times, dates and epoch milliseconds, keeping the written form", () => {
+    const shifted = shiftTimestamps(
+      {
+        dateTime: "2026-10-12T08:15:00.000-05:00",
+        validTime: "2026-10-12T13:00:00Z",
+        day: "2026-10-12",
+        values: [[Date.UTC(2026, 9, 12, 13), 342.1, 0]],
+        stage: 23.08,
+        name: "J.T. Myers",
+      },
+      3 * DAY + 2 * HOUR
+    );
+
+    expect(shifted).toEqual({
+      dateTime: "2026-10-15T10:15:00.000-05:00",
+      validTime: "2026-10-15T15:00:00Z",
+      day: "2026-10-15",
+      values: [[Date.UTC(2026, 9, 15, 15), 342.1, 0]],
+      stage: 23.08,
+      name: "J.T. Myers",
+    });
+  });
+});
+
+describe("record / replay", () => {
+  let dir;
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), "fixtures-"));
+    process.env.DATA_FIXTURES_DIR = dir;
+    vi.useFakeTimers({ toFake: ["Date"] });
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const windowUrl = (now, days) => {
+    const day = (ms) => new Date(ms).toISOString().slice(0, 10);
+    return `https://waterservices.usgs.gov/nwis/dv/?format=json&sites=03322420&startDT=${day(now - days * DAY)}&endDT=${day(now)}`;
+  };
+
+  it("replays a rolling window on a later day with its timestamps moved to match", async () => {
+    const recordedAt = Date.UTC(2026, 9, 12, 12);
+    vi.setSystemTime(recordedAt);
+    process.env.DATA_SOURCE_MODE = "record";
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () => Response.json({ value: [{ dateTime: "2026-10-12T11:00:00.000Z", value: "23.1" }] }))
+    );
+    await upstreamFetch(windowUrl(recordedAt, 30));
+
+    const later = recordedAt + 3 * DAY + 30 * 60000;
+    vi.setSystemTime(later);
+    process.env.DATA_SOURCE_MODE = "replay";
+    const json = await (await upstreamFetch(windowUrl(later, 30))).json();
+    expect(json.value[0]).toEqual({ dateTime: "2026-10-15T11:00:00.000Z", value: "23.1" });
+
+    process.env.DATA_REPLAY_SHIFT = "0";
+    const asRecorded = await (await upstreamFetch(windowUrl(later, 30))).json();
+    expect(asRecorded.value[0].dateTime).toBe("2026-10-12T11:00:00.000Z");
+  });
+
+  it("keeps different date windows apart", async () => {
+    const now = Date.UTC(2026, 9, 12, 12);
+    vi.setSystemTime(now);
+    process.env.DATA_SOURCE_MODE = "record";
+    vi.stubGlobal("fetch", vi.fn(async () => Response.json({ range: "30d" })));
+    await upstreamFetch(windowUrl(now, 30));
+
+    process.env.DATA_SOURCE_MODE = "replay";
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    await expect(upstreamFetch(windowUrl(now, 90))).rejects.toThrow(/No recorded fixture/);
+  });
+});
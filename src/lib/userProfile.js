@@ -33,6 +33,7 @@ export const defaultUserProfile = {
       traffic: false,
     },
     darkMode: false,
+    units: "imperial", // "imperial" | "metric" | "nautical" (see src/lib/units.js)
   },
 
   // Cached Data (for fast loads)
@@ -0,0 +1,92 @@
+/**
+ * USGS NWIS data qualifiers — what each code means and how far to trust it
+ *
+ * Every instantaneous value carries qualifier codes ("P" provisional, "A"
+ * approved, "Ice", "Eqp", ...). Points keep their codes as `q`; the payload gets
+ * a summary: codes seen over the window with counts, the latest reading's codes,
+ * and an overall status for the UI badge.
+ *
+ * Severity: "ok" (approved), "info" (routine: provisional), "caution" (value is
+ * estimated or qualified), "warning" (affected or missing: ice, equipment, ...).
+ */
+
+export const USGS_QUALIFIERS = {
+  A: { label: "approved", severity: "ok" },
+  P: { label: "provisional", severity: "info" },
+  e: { label: "estimated", severity: "caution" },
+  E: { label: "estimated", severity: "caution" },
+  R: { label: "revised", severity: "caution" },
+  "<": { label: "below reported value", severity: "caution" },
+  ">": { label: "above reported value", severity: "caution" },
+  Bkw: { label: "backwater-affected", severity: "caution" },
+  Rat: { label: "rating being developed", severity: "caution" },
+  Pr: { label: "partial record", severity: "caution" },
+  Ssn: { label: "seasonal monitoring", severity: "caution" },
+  Ice: { label: "ice-affected", severity: "warning" },
+  Eqp: { label: "equipment malfunction", severity: "warning" },
+  Mnt: { label: "site maintenance", severity: "warning" },
+  Fld: { label: "flood damage", severity: "warning" },
+  Dry: { label: "dry", severity: "warning" },
+  Dis: { label: "discontinued", severity: "warning" },
+  ZFl: { label: "zero flow", severity: "warning" },
+  "***": { label: "temporarily unavailable", severity: "warning" },
+};
+
+const SEVERITY_ORDER = ["ok", "info", "caution", "warning"];
+
+/**
+ * Meaning of one code. Unknown codes fall back to the time series' own
+ * description (`descriptions`: code -> text from the NWIS `qualifier` list).
+ */
+export function describeQualifier(code, descriptions = {}) {
+  const known = USGS_QUALIFIERS[code];
+  return {
+    code,
+    label: known?.label ?? descriptions[code]?.toLowerCase() ?? code,
+    description: descriptions[code] ?? null,
+    severity: known?.severity ?? "caution",
+  };
+}
+
+/** code -> description from an NWIS time series' `values[0].qualifier` list. */
+export function qualifierDescriptions(ts) {
+  const out = {};
+  for (const q of ts?.values?.[0]?.qualifier || []) {
+    if (q?.qualifierCode) out[q.qualifierCode] = q.qualifierDescription || null;
+  }
+  return out;
+}
+
+/**
+ * Summary for the payload.
+ *
+ * @param {Array<{q?: string[]}>} points  every reading in the window, including no-data ones
+ * @param {string[]} latestCodes  codes on the latest reading
+ * @param {Record<string, string>} [descriptions]
+ * @returns {{ status: string, label: string, latest: object[], codes: object[] } | null}
+ */
+export function summarizeQualifiers(points, latestCodes, descriptions = {}) {
+  const counts = new Map();
+  for (const p of points || []) {
+    for (const code of p?.q || []) counts.set(code, (counts.get(code) || 0) + 1);
+  }
+  const latest = (latestCodes || []).map((c) => describeQualifier(c, descriptions));
+  if (!counts.size && !latest.length) return null;
+
+  const codes = [...counts.entries()]
+    .map(([code, count]) => ({ ...describeQualifier(code, descriptions), count }))
+    .sort((a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity) || b.count - a.count);
+
+  // Status follows the latest reading: its most severe code
+  const worst = latest.reduce(
+    (w, q) => (SEVERITY_ORDER.indexOf(q.severity) > SEVERITY_ORDER.indexOf(w?.severity) ? q : w),
+    null
+  );
+
+  return {
+    status: worst?.severity ?? "info",
+    label: worst?.label ?? "unqualified",
+    latest,
+    codes,
+  };
+}
@@ -0,0 +1,244 @@
+// /src/pages/admin/forecast-skill.js
+// Admin Forecast Verification Dashboard
+// Shows how NWPS, routed, regression and trend forecasts have scored at each station
+
+import { useState, useMemo } from "react";
+import { useRouter } from "next/router";
+import { useQuery } from "@tanstack/react-query";
+
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { ArrowLeft, LineChart, Loader2 } from "lucide-react";
+import { useAuth } from "@/context/AuthContext";
+
+const LEAD_DAYS = [1, 2, 3, 4, 5, 6, 7];
+const MODELS = ["All", "NWPS", "Routed", "Regression", "Trend"];
+const WINDOWS = [
+  { value: 30, label: "Last 30 days" },
+  { value: 60, label: "Last 60 days" },
+  { value: 180, label: "Last 180 days" },
+];
+
+// Error in feet, colored by size
+const formatError = (v) => (v == null ? "—" : v.toFixed(2));
+const errorClass = (v) =>
+  v == null ? "text-muted-foreground" : v <= 0.5 ? "text-green-600" : v <= 1.5 ? "text-yellow-600" : "text-red-600";
+
+export default function AdminForecastSkillPage() {
+  const router = useRouter();
+  const { isAdmin, loading } = useAuth();
+
+  const [modelFilter, setModelFilter] = useState("All");
+  const [windowDays, setWindowDays] = useState(60);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ["/api/admin/forecast-skill", windowDays],
+    queryFn: async () => {
+      const response = await fetch(`/api/admin/forecast-skill?days=${windowDays}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    },
+    enabled: isAdmin,
+    retry: 1,
+    refetchOnWindowFocus: false,
+    staleTime: 5 * 60 * 1000,
+  });
+
+  const rows = useMemo(() => {
+    const list = Array.isArray(data?.stations) ? data.stations : [];
+    return modelFilter === "All" ? list : list.filter((r) => r.model === modelFilter);
+  }, [data, modelFilter]);
+
+  // Overall 1-day MAE per model (sample-weighted across stations)
+  const modelSummary = useMemo(() => {
+    const out = {};
+    for (const r of Array.isArray(data?.stations) ? data.stations : []) {
+      const mae = r.maeByLead?.[1];
+      if (mae == null) continue;
+      if (!out[r.model]) out[r.model] = { sum: 0, forecasts: 0 };
+      out[r.model].sum += mae * r.forecasts;
+      out[r.model].forecasts += r.forecasts;
+    }
+    return Object.entries(out).map(([model, s]) => ({
+      model,
+      mae: s.forecasts ? s.sum / s.forecasts : null,
+      forecasts: s.forecasts,
+    }));
+  }, [data]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <p className="text-muted-foreground">Checking permissions…</p>
+      </div>
+    );
+  }
+
+  if (!isAdmin) {
+    return (
+      <div className="min-h-screen flex items-center justify-center px-4">
+        <Card className="max-w-md w-full p-6 text-center space-y-4">
+          <h1 className="text-xl font-semibold">Access Denied</h1>
+          <p className="text-muted-foreground">
+            You don&apos;t have permission to view this page.
+          </p>
+          <Button onClick={() => router.push("/")}>Go to Homepage</Button>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex flex-col bg-background">
+      <header className="border-b bg-card">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex items-center justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => router.push("/admin")}
+              className="hidden sm:inline-flex"
+            >
+              <ArrowLeft className="w-4 h-4" />
+            </Button>
+            <div>
+              <p className="text-xs text-muted-foreground uppercase tracking-wide">
+                Admin
+              </p>
+              <h1 className="text-xl sm:text-2xl font-bold flex items-center gap-2">
+                <LineChart className="w-5 h-5" />
+                Forecast Verification
+              </h1>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 w-full">
+        <Card className="p-4 sm:p-6 space-y-4 sm:space-y-6">
+          {/* Filters */}
+          <div className="flex flex-col lg:flex-row lg:items-center gap-4 justify-between">
+            <div className="space-y-1">
+              <h2 className="text-lg font-semibold">Forecast Skill by Station</h2>
+              <p className="text-sm text-muted-foreground">
+                Mean absolute error (ft) of forecast daily highs by lead day, bias, and crest timing error
+              </p>
+            </div>
+
+            <div className="flex flex-col sm:flex-row gap-3 sm:items-center">
+              <select
+                value={modelFilter}
+                onChange={(e) => setModelFilter(e.target.value)}
+                className="px-3 py-2 border rounded-md bg-background text-sm"
+              >
+                {MODELS.map((m) => (
+                  <option key={m} value={m}>
+                    {m === "All" ? "All Models" : m}
+                  </option>
+                ))}
+              </select>
+
+              <select
+                value={windowDays}
+                onChange={(e) => setWindowDays(Number(e.target.value))}
+                className="px-3 py-2 border rounded-md bg-background text-sm"
+              >
+                {WINDOWS.map((w) => (
+                  <option key={w.value} value={w.value}>
+                    {w.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Model Summary */}
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+            {modelSummary.map((m) => (
+              <Card key={m.model} className="p-4 bg-muted/50">
+                <p className="text-xs text-muted-foreground uppercase tracking-wide mb-1">
+                  {m.model} · 1-day MAE
+                </p>
+                <p className={`text-2xl font-bold ${errorClass(m.mae)}`}>
+                  {m.mae == null ? "—" : `${m.mae.toFixed(2)} ft`}
+                </p>
+                <p className="text-xs text-muted-foreground">{m.forecasts} verified forecasts</p>
+              </Card>
+            ))}
+          </div>
+
+          {/* Skill Table */}
+          {isLoading ? (
+            <div className="flex justify-center py-12">
+              <Loader2 className="w-6 h-6 animate-spin text-muted-foreground" />
+            </div>
+          ) : error ? (
+            <div className="py-10 text-center text-destructive">
+              <p className="font-medium mb-2">Error loading forecast verification</p>
+              <p className="text-sm">{error.message}</p>
+            </div>
+          ) : rows.length === 0 ? (
+            <div className="py-10 text-center text-muted-foreground">
+              <p className="font-medium mb-2">No forecasts recorded yet</p>
+              <p className="text-sm">
+                Forecasts are stored as /api/river-data serves them and scored once observations arrive.
+              </p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-xs text-muted-foreground uppercase tracking-wide">
+                    <th className="py-2 pr-3 text-left">Station</th>
+                    <th className="py-2 pr-3 text-left">Model</th>
+                    <th className="py-2 pr-3 text-right">Verified</th>
+                    {LEAD_DAYS.map((d) => (
+                      <th key={d} className="py-2 px-2 text-right">
+                        Day {d}
+                      </th>
+                    ))}
+                    <th className="py-2 px-2 text-right">Bias</th>
+                    <th className="py-2 pl-2 text-right">Crest timing</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((r) => (
+                    <tr key={`${r.site}-${r.model}`} className="border-b hover:bg-muted/50">
+                      <td className="py-2 pr-3">
+                        <p className="font-medium">{r.location || r.site}</p>
+                        <p className="text-xs text-muted-foreground">{r.site}</p>
+                      </td>
+                      <td className="py-2 pr-3">
+                        <Badge variant={r.model === "NWPS" ? "default" : "outline"}>{r.model}</Badge>
+                      </td>
+                      <td className="py-2 pr-3 text-right">
+                        {r.forecasts}
+                        {r.pending > 0 && (
+                          <span className="text-xs text-muted-foreground"> (+{r.pending} pending)</span>
+                        )}
+                      </td>
+                      {LEAD_DAYS.map((d) => (
+                        <td key={d} className={`py-2 px-2 text-right ${errorClass(r.maeByLead?.[d])}`}>
+                          {formatError(r.maeByLead?.[d])}
+                        </td>
+                      ))}
+                      <td className="py-2 px-2 text-right">
+                        {r.bias == null ? "—" : `${r.bias > 0 ? "+" : ""}${r.bias.toFixed(2)}`}
+                      </td>
+                      <td className="py-2 pl-2 text-right">
+                        {r.crestTimingMaeDays == null
+                          ? "—"
+                          : `±${r.crestTimingMaeDays.toFixed(1)} d (${r.crestSamples})`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </Card>
+      </main>
+    </div>
+  );
+}
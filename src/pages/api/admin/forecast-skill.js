@@ -0,0 +1,22 @@
+// /pages/api/admin/forecast-skill.js
+// Admin endpoint for forecast verification results
+// Returns MAE by lead day, bias and crest timing error per station + model
+
+import { listForecastSkill } from "@/lib/forecastVerification";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const days = Number(req.query.days);
+  const windowDays = Number.isFinite(days) && days > 0 ? Math.min(days, 365) : undefined;
+
+  try {
+    const stations = await listForecastSkill({ days: windowDays });
+    return res.status(200).json({ stations, timestamp: new Date().toISOString() });
+  } catch (err) {
+    console.error("[API /admin/forecast-skill] Failed to load verification records:", err.message);
+    return res.status(500).json({ error: "Failed to load forecast verification" });
+  }
+}
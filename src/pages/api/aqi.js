@@ -1,8 +1,12 @@
 /**
  * AQI API — Unified format for UI
  * Priority: AirNow → OpenAQ → fallback
+ * Upstream responses go through the shared cache (cacheAge / stale in the response)
  */
 
+import { cached, trackCache } from "@/lib/serverCache";
+import { dataSourceMode, upstreamFetch } from "@/lib/upstreamFetch";
+
 const AQI_LABELS = [
   { max: 50, label: "Good" },
   { max: 100, label: "Moderate" },
@@ -19,13 +23,20 @@ function getCategory(aqi) {
 
 async function fetchAirNow(lat, lon) {
   const key = process.env.AIRNOW_API_KEY;
-  if (!key) return null;
+  // Replay needs no key: fixtures are stored without it
+  if (!key && dataSourceMode() !== "replay") return null;
 
   try {
     const url = `https://www.airnowapi.org/aq/observation/latLong/current/?format=application/json&latitude=${lat}&longitude=${lon}&distance=25&API_KEY=${key}`;
-    const r = await fetch(url);
-    if (!r.ok) return null;
-    const j = await r.json();
+    // Cache key leaves out the API key
+    const j = await cached(
+      `json:airnow:${lat},${lon}`,
+      async () => {
+        const r = await upstreamFetch(url);
+        return r.ok ? r.json() : null;
+      },
+      { source: "airnow" }
+    );
     if (Array.isArray(j) && j[0]?.AQI != null) {
       return parseFloat(j[0].AQI);
     }
@@ -40,9 +51,14 @@ async function fetchOpenAQ(lat, lon) {
   const url = `https://api.openaq.org/v2/latest?coordinates=${lat},${lon}&radius=30000&parameter=pm25&limit=1`;
 
   try {
-    const r = await fetch(url);
-    if (!r.ok) return null;
-    const j = await r.json();
+    const j = await cached(
+      `json:${url}`,
+      async () => {
+        const r = await upstreamFetch(url);
+        return r.ok ? r.json() : null;
+      },
+      { source: "openaq" }
+    );
 
     const pm = j?.results?.[0]?.measurements?.find((m) => m.parameter === "pm25")?.value;
     if (pm == null) return null;
@@ -66,19 +82,25 @@ export default async function handler(req, res) {
   if (!lat || !lon) return res.status(400).json({ error: "Missing lat/lon" });
 
   try {
-    let aqi = await fetchAirNow(lat, lon);
+    const { value, cacheAge, stale } = await trackCache(async () => {
+      let aqi = await fetchAirNow(lat, lon);
 
-    if (!aqi) {
-      // Secondary source
-      aqi = await fetchOpenAQ(lat, lon);
-    }
+      if (!aqi) {
+        // Secondary source
+        aqi = await fetchOpenAQ(lat, lon);
+      }
+
+      return aqi;
+    });
 
     // If still nothing, assume clear day baseline
-    if (!aqi) aqi = 20;
+    const aqi = value || 20;
 
     return res.status(200).json({
       aqi,
       category: getCategory(aqi),
+      cacheAge,
+      stale,
     });
   } catch (err) {
 
@@ -1,4 +1,8 @@
 // Server-side reverse geocoding proxy to avoid CORS issues
+// Nominatim responses go through the shared server cache (cacheAge / stale in the response)
+import { cached, cacheStatus, trackCache } from "@/lib/serverCache";
+import { upstreamFetch } from "@/lib/upstreamFetch";
+
 const STATE_ABBREV = {
   'Alabama': 'AL', 'Alaska': 'AK', 'Arizona': 'AZ', 'Arkansas': 'AR', 'California': 'CA',
   'Colorado': 'CO', 'Connecticut': 'CT', 'Delaware': 'DE', 'Florida': 'FL', 'Georgia': 'GA',
@@ -54,7 +58,27 @@ function findNearestKnownTown(county, state, userLat, userLon) {
   return closestDist < 0.25 ? closest : null;
 }
 
-export default async function handler(req, res) {
+function fetchNominatim(url) {
+  return cached(
+    `json:${url}`,
+    async () => {
+      const response = await upstreamFetch(url, {
+        headers: {
+          'User-Agent': 'RiverValleyReport/1.0 (GitHub @cy6or9/RVRBETA)',
+          'Accept': 'application/json',
+        },
+      });
+      return response.ok ? response.json() : null;
+    },
+    { source: 'nominatim' }
+  );
+}
+
+export default function handler(req, res) {
+  return trackCache(() => geocodeHandler(req, res));
+}
+
+async function geocodeHandler(req, res) {
   const { lat, lon } = req.query;
   const userLat = parseFloat(lat);
   const userLon = parseFloat(lon);
@@ -73,19 +97,12 @@ export default async function handler(req, res) {
     // First try reverse geocoding with high detail
     let geocodeUrl = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}&zoom=18&addressdetails=1`;
     
-    let response = await fetch(geocodeUrl, {
-      headers: {
-        'User-Agent': 'RiverValleyReport/1.0 (GitHub @cy6or9/RVRBETA)',
-        'Accept': 'application/json',
-      },
-    });
+    const data = await fetchNominatim(geocodeUrl);
 
-    if (!response.ok) {
-      throw new Error(`Nominatim API error: ${response.status}`);
+    if (data == null) {
+      throw new Error('Nominatim API unavailable');
     }
 
-    let data = await response.json();
-
     if (!data || !data.address) {
       return res.status(404).json({ error: 'Location not found' });
     }
@@ -122,15 +139,9 @@ export default async function handler(req, res) {
       try {
         // First, try searching for towns/cities/villages near the coordinate
         const coordSearchUrl = `https://nominatim.openstreetmap.org/search?format=json&limit=20&addressdetails=1&exclude_place_ids=${data.place_id || ''}&lat=${lat}&lon=${lon}&featuretype=city,town,village,hamlet`;
-        const coordSearchResponse = await fetch(coordSearchUrl, {
-          headers: {
-            'User-Agent': 'RiverValleyReport/1.0 (GitHub @cy6or9/RVRBETA)',
-            'Accept': 'application/json',
-          },
-        });
+        const coordSearchResults = await fetchNominatim(coordSearchUrl);
         
-        if (coordSearchResponse.ok) {
-          const coordSearchResults = await coordSearchResponse.json();
+        if (coordSearchResults) {
 
           if (coordSearchResults && coordSearchResults.length > 0) {
             // Find the closest place within ~10km
@@ -174,15 +185,9 @@ export default async function handler(req, res) {
     if (!city) {
       try {
         const countySearchUrl = `https://nominatim.openstreetmap.org/search?format=json&limit=30&addressdetails=1&q=${encodeURIComponent(data.address.county)}%20${encodeURIComponent(data.address.state)}&featuretype=city,town,village`;
-        const countySearchResponse = await fetch(countySearchUrl, {
-          headers: {
-            'User-Agent': 'RiverValleyReport/1.0 (GitHub @cy6or9/RVRBETA)',
-            'Accept': 'application/json',
-          },
-        });
+        const countySearchResults = await fetchNominatim(countySearchUrl);
         
-        if (countySearchResponse.ok) {
-          const countySearchResults = await countySearchResponse.json();
+        if (countySearchResults) {
 
           if (countySearchResults && countySearchResults.length > 0) {
             // Find the closest place within ~20km
@@ -271,6 +276,7 @@ export default async function handler(req, res) {
         name: place_name || null,
       },
       raw: data.address,
+      ...cacheStatus(),
     });
   } catch (error) {
 
@@ -0,0 +1,112 @@
+/**
+ * All-Locks Status API
+ *
+ * GET /api/lock-status-all
+ *     &river=ohio|kanawha|kentucky|green|cumberland|tennessee   (default: ohio)
+ *     &minMile=..&maxMile=..      river-mile range (the river's own mile system)
+ *     &units=imperial|metric|nautical   (pools, head and notice text; default imperial)
+ *
+ * Returns /api/lock-status payloads for every lock on the river, keyed by lock
+ * id, upstream ➜ downstream (`order`).
+ *
+ * - Each lock has its own cache entry and carries its own freshness:
+ *   `cacheAge` (seconds), `stale` and `updatedAt` (when its data was fetched)
+ * - Locks load with a concurrency limit; a failure at one lock is reported
+ *   under `errors[lockId]` and the rest still return
+ * - The top-level `cacheAge` / `stale` cover the whole response (oldest lock)
+ */
+
+import { DEFAULT_RIVER, findStations, getRiver, RIVERS } from "@/lib/stations";
+import { getLockStatus } from "@/lib/lockStatus";
+import { trackCache } from "@/lib/serverCache";
+import { mapWithConcurrency } from "@/lib/concurrency";
+import { convertLockUnits, parseUnits } from "@/lib/units";
+
+const LOCK_CONCURRENCY = 4;
+
+function parseMile(v) {
+  if (v == null || v === "") return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+async function loadLocks(locks, units) {
+  const results = await mapWithConcurrency(locks, LOCK_CONCURRENCY, async (lock) => {
+    try {
+      const tracked = await trackCache(() => getLockStatus(lock.id, lock.name));
+      if (!tracked.value) return { id: lock.id, data: null, error: "No lock data available" };
+
+      return {
+        id: lock.id,
+        data: {
+          ...convertLockUnits(tracked.value, units),
+          riverMile: lock.riverMile,
+          cached: tracked.cacheAge > 0,
+          cacheAge: tracked.cacheAge,
+          stale: tracked.stale,
+          updatedAt: new Date(Date.now() - tracked.cacheAge * 1000).toISOString(),
+        },
+        error: null,
+      };
+    } catch (err) {
+      return { id: lock.id, data: null, error: err?.message || "Failed to load lock" };
+    }
+  });
+
+  const locksOut = {};
+  const errors = {};
+  for (const r of results) {
+    if (r.data) locksOut[r.id] = r.data;
+    if (r.error) errors[r.id] = r.error;
+  }
+  return { locksOut, errors };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { river = DEFAULT_RIVER, minMile, maxMile } = req.query;
+
+  if (!getRiver(river)) {
+    return res.status(400).json({ error: `river must be one of: ${RIVERS.map((r) => r.id).join(", ")}` });
+  }
+
+  const lo = parseMile(minMile);
+  const hi = parseMile(maxMile);
+  if (Number.isNaN(lo) || Number.isNaN(hi)) {
+    return res.status(400).json({ error: "minMile/maxMile must be numbers" });
+  }
+  if (lo != null && hi != null && lo > hi) {
+    return res.status(400).json({ error: "minMile must not exceed maxMile" });
+  }
+
+  const { units, error: unitsError } = parseUnits(req.query.units);
+  if (unitsError) return res.status(400).json({ error: unitsError });
+
+  const locks = findStations({ river, type: "lock", minMile: lo, maxMile: hi });
+
+  try {
+    const batch = await trackCache(() => loadLocks(locks, units));
+    const { locksOut, errors } = batch.value;
+
+    return res.status(200).json({
+      river,
+      minMile: lo ?? null,
+      maxMile: hi ?? null,
+      order: locks.map((l) => l.id),
+      locks: locksOut,
+      errors,
+      units,
+      requested: locks.length,
+      succeeded: locks.length - Object.keys(errors).length,
+      cacheAge: batch.cacheAge,
+      stale: batch.stale,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (err) {
+    console.error("[API /lock-status-all] Failed to load locks:", err.message);
+    return res.status(500).json({ error: "Failed to fetch lock data" });
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * River Data Batch API
+ *
+ * Returns /api/river-data payloads for many stations in one response.
+ *
+ * GET  /api/river-data-batch?sites=03322420,03255000
+ * POST /api/river-data-batch  { stations: [{ site, ahps, lat, lon }, ...] }
+ *      &units=imperial|metric|nautical (query, or `units` in the POST body;
+ *      as /api/river-data, water temperature stays in °C)
+ *
+ * Loading is src/lib/riverBatch.js: one multi-site USGS query, NOAA lookups per
+ * station, failures per station under `errors[site]`. Each station carries
+ * `cacheAge` / `stale`; the top level covers the whole batch.
+ *
+ * POST is preferred when callers have AHPS ids or coordinates for auto-discovery;
+ * GET fills them in from the station registry.
+ *
+ * GET responses may be cached by the CDN for EDGE_CACHE_S (plus as long again
+ * while it revalidates), so viewers of the same gauges share one load.
+ * Live updates are pushed by /api/river-stream instead.
+ */
+
+import { trackCache } from "@/lib/serverCache";
+import { loadRiverBatch, registryStations } from "@/lib/riverBatch";
+import { convertRiverUnits, parseUnits } from "@/lib/units";
+
+const MAX_STATIONS = 60;
+const EDGE_CACHE_S = 60;
+
+function parseStations(req) {
+  if (req.method === "POST") {
+    const list = Array.isArray(req.body?.stations) ? req.body.stations : [];
+    return list
+      .map((s) => ({
+        site: String(s?.site ?? s?.id ?? "").trim(),
+        ahps: s?.ahps ?? null,
+        lat: s?.lat ?? null,
+        lon: s?.lon ?? null,
+      }))
+      .filter((s) => s.site);
+  }
+
+  const raw = Array.isArray(req.query.sites) ? req.query.sites.join(",") : req.query.sites || "";
+  return registryStations(
+    raw
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean)
+  );
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // De-duplicate by site id, keeping the first entry
+  const seen = new Set();
+  const stations = parseStations(req).filter((s) => !seen.has(s.site) && seen.add(s.site));
+
+  if (stations.length === 0) {
+    return res.status(400).json({
+      error: "No stations provided",
+      usage: "/api/river-data-batch?sites=03322420,03255000",
+    });
+  }
+
+  if (stations.length > MAX_STATIONS) {
+    return res.status(400).json({ error: `Too many stations (max ${MAX_STATIONS})` });
+  }
+
+  const { units, error: unitsError } = parseUnits(req.query.units ?? req.body?.units);
+  if (unitsError) return res.status(400).json({ error: unitsError });
+
+  try {
+    const batch = await trackCache(() => loadRiverBatch(stations));
+    const { stationsOut, errors, siteIds } = batch.value;
+
+    if (req.method === "GET") {
+      res.setHeader("Cache-Control", `public, max-age=0, s-maxage=${EDGE_CACHE_S}, stale-while-revalidate=${EDGE_CACHE_S}`);
+    }
+    return res.status(200).json({
+      stations: Object.fromEntries(Object.entries(stationsOut).map(([site, d]) => [site, convertRiverUnits(d, units)])),
+      units,
+      errors,
+      requested: siteIds.length,
+      succeeded: siteIds.length - Object.keys(errors).length,
+      cacheAge: batch.cacheAge,
+      stale: batch.stale,
+      staleSources: batch.staleSources,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (err) {
+
+    return res.status(500).json({ error: "Internal Server Error" });
+  }
+}
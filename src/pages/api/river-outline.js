@@ -1,15 +1,72 @@
-// Ohio River outline API - Fetches real hydrographic data from USGS
+// River outline API - Fetches real hydrographic data from USGS
 // Uses actual navigation channel data from authoritative sources
+// GET /api/river-outline?river=<registry river id> (default: ohio)
 
 import fs from 'fs';
 import path from 'path';
+import { DEFAULT_RIVER, getRiver, getRiverGauges, getRiverLocks, RIVERS } from '@/lib/stations';
+
+// Last resort for rivers without hand-traced waypoints: connect the registry's
+// gauges and locks in downstream order
+function registryWaypoints(river) {
+  return [...getRiverGauges(river.id), ...getRiverLocks(river.id)]
+    .sort((a, b) =>
+      river.milesIncrease === 'upstream' ? b.riverMile - a.riverMile : a.riverMile - b.riverMile
+    )
+    .map((s) => [s.lat, s.lon]);
+}
+
+// Position of a point along the river: index of the nearest registry waypoint
+// (downstream order, same as registryWaypoints)
+function downstreamPosition(waypoints, lat, lon) {
+  let best = 0;
+  let bestDist = Infinity;
+  waypoints.forEach(([wLat, wLon], i) => {
+    const d = (wLat - lat) ** 2 + ((wLon - lon) * Math.cos((lat * Math.PI) / 180)) ** 2;
+    if (d < bestDist) {
+      bestDist = d;
+      best = i;
+    }
+  });
+  return best;
+}
+
+// OSM ways come back in no particular order or direction: put them (and the
+// nodes in each) in downstream order so the outline runs head ➜ mouth
+function orderWaysDownstream(river, ways) {
+  const waypoints = registryWaypoints(river);
+  if (waypoints.length < 2) return ways.map((w) => w.geometry);
+
+  return ways
+    .map((w) => {
+      const first = w.geometry[0];
+      const last = w.geometry[w.geometry.length - 1];
+      const startPos = downstreamPosition(waypoints, first.lat, first.lon);
+      const endPos = downstreamPosition(waypoints, last.lat, last.lon);
+      return {
+        geometry: endPos < startPos ? [...w.geometry].reverse() : w.geometry,
+        pos: Math.min(startPos, endPos) + Math.max(startPos, endPos) / 1000,
+      };
+    })
+    .sort((a, b) => a.pos - b.pos)
+    .map((w) => w.geometry);
+}
 
 export default async function handler(req, res) {
+  const river = getRiver(req.query.river || DEFAULT_RIVER);
+  if (!river) {
+    return res.status(400).json({
+      success: false,
+      error: `river must be one of: ${RIVERS.map((r) => r.id).join(', ')}`,
+    });
+  }
+  const [west, south, east, north] = river.bbox;
+
   try {
     console.log('[API river-outline] Request received');
     
     // First, check if we have pre-downloaded USGS data
-    const localDataPath = path.join(process.cwd(), 'public', 'geo', 'ohio-river.json');
+    const localDataPath = path.join(process.cwd(), 'public', 'geo', `${river.id}-river.json`);
     console.log('[API river-outline] Checking path:', localDataPath);
     console.log('[API river-outline] File exists:', fs.existsSync(localDataPath));
     
@@ -27,7 +84,7 @@ export default async function handler(req, res) {
 
         elements = localData.polylines.map(line => ({
           type: 'way',
-          name: line.name || 'Ohio River',
+          name: line.name || river.name,
           coordinates: line.coordinates,
           color: '#06b6d4',
           weight: 4,
@@ -39,7 +96,7 @@ export default async function handler(req, res) {
 
         elements = [{
           type: 'way',
-          name: 'Ohio River',
+          name: river.name,
           coordinates: localData.coordinates,
           color: '#06b6d4',
           weight: 4,
@@ -55,15 +112,19 @@ export default async function handler(req, res) {
       });
     }
 
-    // Fetch actual Ohio River flowline from USGS National Hydrography Dataset
+    // Fetch the river's actual flowline from USGS National Hydrography Dataset
     // Using WFS (Web Feature Service) to get real hydrographic data
     const wfsUrl = 'https://hydro.nationalmap.gov/arcgis/rest/services/nhd/MapServer/6/query';
     
     const params = new URLSearchParams({
-      where: "gnis_name='Ohio River'",
+      where: `gnis_name='${river.gnisName}'`,
+      // Several rivers share a name (Green River): stay inside this one's box
+      geometry: `${west},${south},${east},${north}`,
+      geometryType: 'esriGeometryEnvelope',
+      inSR: '4326',
+      spatialRel: 'esriSpatialRelIntersects',
       outFields: '*',
       returnGeometry: 'true',
-      geometryType: 'esriGeometryPolyline',
       f: 'geojson',
       outSR: '4326'
     });
@@ -101,7 +162,7 @@ export default async function handler(req, res) {
           source: 'USGS National Hydrography Dataset',
           elements: [{
             type: 'way',
-            name: 'Ohio River',
+            name: river.name,
             coordinates: allCoordinates,
             color: '#06b6d4',
             weight: 4,
@@ -124,8 +185,8 @@ export default async function handler(req, res) {
       const query = `
         [out:json][timeout:30];
         (
-          way["waterway"="river"]["name"="Ohio River"];
-          relation["waterway"="river"]["name"="Ohio River"];
+          way["waterway"="river"]["name"="${river.gnisName}"](${south},${west},${north},${east});
+          relation["waterway"="river"]["name"="${river.gnisName}"](${south},${west},${north},${east});
         );
         out geom;
       `;
@@ -140,18 +201,10 @@ export default async function handler(req, res) {
         const osmData = await osmResponse.json();
         const coordinates = [];
         
-        // Sort elements by position to maintain order
-        const sortedElements = osmData.elements.sort((a, b) => {
-          const aLat = a.geometry?.[0]?.lat || a.lat || 0;
-          const bLat = b.geometry?.[0]?.lat || b.lat || 0;
-          return bLat - aLat; // Sort north to south (Pittsburgh to Cairo)
-        });
-        
-        for (const element of sortedElements) {
-          if (element.type === 'way' && element.geometry) {
-            for (const node of element.geometry) {
-              coordinates.push([node.lat, node.lon]);
-            }
+        const ways = osmData.elements.filter((el) => el.type === 'way' && el.geometry?.length);
+        for (const geometry of orderWaysDownstream(river, ways)) {
+          for (const node of geometry) {
+            coordinates.push([node.lat, node.lon]);
           }
         }
 
@@ -162,7 +215,7 @@ export default async function handler(req, res) {
             source: 'OpenStreetMap (fallback)',
             elements: [{
               type: 'way',
-              name: 'Ohio River',
+              name: river.name,
               coordinates: coordinates,
               color: '#06b6d4',
               weight: 4,
@@ -177,7 +230,7 @@ export default async function handler(req, res) {
 
     // Final fallback: Use major navigation waypoints based on lock positions
 
-    const navigationWaypoints = [
+    const navigationWaypoints = river.id !== 'ohio' ? registryWaypoints(river) : [
     // Pittsburgh to Emsworth (Mile 0-6)
     [40.4406, -80.0195], // Pittsburgh - Point State Park
     [40.4520, -80.0450],
@@ -454,7 +507,7 @@ export default async function handler(req, res) {
       source: 'Static navigation waypoints (USGS/OSM unavailable)',
       elements: [{
         type: 'way',
-        name: 'Ohio River',
+        name: river.name,
         coordinates: navigationWaypoints,
         color: '#06b6d4',
         weight: 4,
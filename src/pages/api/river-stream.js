@@ -0,0 +1,110 @@
+/**
+ * River Live Updates API — Server-Sent Events
+ *
+ * GET /api/river-stream?sites=03277200,03255000[&units=imperial|metric|nautical]
+ *     (units as /api/river-data; `waterTemp` in observation events stays in °C)
+ *
+ * Streams `observation`, `forecast` and `hazard` events (JSON `data`, each with
+ * `site`) for the subscribed gauges: their current state on connect, then only
+ * changes. Sites must be in the station registry (src/lib/stations.js).
+ * See src/lib/riverStream.js for change detection.
+ *
+ * Serverless hosts (Netlify functions) cut long responses off, so a stream
+ * ends itself after STREAM_WINDOW_MS (RIVER_STREAM_WINDOW_MS; 0 = never, for
+ * a long-running server). The browser's EventSource reconnects after
+ * `retry` and sends back the last event id, a cursor of what it has seen, so
+ * the new stream carries on with changes only and nothing is missed or
+ * repeated between windows.
+ */
+
+import { getGauge } from "@/lib/stations";
+import { CHECK_MS, decodeCursor, diffEvents, encodeCursor, gaugeState, loadStreamPayloads } from "@/lib/riverStream";
+import { convertRiverUnits, parseUnits } from "@/lib/units";
+
+const MAX_SITES = 60;
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 2 * 1000; // reconnect delay after a window ends or the stream drops
+const STREAM_WINDOW_MS = Number(process.env.RIVER_STREAM_WINDOW_MS ?? 25 * 1000);
+
+export default function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const sites = [
+    ...new Set(
+      String(req.query.sites || "")
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean)
+    ),
+  ];
+
+  if (sites.length === 0) return res.status(400).json({ error: "Missing sites" });
+  if (sites.length > MAX_SITES) {
+    return res.status(400).json({ error: `At most ${MAX_SITES} sites per stream` });
+  }
+  const unknown = sites.filter((s) => !getGauge(s));
+  if (unknown.length) return res.status(400).json({ error: `Unknown sites: ${unknown.join(", ")}` });
+
+  const { units, error: unitsError } = parseUnits(req.query.units);
+  if (unitsError) return res.status(400).json({ error: unitsError });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    // no-transform keeps compression from buffering the stream
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const states = decodeCursor(req.headers["last-event-id"], sites);
+  let closed = false;
+  let checking = false;
+
+  async function check() {
+    if (checking || closed) return;
+    checking = true;
+    try {
+      const payloads = await loadStreamPayloads(sites);
+      const events = [];
+      for (const site of sites) {
+        const payload = payloads[site];
+        if (typeof payload?.observed !== "number") continue;
+        events.push(...diffEvents(site, states.get(site), payload));
+        states.set(site, gaugeState(payload));
+      }
+      if (closed) return;
+
+      // The cursor rides on the last event, so a reconnect resumes after all of them
+      events.forEach(([event, data], i) => {
+        const id = i === events.length - 1 ? `id: ${encodeCursor(states)}\n` : "";
+        res.write(`event: ${event}\n${id}data: ${JSON.stringify(convertRiverUnits(data, units))}\n\n`);
+      });
+    } catch (err) {
+      console.warn(`[river-stream] ${err.message}`);
+    } finally {
+      checking = false;
+    }
+  }
+
+  check();
+  const timer = setInterval(check, CHECK_MS);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  // Resolve when the stream ends so Next.js treats the response as handled
+  return new Promise((resolve) => {
+    const finish = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(timer);
+      clearInterval(heartbeat);
+      clearTimeout(windowTimer);
+      res.end();
+      resolve();
+    };
+    const windowTimer = STREAM_WINDOW_MS > 0 ? setTimeout(finish, STREAM_WINDOW_MS) : null;
+    req.on("close", finish);
+  });
+}
@@ -0,0 +1,111 @@
+/**
+ * Station Registry API — gauges and locks & dams on the Ohio and its tributaries
+ *
+ * GET /api/stations
+ *     &river=ohio|kanawha|kentucky|green|cumberland|tennessee   (default: all)
+ *     &type=gauge|lock            one type or a comma list (default: both)
+ *     &minMile=..&maxMile=..      river-mile range (each river's own mile system)
+ *     &state=KY                   two-letter state
+ *     &include=floodCategories    gauge flood categories / AHPS ids: the registry's,
+ *                                 else NWPS
+ *     &include=datum              gauge datums (gauge-zero elevation): the registry's,
+ *                                 else the USGS site record
+ *                                 (comma list for both)
+ *     &units=imperial|metric|nautical flood stages / datums in ft (default) or m
+ *
+ * Stations come back river by river, upstream ➜ downstream, with the river list
+ * (`rivers`). See src/lib/stations.js for fields.
+ * Flood categories and datums go through the shared server cache (nwps / noaa-map /
+ * usgs-site TTLs).
+ */
+
+import { findStations, getRiver, RIVERS, STATION_TYPES } from "@/lib/stations";
+import { getGaugeDatum, getGaugeFloodInfo } from "@/lib/riverData";
+import { mapWithConcurrency } from "@/lib/concurrency";
+import { trackCache } from "@/lib/serverCache";
+import { convertRiverUnits, parseUnits } from "@/lib/units";
+
+const INCLUDE_CONCURRENCY = 4;
+const INCLUDES = ["floodCategories", "datum"];
+
+function parseMile(v) {
+  if (v == null || v === "") return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+async function withIncludes(stations, includes) {
+  return mapWithConcurrency(stations, INCLUDE_CONCURRENCY, async (s) => {
+    if (s.type !== "gauge") return s;
+
+    if (includes.includes("floodCategories")) {
+      if (s.floodCategories) {
+        s = { ...s, floodStage: s.floodCategories.minor ?? null };
+      } else {
+        const info = await getGaugeFloodInfo(s);
+        s = {
+          ...s,
+          ahps: s.ahps ?? info.ahps,
+          floodStage: info.floodStage,
+          floodCategories: info.floodCategories,
+        };
+      }
+    }
+    if (includes.includes("datum")) {
+      s = { ...s, datum: await getGaugeDatum(s.id) };
+    }
+    return s;
+  });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { river, type, minMile, maxMile, state, include, units: unitsParam } = req.query;
+
+  if (river && !getRiver(river)) {
+    return res.status(400).json({ error: `river must be one of: ${RIVERS.map((r) => r.id).join(", ")}` });
+  }
+
+  const types = type ? String(type).split(",").map((t) => t.trim().toLowerCase()) : undefined;
+  if (types?.some((t) => !STATION_TYPES.includes(t))) {
+    return res.status(400).json({ error: `type must be one of: ${STATION_TYPES.join(", ")}` });
+  }
+
+  const lo = parseMile(minMile);
+  const hi = parseMile(maxMile);
+  if (Number.isNaN(lo) || Number.isNaN(hi)) {
+    return res.status(400).json({ error: "minMile/maxMile must be numbers" });
+  }
+  if (lo != null && hi != null && lo > hi) {
+    return res.status(400).json({ error: "minMile must not exceed maxMile" });
+  }
+
+  const stations = findStations({ river, type: types, minMile: lo, maxMile: hi, state });
+  const rivers = river ? [getRiver(river)] : RIVERS;
+  const includes = String(include || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (includes.some((s) => !INCLUDES.includes(s))) {
+    return res.status(400).json({ error: `include must be one or more of: ${INCLUDES.join(", ")}` });
+  }
+
+  const { units, error: unitsError } = parseUnits(unitsParam);
+  if (unitsError) return res.status(400).json({ error: unitsError });
+  const inUnits = (list) => list.map((s) => convertRiverUnits(s, units));
+
+  try {
+    if (includes.length === 0) {
+      return res.status(200).json({ rivers, units, count: stations.length, stations: inUnits(stations) });
+    }
+
+    const { value, cacheAge, stale } = await trackCache(() => withIncludes(stations, includes));
+    return res.status(200).json({ rivers, units, count: value.length, stations: inUnits(value), cacheAge, stale });
+  } catch (err) {
+    console.error("[API /stations] Failed to load station details:", err.message);
+    return res.status(500).json({ error: "Failed to load station details" });
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Trip Delay API — expected lockage delay between two river miles
+ *
+ * GET /api/trip-delay?fromMile=0&toMile=604.5
+ *     &river=ohio|kanawha|kentucky|green|cumberland|tennessee   (default: ohio)
+ *     &speed=5                    tow speed over the water in the units' speed unit
+ *                                 (mph, km/h or knots; default 5 mph)
+ *     &departure=2026-10-20T12:00:00Z   (default: now)
+ *     &units=imperial|metric|nautical   (speed in and out, notice text; default imperial)
+ *
+ * Returns each lock between the two miles in travel order (arrival time, wait,
+ * lockage, closure and total minutes, the notices in effect, and whether the
+ * lock status is live or modeled) plus trip totals, and `speed` / `speedUnit`
+ * echoed in the requested units. Locks whose status couldn't be loaded have
+ * `waitMinutes: null` and are listed in `unknownAt`; the totals leave their wait
+ * out and `confidence` drops. See src/lib/tripDelay.js.
+ */
+
+import { getRiver, RIVERS } from "@/lib/stations";
+import { trackCache } from "@/lib/serverCache";
+import { DEFAULT_TOW_SPEED_MPH, estimateTripDelay } from "@/lib/tripDelay";
+import { convertLockUnits, parseUnits, speedToMph, toSpeed, UNIT_SYSTEMS } from "@/lib/units";
+
+const MAX_SPEED_MPH = 20;
+
+function parseNumber(v) {
+  if (v == null || v === "") return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { river = "ohio", fromMile, toMile, speed, departure } = req.query;
+
+  if (!getRiver(river)) {
+    return res.status(400).json({ error: `river must be one of: ${RIVERS.map((r) => r.id).join(", ")}` });
+  }
+
+  const from = parseNumber(fromMile);
+  const to = parseNumber(toMile);
+  if (from == null || to == null || Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({
+      error: "fromMile and toMile are required numbers",
+      usage: "/api/trip-delay?fromMile=0&toMile=604.5&speed=5",
+    });
+  }
+
+  const { units, error: unitsError } = parseUnits(req.query.units);
+  if (unitsError) return res.status(400).json({ error: unitsError });
+  const speedUnit = UNIT_SYSTEMS[units].speed;
+
+  const speedIn = parseNumber(speed);
+  const speedMph = speedIn == null ? DEFAULT_TOW_SPEED_MPH : Number.isNaN(speedIn) ? NaN : speedToMph(speedIn, units);
+  if (Number.isNaN(speedMph) || speedMph <= 0 || speedMph > MAX_SPEED_MPH) {
+    const max = +toSpeed(MAX_SPEED_MPH, units).toFixed(1);
+    return res.status(400).json({ error: `speed must be a number of ${speedUnit} between 0 and ${max}` });
+  }
+
+  const departureDate = departure ? new Date(String(departure)) : new Date();
+  if (isNaN(departureDate.getTime())) {
+    return res.status(400).json({ error: "departure must be an ISO date/time" });
+  }
+
+  try {
+    const { value, cacheAge, stale } = await trackCache(() =>
+      estimateTripDelay({ river, fromMile: from, toMile: to, speedMph, departure: departureDate })
+    );
+
+    return res.status(200).json({
+      ...convertLockUnits(value, units),
+      speed: +toSpeed(speedMph, units).toFixed(1),
+      speedUnit,
+      units,
+      cacheAge,
+      stale,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (err) {
+    console.error("[API /trip-delay] Failed to estimate delay:", err.message);
+    return res.status(500).json({ error: "Failed to estimate trip delay" });
+  }
+}
@@ -1,9 +1,17 @@
 /**
  * WEATHER API — Unified format for UI
  * Uses Open-Meteo (free, no key required)
- * Returns: tempF, windSpeed, windDir, windCompass, summary
+ *
+ * GET /api/weather?lat=..&lon=..[&units=imperial|metric|nautical]
+ *
+ * Returns: tempF, temp + tempUnit and windSpeed + windUnit (in `units`, imperial by
+ * default: °F / mph), windDir, windCompass, summary, units, cacheAge, stale
  */
 
+import { cached, trackCache } from "@/lib/serverCache";
+import { upstreamFetch } from "@/lib/upstreamFetch";
+import { parseUnits, toSpeed, toTemp, UNIT_SYSTEMS } from "@/lib/units";
+
 function windDirToCompass(deg) {
   if (isNaN(deg)) return "";
   const dirs = ["N","NNE","NE","ENE","E","ESE","SE","SSE","S","SSW","SW","WSW","W","WNW","NW","NNW"];
@@ -16,12 +24,24 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: "Missing lat/lon" });
   }
 
+  const { units, error: unitsError } = parseUnits(req.query.units);
+  if (unitsError) return res.status(400).json({ error: unitsError });
+
   try {
     const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current_weather=true`;
-    const r = await fetch(url);
-    if (!r.ok) throw new Error(`Open-Meteo HTTP ${r.status}`);
+    const { value: j, cacheAge, stale } = await trackCache(() =>
+      cached(
+        `json:${url}`,
+        async () => {
+          const r = await upstreamFetch(url);
+          if (!r.ok) throw new Error(`Open-Meteo HTTP ${r.status}`);
+          return r.json();
+        },
+        { source: "open-meteo" }
+      )
+    );
+    if (!j) throw new Error("Open-Meteo unavailable");
 
-    const j = await r.json();
     const cw = j.current_weather ?? {};
 
     const tempC = cw.temperature ?? null;
@@ -36,12 +56,20 @@ export default async function handler(req, res) {
       ? `Code ${cw.weathercode}`
       : "Clear";
 
+    const round1 = (v) => (v == null ? null : +v.toFixed(1));
+
     return res.status(200).json({
       tempF,
-      windSpeed: windMph,
+      temp: round1(toTemp(tempF, units)),
+      tempUnit: UNIT_SYSTEMS[units].temp,
+      windSpeed: round1(toSpeed(windMph, units)),
+      windUnit: UNIT_SYSTEMS[units].speed,
       windDir,
       windCompass: windDirToCompass(windDir),
       summary,
+      units,
+      cacheAge,
+      stale,
     });
   } catch (err) {
 
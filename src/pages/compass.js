@@ -3,9 +3,11 @@ import Head from "next/head";
 import { useState, useEffect } from "react";
 import { DeviceCompass } from "@/components/DeviceCompass";
 import Header from "@/components/Header";
+import { useUserProfile } from "@/context/UserProfileContext";
 import { Maximize2, Minimize2 } from "lucide-react";
 
 export default function CompassPage() {
+  const { units } = useUserProfile();
   const [windData, setWindData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [userLocation, setUserLocation] = useState(null);
@@ -136,6 +138,7 @@ export default function CompassPage() {
             windDirectionDeg={windData?.windDir}
             windSpeedMph={windData?.windSpeed}
             userLocation={userLocation}
+            units={units}
             size={Math.min(typeof window !== 'undefined' ? window.innerWidth * 0.9 : 400, typeof window !== 'undefined' ? window.innerHeight * 0.75 : 400, 500)}
           />
         </main>
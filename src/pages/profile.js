@@ -15,6 +15,7 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Badge } from "@/components/ui/badge";
 import { ScrollArea } from "@/components/ui/scroll-area";
 import { Separator } from "@/components/ui/separator";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import {
   MapPin,
   Star,
@@ -26,7 +27,8 @@ import {
   Save,
   Trash2,
 } from "lucide-react";
-import { ohioRiverLocks } from "@/lib/locks";
+import { allLocks, getRiver } from "@/lib/stations";
+import { DEFAULT_UNITS, UNIT_SYSTEMS } from "@/lib/units";
 
 export default function ProfilePage() {
   const router = useRouter();
@@ -324,6 +326,29 @@ export default function ProfilePage() {
                       }
                     />
                   </div>
+                  <div className="flex items-center justify-between mt-4">
+                    <div className="space-y-0.5">
+                      <Label>Units</Label>
+                      <p className="text-sm text-muted-foreground">
+                        River levels, temperature and wind speed
+                      </p>
+                    </div>
+                    <Select
+                      value={mapPrefs?.units || DEFAULT_UNITS}
+                      onValueChange={(value) => setMapPrefs({ ...mapPrefs, units: value })}
+                    >
+                      <SelectTrigger className="w-56">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {Object.entries(UNIT_SYSTEMS).map(([key, system]) => (
+                          <SelectItem key={key} value={key}>
+                            {system.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
                 </CardContent>
               </Card>
 
@@ -352,7 +377,7 @@ export default function ProfilePage() {
                 <CardContent>
                   <ScrollArea className="h-[400px]">
                     <div className="space-y-2">
-                      {ohioRiverLocks.map((lock) => {
+                      {allLocks.map((lock) => {
                         const isFav = checkIsFavorite("locksDams", lock.id);
                         return (
                           <div
@@ -362,7 +387,7 @@ export default function ProfilePage() {
                             <div>
                               <p className="font-medium">{lock.name}</p>
                               <p className="text-sm text-muted-foreground">
-                                Mile {lock.rivermile}
+                                {getRiver(lock.river)?.name} · Mile {lock.riverMile}
                               </p>
                             </div>
                             <Button
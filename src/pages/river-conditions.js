@@ -5,50 +5,23 @@ import Header from "@/components/Header";
 import Footer from "@/components/Footer";
 import LockDamMap from "@/components/LockDamMap";
 import OhioRiverActivityMap from "@/components/OhioRiverActivityMap";
-import { ohioRiverLocks } from "@/lib/locks";
+import {
+  DEFAULT_RIVER,
+  getLockGauge,
+  getRiver,
+  getRiverGauges,
+  getRiverLocks,
+  milesDownstream,
+  RIVERS,
+} from "@/lib/stations";
+import { HAZARD_LEVELS } from "@/lib/hazard";
+import { describeQualifier } from "@/lib/usgsQualifiers";
+import { celsiusToF, formatSpeed, formatTemp, toTemp, UNIT_SYSTEMS } from "@/lib/units";
+import { useRiverStream } from "@/hooks/useRiverStream";
 import { useUserProfile } from "@/context/UserProfileContext";
 import { useAuth } from "@/context/AuthContext";
 import { updateUserLocation } from "@/lib/userProfile";
 
-/* ---------------------------------------------------
-   Station List (Ohio River full chain)
---------------------------------------------------- */
-const stations = [
-  { id: "03085152", name: "Pittsburgh, PA", lat: 40.44, lon: -79.99, riverMile: 0 },
-  { id: "03086000", name: "Dashields L&D, PA", lat: 40.52, lon: -80.2, riverMile: 6 },
-  { id: "03108500", name: "Montgomery L&D, PA", lat: 40.64, lon: -80.4, riverMile: 32 },
-  { id: "03110690", name: "New Cumberland L&D, WV", lat: 40.51, lon: -80.65, riverMile: 54 },
-  { id: "03111520", name: "Pike Island L&D, WV", lat: 40.09, lon: -80.69, riverMile: 84 },
-  { id: "03112500", name: "Wheeling, WV", lat: 40.06, lon: -80.72, riverMile: 88 },
-  { id: "03114280", name: "Hannibal L&D, OH", lat: 39.67, lon: -80.87, riverMile: 126 },
-  { id: "03150700", name: "Marietta, OH", lat: 39.42, lon: -81.46, riverMile: 175 },
-  { id: "03151000", name: "Parkersburg, WV", lat: 39.27, lon: -81.56, riverMile: 192 },
-  { id: "390707081443202", name: "Belleville L&D, WV", lat: 39.07, lon: -81.44, riverMile: 204 },
-  { id: "03159870", name: "Racine L&D, WV", lat: 38.93, lon: -82.12, riverMile: 237 },
-  { id: "03201500", name: "Point Pleasant, WV", lat: 38.84, lon: -82.13, riverMile: 252 },
-  { id: "03206000", name: "Near Huntington, WV", lat: 38.41, lon: -82.39, riverMile: 302 },
-  { id: "03216000", name: "Ashland, KY", lat: 38.47, lon: -82.63, riverMile: 314 },
-  { id: "03216600", name: "Greenup L&D, KY", lat: 38.57, lon: -82.84, riverMile: 341 },
-  { id: "03217200", name: "Portsmouth, OH", lat: 38.73, lon: -83.01, riverMile: 358 },
-  { id: "03238000", name: "Maysville, KY", lat: 38.64, lon: -83.77, riverMile: 404 },
-  { id: "03238680", name: "Meldahl L&D, OH", lat: 38.78, lon: -84.1, riverMile: 436 },
-  { id: "03255000", name: "Cincinnati, OH", lat: 39.1, lon: -84.51, riverMile: 471 },
-  { id: "03277200", name: "Markland Lower, KY", lat: 38.78, lon: -84.94, riverMile: 531 },
-  { id: "03293551", name: "McAlpine Upper, KY", lat: 38.27, lon: -85.79, riverMile: 584 },
-  { id: "03294500", name: "McAlpine Lower, KY", lat: 38.26, lon: -85.8, riverMile: 606 },
-  { id: "03303280", name: "Cannelton L&D, IN", lat: 37.91, lon: -86.75, riverMile: 720 },
-  { id: "03304300", name: "Newburgh L&D, IN", lat: 37.93, lon: -87.38, riverMile: 776 },
-  { id: "03322000", name: "Evansville, IN", lat: 37.97, lon: -87.57, riverMile: 792 },
-  { id: "03322190", name: "Henderson, KY", lat: 37.84, lon: -87.58, riverMile: 813 },
-  { id: "03380000", name: "Mt. Vernon, IN", lat: 37.82, lon: -87.88, riverMile: 823 },
-  { id: "03322420", name: "J.T. Myers L&D, KY", lat: 37.78, lon: -87.98, riverMile: 846, ahps: "UNVK2" },
-  { id: "03381700", name: "Shawneetown, IL", lat: 37.69, lon: -88.14, riverMile: 865 },
-  { id: "03384500", name: "Golconda, IL", lat: 37.36, lon: -88.48, riverMile: 918 },
-  { id: "03399800", name: "Smithland L&D, KY", lat: 37.15, lon: -88.44, riverMile: 919 },
-  { id: "03612500", name: "Metropolis, IL", lat: 37.15, lon: -88.73, riverMile: 935 },
-  { id: "07022000", name: "Cairo, IL (Mouth)", lat: 36.99, lon: -89.18, riverMile: 981 },
-];
-
 /* ---------------------------------------------------
    UTILITIES
 --------------------------------------------------- */
@@ -74,6 +47,24 @@ const formatDayShort = (ts) =>
       })
     : "";
 
+// "Thursday evening" for an hourly crest time, "Thursday" when only the day is known
+const formatCrestWhen = (crest) => {
+  if (!crest?.time) return "";
+  const d = new Date(crest.time);
+  if (isNaN(d.getTime())) return "";
+
+  const weekday = d.toLocaleDateString("en-US", { weekday: "long", timeZone: "America/Chicago" });
+  if (crest.timePrecision !== "hour") return weekday;
+
+  const hour = Number(
+    d.toLocaleString("en-US", { hour: "numeric", hour12: false, timeZone: "America/Chicago" })
+  ) % 24;
+  if (hour >= 5 && hour < 12) return `${weekday} morning`;
+  if (hour >= 12 && hour < 17) return `${weekday} afternoon`;
+  if (hour >= 17 && hour < 21) return `${weekday} evening`;
+  return `${weekday} night`;
+};
+
 /* ---------------------------------------------------
    DATE HELPERS (Chicago day bucketing)
 --------------------------------------------------- */
@@ -99,11 +90,13 @@ function toNoonChicagoISO(dayKey) {
 
 /* ---------------------------------------------------
    DAILY HIGH HISTORY (PAST DATA) - always 7 days
+   - USGS qualifier codes (q) seen that day are kept
 --------------------------------------------------- */
 function dailyHighHistory(history, days = 7) {
   if (!Array.isArray(history) || history.length === 0) return null;
 
   const byDay = new Map();
+  const qByDay = new Map();
 
   history.forEach((p) => {
     const d = new Date(p.t);
@@ -121,6 +114,7 @@ function dailyHighHistory(history, days = 7) {
 
     const prev = byDay.get(dayKey);
     if (prev == null || v > prev) byDay.set(dayKey, v);
+    if (Array.isArray(p.q)) qByDay.set(dayKey, [...new Set([...(qByDay.get(dayKey) || []), ...p.q])]);
   });
 
   return Array.from(byDay.entries())
@@ -130,6 +124,7 @@ function dailyHighHistory(history, days = 7) {
       // Noon local prevents date rollover issues
       t: `${day}T18:00:00Z`,
       v: +v.toFixed(2),
+      ...(qByDay.has(day) ? { q: qByDay.get(day) } : {}),
     }));
 }
 
@@ -199,7 +194,16 @@ function normalizeForecastSeries(payload, days = 7) {
     const tt = new Date(t);
     if (isNaN(tt.getTime())) continue;
 
-    points.push({ t: tt.toISOString(), v });
+    // optional uncertainty bounds
+    const lo = Number(p.lo ?? p.lower);
+    const hi = Number(p.hi ?? p.upper);
+
+    points.push({
+      t: tt.toISOString(),
+      v,
+      lo: Number.isFinite(lo) ? lo : null,
+      hi: Number.isFinite(hi) ? hi : null,
+    });
   }
 
   if (points.length === 0) return null;
@@ -222,11 +226,11 @@ function normalizeForecastSeries(payload, days = 7) {
     const day = chicagoDayKey(p.t);
     if (!day) continue;
     const prev = byDay.get(day);
-    if (prev == null || p.v > prev) byDay.set(day, p.v);
+    if (prev == null || p.v > prev.v) byDay.set(day, p);
   }
 
   const daily = Array.from(byDay.entries())
-    .map(([day, v]) => ({ day, v }))
+    .map(([day, p]) => ({ day, v: p.v, lo: p.lo, hi: p.hi }))
     .sort((a, b) => a.day.localeCompare(b.day));
 
   // Take the next N days (starting at today Chicago)
@@ -237,9 +241,12 @@ function normalizeForecastSeries(payload, days = 7) {
 
   const sliced = (future.length ? future : daily).slice(0, days);
 
+  // lo/hi become the Chart's min/max envelope
   const out = sliced.map((d) => ({
     t: toNoonChicagoISO(d.day),
     v: +Number(d.v).toFixed(2),
+    min: d.lo,
+    max: d.hi,
   }));
 
   return out.length ? out : null;
@@ -316,19 +323,50 @@ const getWeatherIcon = (shortForecast, precip = 0) => {
   return precip >= 50 ? "🌧" : precip >= 20 ? "☁️" : "🌤";
 };
 
-// Mapping for numeric hazardCode (0–3) coming from API
-const HAZARD_LEVELS = {
-  0: { label: "Normal", color: "#00a86b" },
-  1: { label: "Elevated", color: "#d5a000" },
-  2: { label: "Near Flood", color: "#ff8c00" },
-  3: { label: "Flooding", color: "#c63d0f" },
-};
+// Hazard bar stops when the API classified by official NWS flood categories
+const FLOOD_CATEGORY_STOPS = [
+  { code: 0, key: null, label: "Normal" },
+  { code: 1, key: "action", label: "Action" },
+  { code: 3, key: "minor", label: "Minor" },
+  { code: 4, key: "moderate", label: "Moderate" },
+  { code: 5, key: "major", label: "Major" },
+];
+
+// Selectable past-chart ranges (7d uses the standard daily-high history)
+const HISTORY_RANGE_OPTIONS = [
+  { value: "7d", label: "7D" },
+  { value: "30d", label: "30D" },
+  { value: "90d", label: "90D" },
+  { value: "1y", label: "1Y" },
+  { value: "custom", label: "Custom" },
+];
+
+// Level shown on the page: gauge stage, or water-surface elevation (stage + gauge datum)
+const LEVEL_MODE_OPTIONS = [
+  { value: "stage", label: "Stage" },
+  { value: "elevation", label: "Elevation" },
+];
+
+// Shift a stage series (v and any band fields) by the gauge-zero elevation
+const shiftLevels = (series, offset) =>
+  !offset || !Array.isArray(series)
+    ? series
+    : series.map((p) => {
+        const out = { ...p };
+        for (const k of ["v", "min", "max", "lo", "hi", "p25", "p75"]) {
+          if (typeof p[k] === "number") out[k] = p[k] + offset;
+        }
+        return out;
+      });
 
 const AQI_GRADIENT =
   "linear-gradient(to right, #3A6F3A, #9A8B2E, #A66B2C, #8B3A46, #613A8B, #7A2A3A)";
 
 /* ---------------------------------------------------
    CHART COMPONENT (kept intact + adds optional day marks/labels)
+   - xAxis="mile": points carry x (river mile) instead of t; used by the river profile
+   - flags: data-quality flags (suspect readings, gaps) marked along the top
+   - points with USGS qualifiers beyond provisional/approved get an amber code tag
 --------------------------------------------------- */
 function Chart({
   data,
@@ -340,6 +378,15 @@ function Chart({
   showDayMarks = false,
   showPointLabels = false,
   labelColor = "#00ffff",
+  normalBand = null,
+  crest = null,
+  xAxis = "time",
+  reverseX = false,
+  overlay = null,
+  overlayColor = "#facc15",
+  markers = null,
+  showDots = false,
+  flags = null,
 }) {
   if (!data || !Array.isArray(data) || data.length === 0) {
     return (
@@ -353,14 +400,27 @@ function Chart({
   }
 
   const pad = 24;
+  const byMile = xAxis === "mile";
+  const xOf = (d) => (byMile ? Number(d.x) : new Date(d.t).getTime());
+
   const pts = data
     .map((d) => ({
-      t: new Date(d.t).getTime(),
+      t: xOf(d),
       v: typeof d.v === "number" ? d.v : Number(d.v),
+      // optional per-point range (daily min–max, forecast lo–hi): drawn as a shaded band
+      min: d.min != null ? Number(d.min) : null,
+      max: d.max != null ? Number(d.max) : null,
       rawT: d.t,
+      label: d.label ?? null,
+      q: Array.isArray(d.q) ? d.q : null,
     }))
     .filter((p) => isFinite(p.t) && isFinite(p.v));
 
+  // Second series on the same axes (river profile: forecast crest), dashed
+  const overlayPts = (Array.isArray(overlay) ? overlay : [])
+    .map((d) => ({ t: xOf(d), v: Number(d.v), label: d.label ?? null }))
+    .filter((p) => Number.isFinite(p.t) && Number.isFinite(p.v));
+
   if (pts.length === 0) {
     return (
       <div
@@ -372,15 +432,37 @@ function Chart({
     );
   }
 
+  // Number.isFinite: a missing (null) min/max must not count as 0
+  const bandPts = pts.filter((p) => Number.isFinite(p.min) && Number.isFinite(p.max));
+
   const minT = Math.min(...pts.map((p) => p.t));
   const maxT = Math.max(...pts.map((p) => p.t));
   const spanT = maxT - minT || 1;
 
-  const minV = Math.min(...pts.map((p) => p.v));
-  const maxV = Math.max(...pts.map((p) => p.v));
+  // Climatology "normal" band (p25–p75) for the days on this chart
+  const normalPts = (Array.isArray(normalBand) ? normalBand : [])
+    .map((b) => ({ t: new Date(b.t).getTime(), lo: Number(b.p25), hi: Number(b.p75) }))
+    .filter((b) => isFinite(b.t) && isFinite(b.lo) && isFinite(b.hi) && b.t >= minT && b.t <= maxT)
+    .sort((a, b) => a.t - b.t);
+
+  const minV = Math.min(
+    ...pts.map((p) => p.v),
+    ...bandPts.map((p) => p.min),
+    ...normalPts.map((b) => b.lo),
+    ...overlayPts.map((p) => p.v)
+  );
+  const maxV = Math.max(
+    ...pts.map((p) => p.v),
+    ...bandPts.map((p) => p.max),
+    ...normalPts.map((b) => b.hi),
+    ...overlayPts.map((p) => p.v)
+  );
   const spanV = maxV - minV || 1;
 
-  const scaleX = (t) => pad + ((t - minT) / spanT) * (width - pad * 2);
+  const scaleX = (t) => {
+    const f = (t - minT) / spanT;
+    return pad + (reverseX ? 1 - f : f) * (width - pad * 2);
+  };
   const scaleY = (v) =>
     height - pad - ((v - minV) / spanV) * (height - pad * 2);
 
@@ -388,9 +470,70 @@ function Chart({
     .map((p, i) => `${i === 0 ? "M" : "L"} ${scaleX(p.t)} ${scaleY(p.v)}`)
     .join(" ");
 
+  const overlayD =
+    overlayPts.length > 1
+      ? overlayPts.map((p, i) => `${i === 0 ? "M" : "L"} ${scaleX(p.t)} ${scaleY(p.v)}`).join(" ")
+      : null;
+
+  // Data-quality flags inside the plotted time range
+  const flagMarks = (byMile || !Array.isArray(flags) ? [] : flags)
+    .map((f) => {
+      const start = new Date(f.t).getTime();
+      const end = f.end ? new Date(f.end).getTime() : start;
+      if (!Number.isFinite(start) || !Number.isFinite(end) || end < minT || start > maxT) return null;
+      return { ...f, x1: scaleX(Math.max(start, minT)), x2: scaleX(Math.min(end, maxT)) };
+    })
+    .filter(Boolean);
+
+  // Vertical markers (lock & dam positions) inside the x range
+  const markerXs = (Array.isArray(markers) ? markers : [])
+    .filter((m) => Number.isFinite(m.x) && m.x >= minT && m.x <= maxT)
+    .map((m) => ({ ...m, px: scaleX(m.x) }));
+
+  const bandD =
+    bandPts.length > 1
+      ? [
+          ...bandPts.map((p, i) => `${i === 0 ? "M" : "L"} ${scaleX(p.t)} ${scaleY(p.max)}`),
+          ...bandPts
+            .slice()
+            .reverse()
+            .map((p) => `L ${scaleX(p.t)} ${scaleY(p.min)}`),
+          "Z",
+        ].join(" ")
+      : null;
+
+  // A single day spans the plot width so it stays visible
+  const normalSpan =
+    normalPts.length === 1
+      ? [
+          { ...normalPts[0], t: minT },
+          { ...normalPts[0], t: maxT },
+        ]
+      : normalPts;
+
+  const normalD =
+    normalSpan.length > 1
+      ? [
+          ...normalSpan.map((b, i) => `${i === 0 ? "M" : "L"} ${scaleX(b.t)} ${scaleY(b.hi)}`),
+          ...normalSpan
+            .slice()
+            .reverse()
+            .map((b) => `L ${scaleX(b.t)} ${scaleY(b.lo)}`),
+          "Z",
+        ].join(" ")
+      : null;
+
   const floodY = floodStage != null ? scaleY(floodStage) : null;
   const midV = (minV + maxV) / 2;
 
+  // Crest marker (clamped to the plot when the crest hour is past the last point)
+  const crestT = crest?.time ? new Date(crest.time).getTime() : NaN;
+  const crestV = Number(crest?.stage);
+  const crestMark =
+    isFinite(crestT) && isFinite(crestV)
+      ? { x: scaleX(Math.min(Math.max(crestT, minT), maxT)), y: scaleY(crestV) }
+      : null;
+
   // Avoid clutter: only label when series is small (forecast usually is)
   const canLabel = pts.length <= 10;
 
@@ -420,6 +563,58 @@ function Chart({
           );
         })}
 
+      {/* data-quality flags: gaps shaded, suspect readings marked in red along the top */}
+      {flagMarks.map((f, idx) =>
+        f.type === "gap" ? (
+          <rect
+            key={`flag-${idx}`}
+            x={f.x1}
+            y={pad}
+            width={Math.max(2, f.x2 - f.x1)}
+            height={height - pad * 2}
+            fill="#94a3b8"
+            fillOpacity="0.18"
+          >
+            <title>{f.note}</title>
+          </rect>
+        ) : (
+          <g key={`flag-${idx}`}>
+            <title>{`Suspect reading: ${f.note}`}</title>
+            {f.x2 > f.x1 && (
+              <line x1={f.x1} y1={pad - 4} x2={f.x2} y2={pad - 4} stroke="#f87171" strokeWidth="2" />
+            )}
+            <path d={`M ${f.x1 - 3} ${pad - 9} L ${f.x1 + 3} ${pad - 9} L ${f.x1} ${pad - 4} Z`} fill="#f87171" />
+          </g>
+        )
+      )}
+
+      {/* vertical markers (locks & dams) with rotated labels */}
+      {markerXs.map((m, idx) => (
+        <g key={`mark-${idx}`}>
+          <line
+            x1={m.px}
+            y1={pad - 4}
+            x2={m.px}
+            y2={height - pad}
+            stroke="#94a3b8"
+            strokeOpacity="0.45"
+            strokeDasharray="1 3"
+          />
+          {m.label && (
+            <text
+              x={m.px + 2}
+              y={pad - 2}
+              fontSize="7"
+              fill="#94a3b8"
+              transform={`rotate(-90 ${m.px + 2} ${pad - 2})`}
+              textAnchor="end"
+            >
+              {m.label}
+            </text>
+          )}
+        </g>
+      ))}
+
       {/* flood stage line */}
       {floodY != null && (
         <line
@@ -432,9 +627,42 @@ function Chart({
         />
       )}
 
+      {/* normal range for these calendar days (USGS p25–p75) */}
+      {normalD && <path d={normalD} fill="#10b981" fillOpacity="0.14" stroke="none" />}
+
+      {/* daily min–max band */}
+      {bandD && <path d={bandD} fill={color} fillOpacity="0.18" stroke="none" />}
+
       {/* main path */}
       <path d={pathD} fill="none" stroke={color} strokeWidth="2" />
 
+      {/* overlay path + dots */}
+      {overlayD && <path d={overlayD} fill="none" stroke={overlayColor} strokeWidth="1.5" strokeDasharray="5 3" />}
+      {showDots &&
+        overlayPts.map((p, idx) => (
+          <circle key={`odot-${idx}`} cx={scaleX(p.t)} cy={scaleY(p.v)} r="2" fill={overlayColor}>
+            {p.label && <title>{p.label}</title>}
+          </circle>
+        ))}
+
+      {/* station dots (hover for name + value) */}
+      {showDots &&
+        pts.map((p, idx) => (
+          <circle key={`dot-${idx}`} cx={scaleX(p.t)} cy={scaleY(p.v)} r="2.6" fill={color}>
+            {p.label && <title>{p.label}</title>}
+          </circle>
+        ))}
+
+      {/* forecast crest */}
+      {crestMark && (
+        <g>
+          <circle cx={crestMark.x} cy={crestMark.y} r="5" fill="none" stroke="#facc15" strokeWidth="1.5" />
+          <text x={crestMark.x} y={Math.min(height - pad + 4, crestMark.y + 13)} fontSize="7" textAnchor="middle" fill="#facc15">
+            Crest
+          </text>
+        </g>
+      )}
+
       {/* point dots + labels */}
       {showPointLabels &&
         canLabel &&
@@ -447,9 +675,24 @@ function Chart({
           // Skip day labels for every other point when crowded (>5 points)
           const showDayLabel = pts.length <= 5 || idx % 2 === 0;
 
+          // Qualifiers worth a second look (ice, equipment, estimated, ...)
+          const notable = (p.q || []).map((c) => describeQualifier(c)).filter((q) => q.severity !== "ok" && q.severity !== "info");
+
           return (
             <g key={`pt-${idx}`}>
               <circle cx={x} cy={y} r="2.6" fill={labelColor} />
+              {notable.length > 0 && (
+                <text
+                  x={x}
+                  y={Math.min(height - pad + 12, y + 11)}
+                  fontSize="6.5"
+                  textAnchor="middle"
+                  fill={notable.some((q) => q.severity === "warning") ? "#f87171" : "#fbbf24"}
+                >
+                  <title>{notable.map((q) => q.label).join(", ")}</title>
+                  {notable.map((q) => q.code).join(" ")}
+                </text>
+              )}
               {/* value label */}
               <text
                 x={x}
@@ -487,33 +730,64 @@ function Chart({
       <text x={pad} y={height - pad - 2} fontSize="8" fill="#aaa">
         {minV.toFixed(1)}
       </text>
+
+      {/* river-mile axis ends */}
+      {byMile && (
+        <>
+          <text x={scaleX(minT)} y={height - 6} fontSize="8" textAnchor="middle" fill="#aaa">
+            RM {Math.round(minT)}
+          </text>
+          <text x={scaleX(maxT)} y={height - 6} fontSize="8" textAnchor="middle" fill="#aaa">
+            RM {Math.round(maxT)}
+          </text>
+        </>
+      )}
     </svg>
   );
 }
 
 /* ---------------------------------------------------
-   HAZARD BAR (0–3 like your AQI bar, with marker)
+   HAZARD BAR (like your AQI bar, with marker)
+   - NWS flood categories when the gauge publishes them
+   - Otherwise the 0–3 percent-of-flood-stage scale
+   - "Live" badge while updates stream in (/api/river-stream)
 --------------------------------------------------- */
-function RiverHazardBar({ hazardCode }) {
+function RiverHazardBar({ hazardCode, hazardLabel, hazardBasis, floodCategories, unit = "ft", live = false }) {
   const code =
-    typeof hazardCode === "number" && hazardCode >= 0 && hazardCode <= 3
+    typeof hazardCode === "number" && hazardCode >= 0 && hazardCode <= 5
       ? hazardCode
       : 0;
 
-  const stops = [
-    { code: 0, label: "Normal", color: HAZARD_LEVELS[0].color },
-    { code: 1, label: "Elevated", color: HAZARD_LEVELS[1].color },
-    { code: 2, label: "Near Flood", color: HAZARD_LEVELS[2].color },
-    { code: 3, label: "Flooding", color: HAZARD_LEVELS[3].color },
-  ];
-
-  const pct = (code / 3) * 100;
+  const stops =
+    hazardBasis === "nws-categories"
+      ? FLOOD_CATEGORY_STOPS.map((s) => {
+          const stage = s.key ? floodCategories?.[s.key] : null;
+          return {
+            code: s.code,
+            label: typeof stage === "number" ? `${s.label} ${stage} ${unit}` : s.label,
+            color: HAZARD_LEVELS[s.code].color,
+          };
+        })
+      : [0, 1, 2, 3].map((c) => ({ code: c, label: HAZARD_LEVELS[c].label, color: HAZARD_LEVELS[c].color }));
+
+  const idx = Math.max(0, stops.findIndex((s) => s.code === Math.min(code, stops[stops.length - 1].code)));
+  const pct = (idx / (stops.length - 1)) * 100;
 
   return (
     <div className="w-full px-4 pt-3">
       <div className="flex items-center justify-between text-[10px] text-white/70 mb-1">
-        <span className="font-semibold text-white/80">River Danger Level</span>
-        <span>{HAZARD_LEVELS[code]?.label ?? "Normal"}</span>
+        <span className="font-semibold text-white/80">
+          River Danger Level
+          {hazardBasis === "nws-categories" && (
+            <span className="ml-1 font-normal text-white/50">(NWS flood categories)</span>
+          )}
+          {live && (
+            <span className="ml-2 font-normal text-emerald-300" title="Updates stream in without reloading">
+              ● Live
+            </span>
+          )}
+        </span>
+        <span>{hazardLabel || HAZARD_LEVELS[code]?.label || "Normal"}</span>
       </div>
 
       <div className="relative h-2 w-full overflow-hidden rounded-full border border-white/20">
@@ -548,8 +822,9 @@ function RiverHazardBar({ hazardCode }) {
    RIVER DANGER + TREND INDICATOR
    - Fixes "↑ steady" by using a right-arrow base and rotating it.
    - Colors the "Code X" text to match hazard level color.
+   - Shows the latest reading's USGS qualifiers (provisional, ice-affected, ...).
 --------------------------------------------------- */
-function RiverLevelIndicator({ history, hazardCode }) {
+function RiverLevelIndicator({ history, hazardCode, hazardLabel, qualifiers = null }) {
   let trend = "steady";
   let rotation = 0;
 
@@ -578,11 +853,11 @@ function RiverLevelIndicator({ history, hazardCode }) {
   }
 
   const safeCode =
-    typeof hazardCode === "number" && hazardCode >= 0 && hazardCode <= 3
+    typeof hazardCode === "number" && hazardCode >= 0 && hazardCode <= 5
       ? hazardCode
       : 0;
 
-  const label = HAZARD_LEVELS[safeCode]?.label || "Normal";
+  const label = hazardLabel || HAZARD_LEVELS[safeCode]?.label || "Normal";
   const codeColor = HAZARD_LEVELS[safeCode]?.color || "#ffffff";
 
   return (
@@ -605,6 +880,22 @@ function RiverLevelIndicator({ history, hazardCode }) {
           <span className="capitalize">{trend}</span>
         </span>
       </div>
+      {qualifiers?.latest?.length > 0 && (
+        <span
+          className={`text-[10px] ${
+            qualifiers.status === "warning"
+              ? "text-red-300"
+              : qualifiers.status === "caution"
+              ? "text-amber-300"
+              : "text-white/60"
+          }`}
+          title={`USGS qualifiers, last 7 days: ${qualifiers.codes
+            .map((q) => `${q.label} (${q.count})`)
+            .join(", ")}`}
+        >
+          Reading: {qualifiers.latest.map((q) => q.label).join(", ")}
+        </span>
+      )}
     </div>
   );
 }
@@ -674,13 +965,236 @@ function AirQualityScale({ aqi }) {
   );
 }
 
+/* ---------------------------------------------------
+   RIVER PROFILE (longitudinal view)
+   - Every gauge on the river plotted against river mile, upstream ➜ downstream
+   - Percent of flood stage (default), stage, or water-surface elevation
+     (stage + gauge datum; gauges without a datum are left out)
+   - Dashed line: forecast crest at each gauge; dotted verticals: locks & dams
+--------------------------------------------------- */
+const lockShortName = (name) => String(name || "").replace(/\s+(L&D|Locks? (and|&) Dam)$/i, "");
+
+function RiverProfile({ river, stations, locks, selectedId, onStationSelect, units }) {
+  const [batch, setBatch] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [mode, setMode] = useState("percent"); // "percent" | "stage" | "elevation"
+  const lengthUnit = (UNIT_SYSTEMS[units] || UNIT_SYSTEMS.imperial).length;
+
+  useEffect(() => {
+    if (!Array.isArray(stations) || stations.length === 0) return;
+    let cancelled = false;
+
+    (async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const res = await fetch("/api/river-data-batch", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            stations: stations.map((s) => ({ site: s.id, ahps: s.ahps, lat: s.lat, lon: s.lon })),
+            units,
+          }),
+        });
+        if (!res.ok) throw new Error(`Batch request failed (${res.status})`);
+        const json = await res.json();
+        if (!cancelled) setBatch(json?.stations || {});
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [stations, units]);
+
+  const profile = useMemo(() => {
+    const rows = stations
+      .filter((s) => typeof s.riverMile === "number")
+      .map((s) => {
+        const d = batch?.[s.id];
+        const fs = typeof d?.floodStage === "number" && d.floodStage > 0 ? d.floodStage : null;
+        const stage = typeof d?.observed === "number" ? d.observed : null;
+        const crestStage = typeof d?.crest?.stage === "number" ? d.crest.stage : null;
+        const datum = d?.datum?.elevationM ?? d?.datum?.elevationFt;
+        const datumOffset = typeof datum === "number" ? datum : null;
+        return {
+          station: s,
+          stage,
+          floodStage: fs,
+          crest: d?.crest ?? null,
+          crestStage,
+          pct: stage != null && fs ? (stage / fs) * 100 : null,
+          crestPct: crestStage != null && fs ? (crestStage / fs) * 100 : null,
+          elevation: stage != null && datumOffset != null ? stage + datumOffset : null,
+          crestElevation: crestStage != null && datumOffset != null ? crestStage + datumOffset : null,
+        };
+      })
+      .sort((a, b) => a.station.riverMile - b.station.riverMile);
+
+    const value = (r) => (mode === "percent" ? r.pct : mode === "elevation" ? r.elevation : r.stage);
+    const crestValue = (r) =>
+      mode === "percent" ? r.crestPct : mode === "elevation" ? r.crestElevation : r.crestStage;
+    const fmt = (v) => (mode === "percent" ? `${v.toFixed(0)}% of flood` : `${v.toFixed(1)} ${lengthUnit}`);
+
+    const observed = rows
+      .filter((r) => value(r) != null)
+      .map((r) => ({
+        x: r.station.riverMile,
+        v: +value(r).toFixed(mode === "percent" ? 0 : 2),
+        label: `${r.station.name} · RM ${r.station.riverMile}: ${fmt(value(r))}`,
+      }));
+
+    const crest = rows
+      .filter((r) => crestValue(r) != null)
+      .map((r) => ({
+        x: r.station.riverMile,
+        v: +crestValue(r).toFixed(mode === "percent" ? 0 : 2),
+        label: `${r.station.name} crest ${fmt(crestValue(r))}${r.crest?.time ? ` — ${formatCrestWhen(r.crest)}` : ""}`,
+      }));
+
+    const withPct = rows.filter((r) => r.pct != null);
+    const highest = withPct.length ? withPct.reduce((a, b) => (b.pct > a.pct ? b : a)) : null;
+    const withCrestPct = rows.filter((r) => r.crestPct != null);
+    const peakCrest = withCrestPct.length ? withCrestPct.reduce((a, b) => (b.crestPct > a.crestPct ? b : a)) : null;
+
+    return { rows, observed, crest, highest, peakCrest };
+  }, [batch, stations, mode, lengthUnit]);
+
+  const markers = useMemo(
+    () =>
+      (locks || [])
+        .filter((l) => typeof l.riverMile === "number")
+        .map((l) => ({ x: l.riverMile, label: lockShortName(l.name) })),
+    [locks]
+  );
+
+  // Downstream on the right: Ohio miles count down from Pittsburgh, tributary miles up from the mouth
+  const reverseX = river?.milesIncrease === "upstream";
+
+  return (
+    <section className="w-full bg-slate-900 text-white px-4 py-4" style={{ minHeight: 500 }}>
+      <div className="max-w-6xl mx-auto">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <div>
+            <div className="text-sm font-semibold">{river?.name} Profile</div>
+            <div className="text-[11px] text-white/60">
+              Current {mode === "percent" ? "percent of flood stage" : mode === "elevation" ? "water-surface elevation" : "stage"} at each gauge by river mile, upstream ➜
+              downstream. Dashed: forecast crest. Dotted: locks &amp; dams.
+            </div>
+          </div>
+          <div className="flex items-center gap-1 text-xs">
+            {[
+              { key: "percent", label: "% of flood" },
+              { key: "stage", label: `Stage (${lengthUnit})` },
+              { key: "elevation", label: `Elevation (${lengthUnit})` },
+            ].map((m) => (
+              <button
+                key={m.key}
+                onClick={() => setMode(m.key)}
+                className={`px-2 py-1 rounded border ${
+                  mode === m.key
+                    ? "border-cyan-400 bg-cyan-500/20 text-cyan-100"
+                    : "border-white/20 text-white/70 hover:border-cyan-500"
+                }`}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {loading && !batch && (
+          <div className="flex items-center gap-2 text-xs text-white/70 py-10 justify-center">
+            <Loader2 className="w-4 h-4 animate-spin" /> Loading gauges…
+          </div>
+        )}
+        {error && <div className="text-xs text-red-300 py-2">Could not load river profile: {error}</div>}
+
+        {batch && (
+          <>
+            {profile.observed.length >= 2 ? (
+              <div className="w-full overflow-x-auto">
+                <Chart
+                  data={profile.observed}
+                  overlay={profile.crest}
+                  markers={markers}
+                  floodStage={mode === "percent" ? 100 : null}
+                  unit={mode === "percent" ? "%" : lengthUnit}
+                  width={960}
+                  height={320}
+                  color="#22d3ee"
+                  xAxis="mile"
+                  reverseX={reverseX}
+                  showDots
+                />
+              </div>
+            ) : (
+              <div className="text-xs text-white/60 py-10 text-center">
+                Not enough gauges reporting{" "}
+                {mode === "percent" ? "with a flood stage " : mode === "elevation" ? "with a known datum " : ""}to draw a
+                profile.
+              </div>
+            )}
+
+            <div className="mt-2 flex flex-wrap gap-x-6 gap-y-1 text-[11px] text-white/70">
+              {profile.highest && (
+                <span>
+                  Highest now: <strong className="text-white">{profile.highest.station.name}</strong> (RM{" "}
+                  {profile.highest.station.riverMile}) at {profile.highest.pct.toFixed(0)}% of flood stage
+                </span>
+              )}
+              {profile.peakCrest && (
+                <span>
+                  Peak forecast crest: <strong className="text-white">{profile.peakCrest.station.name}</strong> at{" "}
+                  {profile.peakCrest.crestPct.toFixed(0)}% of flood stage
+                  {profile.peakCrest.crest?.time ? ` — ${formatCrestWhen(profile.peakCrest.crest)}` : ""}
+                </span>
+              )}
+            </div>
+
+            {/* Gauge list, upstream ➜ downstream; click to select */}
+            <div className="mt-3 grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-1 text-[11px]">
+              {(reverseX ? [...profile.rows].reverse() : profile.rows).map((r) => (
+                <button
+                  key={r.station.id}
+                  onClick={() => onStationSelect?.(r.station)}
+                  className={`text-left px-2 py-1 rounded border ${
+                    r.station.id === selectedId ? "border-cyan-400 bg-cyan-500/10" : "border-white/10 hover:border-cyan-500/60"
+                  }`}
+                >
+                  <div className="truncate text-white/90">{r.station.name}</div>
+                  <div className="text-white/60">
+                    RM {r.station.riverMile} · {r.stage != null ? `${r.stage.toFixed(1)} ${lengthUnit}` : "—"}
+                    {r.pct != null ? ` · ${r.pct.toFixed(0)}%` : ""}
+                  </div>
+                </button>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
+
 /* ---------------------------------------------------
    MAIN COMPONENT
 --------------------------------------------------- */
 export default function RiverConditions() {
-  const defaultStation = stations.find((s) => s.id === "03322420") ?? stations[0];
+  // Stations and locks of the selected river (Ohio or a tributary), from the station registry
+  const [riverId, setRiverId] = useState(DEFAULT_RIVER);
+  const river = getRiver(riverId);
+  const stations = useMemo(() => getRiverGauges(riverId), [riverId]);
+  const riverLocks = useMemo(() => getRiverLocks(riverId), [riverId]);
 
-  const { profile, saveMapPreferences, updateCachedRiverData, updateCachedForecast, toggleFavorite } = useUserProfile();
+  const defaultStation = stations.find((s) => s.id === river.defaultGaugeId) ?? stations[0];
+
+  const { profile, saveMapPreferences, updateCachedRiverData, updateCachedForecast, toggleFavorite, units } = useUserProfile();
   const { user } = useAuth();
 
   const [selected, setSelected] = useState(defaultStation);
@@ -694,8 +1208,10 @@ export default function RiverConditions() {
   const [loadingLocation, setLoadingLocation] = useState(false);
   const [userLocation, setUserLocation] = useState(null); // Track user location for map
   const [userCityState, setUserCityState] = useState(null); // User's city and state
-  const [mapType, setMapType] = useState("lock"); // "marine", "lock", or "topo"
+  const [mapType, setMapType] = useState("lock"); // "marine", "lock", "topo", "dark", or "profile"
   const [showLockActivityDropdown, setShowLockActivityDropdown] = useState(false);
+  const [historyRange, setHistoryRange] = useState({ range: "7d", start: "", end: "" });
+  const [levelMode, setLevelMode] = useState("stage"); // "stage" | "elevation"
 
   const [wxLoc, setWxLoc] = useState({
     lat: defaultStation.lat,
@@ -712,30 +1228,43 @@ export default function RiverConditions() {
   // Avoid race conditions between station changes / refresh
   const riverReqIdRef = useRef(0);
 
+  // Latest history range and units for the auto-refresh timer
+  const historyRangeRef = useRef(historyRange);
+  historyRangeRef.current = historyRange;
+  const unitsRef = useRef(units);
+  unitsRef.current = units;
+
   // Track if we've loaded saved preferences to avoid redundant effects
   const preferencesLoadedRef = useRef(false);
 
+  /* -------------------- LIVE UPDATES (SSE) -------------------- */
+  // Every gauge on the river streams to the map; the selected one also updates
+  // the danger bar, level indicator and charts in place
+  const [liveStations, setLiveStations] = useState({}); // station id -> latest streamed fields
+  const selectedIdRef = useRef(selected?.id);
+  selectedIdRef.current = selected?.id;
+  const streamSites = useMemo(() => stations.map((s) => s.id), [stations]);
+
+  const { connected: streamConnected } = useRiverStream(streamSites, (type, event) => {
+    const { site, previousHazardCode, ...fields } = event;
+    setLiveStations((prev) => ({ ...prev, [site]: { ...prev[site], ...fields } }));
+    if (site !== selectedIdRef.current) return;
+
+    setData((prev) => {
+      if (!prev) return prev;
+      const next = { ...prev, ...fields };
+      lastGoodRiverRef.current = next;
+      return next;
+    });
+  }, units);
+
   /* -------------------- HELPER: Find matching station for a dam -------------------- */
   // When a lock/dam is clicked, find the best matching station
-  // Priority: 1) Name match (L&D stations), 2) Nearest by distance
+  // Priority: 1) The lock's paired gauge (station registry), 2) Nearest by distance
   const findStationForDam = (dam) => {
-    // First, try to find a station with a matching name (for L&D stations with gauges)
-    // Normalize names for comparison (remove spaces, punctuation, case-insensitive)
-    const normalizeName = (name) => 
-      name.toLowerCase().replace(/[^a-z0-9]/g, '');
-    
-    const damNameNorm = normalizeName(dam.name);
-    
-    // Look for an exact name match first
-    const nameMatch = stations.find(s => {
-      const stationNameNorm = normalizeName(s.name);
-      return stationNameNorm === damNameNorm || 
-             stationNameNorm.includes(damNameNorm) ||
-             damNameNorm.includes(stationNameNorm);
-    });
-    
-    if (nameMatch) {
-      return nameMatch;
+    const paired = getLockGauge(dam);
+    if (paired) {
+      return paired;
     }
     
     // Fallback: find nearest station by distance
@@ -746,6 +1275,24 @@ export default function RiverConditions() {
     });
   };
 
+  /* -------------------- HELPER: Switch rivers -------------------- */
+  // Picking a river (top bar or map) moves to that river's default gauge
+  const selectRiver = (nextRiverId) => {
+    const next = getRiver(nextRiverId);
+    if (!next || next.id === riverId) return;
+
+    const gauges = getRiverGauges(next.id);
+    const st = gauges.find((s) => s.id === next.defaultGaugeId) ?? gauges[0];
+
+    setRiverId(next.id);
+    setSelectedDam(null);
+    if (st) {
+      setSelected(st);
+      setWxLoc({ lat: st.lat, lon: st.lon });
+      setMapCenter({ lat: st.lat, lon: st.lon });
+    }
+  };
+
   /* -------------------- DATA LOADERS -------------------- */
 
   async function loadRiver(stationOrId, { silent = false } = {}) {
@@ -770,11 +1317,25 @@ export default function RiverConditions() {
       // IMPORTANT:
       // Pass lat/lon so the API can auto-discover nearest AHPS/NWPS gauge
       // for stations that don't have explicit .ahps mapping.
-      const qs = new URLSearchParams({ site, _: String(Date.now()) });
+      const qs = new URLSearchParams({ site, units: unitsRef.current, _: String(Date.now()) });
       if (ahps) qs.set("ahps", ahps);
       if (lat != null) qs.set("lat", String(lat));
       if (lon != null) qs.set("lon", String(lon));
 
+      const hr = historyRangeRef.current;
+      if (hr.range !== "7d") {
+        if (hr.range === "custom") {
+          // Wait until both dates are picked
+          if (hr.start && hr.end) {
+            qs.set("range", "custom");
+            qs.set("start", hr.start);
+            qs.set("end", hr.end);
+          }
+        } else {
+          qs.set("range", hr.range);
+        }
+      }
+
       const res = await fetch(`/api/river-data?${qs.toString()}`);
       if (!res.ok) throw new Error("River API error");
       const json = await res.json();
@@ -1020,17 +1581,17 @@ export default function RiverConditions() {
     if (selected) {
       loadRiver(selected);
     }
-  }, [selected]); // Only run when selected changes
+  }, [selected, historyRange, units]); // Reload when station, history range or units change
 
-  // Auto-refresh river data every 60 seconds
-  // FIXED: Add proper dependency array and cleanup
+  // Auto-refresh river data: every 60 seconds while the live stream is down,
+  // every 30 minutes while it's up (climatology, skill and ranges aren't streamed)
   useEffect(() => {
     if (!selected) return;
     const t = setInterval(() => {
       loadRiver(selected, { silent: true });
-    }, 60_000);
+    }, streamConnected ? 30 * 60_000 : 60_000);
     return () => clearInterval(t);
-  }, [selected]); // Only recreate timer when selected changes
+  }, [selected, streamConnected]); // Recreate timer when station or stream state changes
 
   // Load weather and AQI when location changes
   // FIXED: Add proper dependency array
@@ -1143,16 +1704,14 @@ export default function RiverConditions() {
 
     // If we have river miles, find which lock the user is upstream of
     if (typeof nearest.riverMile === "number") {
-      // Get user's approximate river mile by comparing to nearest lock
-      const userRiverMile = nearest.riverMile;
-      
-      // Find all locks that are downstream (higher river mile) from user's position
+      // Find all locks that are downstream from user's position (higher river mile
+      // on the Ohio, lower on tributaries, whose miles count up from the mouth)
       const downstreamLocks = locks
         .filter((lock) => 
           typeof lock?.riverMile === "number" && 
-          lock.riverMile >= userRiverMile
+          milesDownstream(nearest, lock) >= 0
         )
-        .sort((a, b) => a.riverMile - b.riverMile);
+        .sort((a, b) => milesDownstream(nearest, a) - milesDownstream(nearest, b));
       
       // Return the closest downstream lock (could be the nearest if user is very close)
       if (downstreamLocks.length > 0) {
@@ -1283,7 +1842,7 @@ export default function RiverConditions() {
                 'Expires': '0'
               }
             }),
-            fetch(`/api/river-outline?t=${Date.now()}`, { cache: 'no-store' })
+            fetch(`/api/river-outline?river=${riverId}&t=${Date.now()}`, { cache: 'no-store' })
           ]);
           
           // Process geocode response
@@ -1329,7 +1888,7 @@ export default function RiverConditions() {
         const downstreamLock = findDownstreamLock(
           snappedLocation.lat,
           snappedLocation.lon,
-          ohioRiverLocks
+          riverLocks
         );
 
         if (downstreamLock) {
@@ -1429,7 +1988,7 @@ export default function RiverConditions() {
   );
 
   const hazardCode = useMemo(() => 
-    typeof data?.hazardCode === "number" && data.hazardCode >= 0 && data.hazardCode <= 3
+    typeof data?.hazardCode === "number" && data.hazardCode >= 0 && data.hazardCode <= 5
       ? data.hazardCode
       : 0,
     [data?.hazardCode]
@@ -1456,9 +2015,38 @@ export default function RiverConditions() {
   // ✅ Past 7 days (daily highs) - memoized
   const past7Series = useMemo(() => dailyHighHistory(data?.history, 7), [data?.history]);
 
+  // Long-range daily mean with min–max band when a longer range is selected
+  const rangeSeries = useMemo(() => {
+    const pts = data?.rangeHistory?.points;
+    if (historyRange.range === "7d" || !Array.isArray(pts) || pts.length === 0) return null;
+    return pts.map((p) => ({ t: p.t, v: p.mean, min: p.min, max: p.max }));
+  }, [data?.rangeHistory, historyRange.range]);
+
   // ✅ Forecast 7 days (daily highs), tolerate many API formats - memoized
   const predictionSeries = useMemo(() => normalizeForecastSeries(data, 7), [data]);
 
+  // Elevation mode adds the gauge datum to everything charted; stage when the datum is unknown
+  const datumElevation = data?.datum?.elevationM ?? data?.datum?.elevationFt;
+  const datumOffset = typeof datumElevation === "number" ? datumElevation : null;
+  const stageUnit = data?.unit || UNIT_SYSTEMS[units].length;
+  const levelOffset = levelMode === "elevation" && datumOffset != null ? datumOffset : 0;
+  const levelUnit = levelOffset ? `${stageUnit} ${data?.datum?.vertical || ""}`.trim() : stageUnit;
+  const fmtLevel = (v, digits = 1) => `${(v + levelOffset).toFixed(digits)} ${levelUnit}`;
+
+  const levelCharts = useMemo(
+    () => ({
+      past: shiftLevels(rangeSeries ?? past7Series, levelOffset),
+      forecast: shiftLevels(predictionSeries, levelOffset),
+      normalBand: shiftLevels(data?.climatology?.band, levelOffset),
+      floodStage: typeof data?.floodStage === "number" ? data.floodStage + levelOffset : data?.floodStage,
+      crest:
+        data?.crest && typeof data.crest.stage === "number"
+          ? { ...data.crest, stage: data.crest.stage + levelOffset }
+          : data?.crest,
+    }),
+    [rangeSeries, past7Series, predictionSeries, data?.climatology?.band, data?.floodStage, data?.crest, levelOffset]
+  );
+
   // “Official NOAA Forecast” badge when NWPS is used
   const forecastSource = String(data?.forecastSource ?? data?.forecast_source ?? "").toLowerCase();
   const forecastType = useMemo(() => 
@@ -1507,12 +2095,33 @@ export default function RiverConditions() {
 
       {/* TOP BAR */}
       <section className="shadow-md bg-slate-900/95 backdrop-blur">
-        <RiverHazardBar hazardCode={hazardCode} />
+        <RiverHazardBar
+          hazardCode={hazardCode}
+          hazardLabel={hazardLabel}
+          hazardBasis={data?.hazardBasis}
+          floodCategories={data?.floodCategories}
+          unit={data?.unit}
+          live={streamConnected}
+        />
 
         <div className="max-w-6xl mx-auto px-4 py-1.5">
           <div className="flex flex-col lg:flex-row items-stretch justify-between gap-4">
-            {/* LEFT: Station selector */}
+            {/* LEFT: River + station selector */}
             <div className="flex-1 min-w-[220px]">
+              <div className="flex items-center gap-2 mt-1">
+                <label className="text-sm">River:</label>
+                <select
+                  value={riverId}
+                  onChange={(e) => selectRiver(e.target.value)}
+                  className="px-3 py-1 text-black rounded bg-white"
+                >
+                  {RIVERS.map((r) => (
+                    <option key={r.id} value={r.id}>
+                      {r.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
               <div className="flex items-center gap-2 mt-1">
                 <label className="text-sm">Station:</label>
                 <select
@@ -1572,10 +2181,50 @@ export default function RiverConditions() {
 
                 <p className="text-sm">
                   {typeof data?.observed === "number" 
-                    ? `${data.observed.toFixed(2)} ft` 
+                    ? fmtLevel(data.observed, 2)
                     : "Loading…"}
                   {data?.time ? ` at ${formatLocal(data.time)}` : ""}
+                  {data?.qualityFlags?.latestSuspect && (
+                    <span
+                      className="ml-1 text-[10px] text-amber-300"
+                      title="This reading failed the sensor checks (sudden jump or stuck value). Trend and forecast use the last good reading."
+                    >
+                      (suspect reading)
+                    </span>
+                  )}
                 </p>
+                {data?.stale && (
+                  <p
+                    className="text-[10px] text-amber-300"
+                    title={`Upstream source${data.staleSources?.length === 1 ? "" : "s"} unavailable: ${(data.staleSources || []).join(", ")}`}
+                  >
+                    Some sources are down; showing cached data up to {Math.max(1, Math.round((data.cacheAge || 0) / 60))} min old
+                  </p>
+                )}
+                {data?.climatology?.observedClassLabel && (
+                  <p
+                    className="text-xs text-white/70"
+                    title={
+                      data.climatology.periodOfRecord
+                        ? `USGS daily statistics, ${data.climatology.periodOfRecord.beginYear}–${data.climatology.periodOfRecord.endYear}. Shaded band on charts is the normal (25th–75th percentile) range.`
+                        : "USGS daily statistics"
+                    }
+                  >
+                    {data.climatology.observedClassLabel} for {formatDayShort(data.time || new Date().toISOString())}
+                    {data.climatology.observedPercentile != null && ` (${data.climatology.observedPercentile}th pct)`}
+                    {data.climatology.today?.p25 != null && data.climatology.today?.p75 != null &&
+                      ` · normal ${data.climatology.today.p25.toFixed(1)}–${data.climatology.today.p75.toFixed(1)} ${stageUnit}`}
+                  </p>
+                )}
+                {(data?.discharge?.observed != null || data?.waterTemp?.observed != null) && (
+                  <p className="text-xs text-white/70">
+                    {data?.discharge?.observed != null &&
+                      `Flow: ${Math.round(data.discharge.observed).toLocaleString("en-US")} ${data.discharge.unit === "m3/s" ? "m³/s" : "cfs"}`}
+                    {data?.discharge?.observed != null && data?.waterTemp?.observed != null && " · "}
+                    {data?.waterTemp?.observed != null &&
+                      `Water: ${formatTemp(celsiusToF(data.waterTemp.observed), units)}`}
+                  </p>
+                )}
                 {selectedDam && (
                   <p className="text-xs text-white/70 mt-0.5">
                     Lock & Dam at River Mile {selectedDam.riverMile}
@@ -1587,9 +2236,37 @@ export default function RiverConditions() {
             {/* CENTER: Flood stage, river danger, find me info */}
             <div className="flex-1 flex flex-col items-center justify-center text-center">
               <p className="text-xs text-white/80">
-                Flood Stage: {hasFloodStage ? `${Number(data.floodStage).toFixed(1)} ft` : "N/A"}
+                Flood Stage: {hasFloodStage ? fmtLevel(Number(data.floodStage)) : "N/A"}
               </p>
-              <RiverLevelIndicator history={data?.history} hazardCode={hazardCode} />
+              <div className="flex items-center gap-1 mt-1">
+                {LEVEL_MODE_OPTIONS.map((opt) => (
+                  <button
+                    key={opt.value}
+                    onClick={() => setLevelMode(opt.value)}
+                    disabled={opt.value === "elevation" && datumOffset == null}
+                    title={
+                      opt.value === "elevation"
+                        ? datumOffset == null
+                          ? "Gauge datum not available for this station"
+                          : `Water-surface elevation: stage + gauge zero at ${datumOffset.toFixed(2)} ${stageUnit}${data.datum.vertical ? ` ${data.datum.vertical}` : ""}`
+                        : "Height above the gauge's own zero"
+                    }
+                    className={`text-[10px] px-1.5 py-0.5 rounded border disabled:opacity-40 disabled:cursor-not-allowed ${
+                      levelMode === opt.value
+                        ? "border-cyan-400 bg-cyan-600/30 text-cyan-100"
+                        : "border-white/20 text-white/60 hover:border-cyan-500/60"
+                    }`}
+                  >
+                    {opt.label}
+                  </button>
+                ))}
+              </div>
+              <RiverLevelIndicator
+                history={data?.history}
+                hazardCode={hazardCode}
+                hazardLabel={hazardLabel}
+                qualifiers={data?.qualifiers}
+              />
               {findMeInfo && (
                 <div className="mt-2 text-xs text-white/70">
                   <div className="flex items-center gap-2">
@@ -1619,7 +2296,11 @@ export default function RiverConditions() {
                   {confidence && (
                     <span
                       className="text-[10px] text-white/70 cursor-help"
-                      title="Confidence is provided by NOAA/NWPS metadata when available. If missing, NOAA did not publish a confidence flag for this gauge/issuance."
+                      title={
+                        data?.forecastMeta?.skill?.usable
+                          ? `Confidence from measured skill at this gauge: ${data.forecastMeta.skill.shortRangeMae} ${stageUnit} mean error over days 1–3 (${data.forecastMeta.skill.forecasts} verified forecasts).`
+                          : "Confidence is provided by NOAA/NWPS metadata when available. If missing, NOAA did not publish a confidence flag for this gauge/issuance."
+                      }
                     >
                       Confidence: <span className="text-white/90">{String(confidence)}</span>
                     </span>
@@ -1631,20 +2312,75 @@ export default function RiverConditions() {
             {/* RIGHT: charts */}
             <div className="flex-shrink-0">
               <div className="flex flex-col sm:flex-row gap-3 items-center lg:items-start">
-                <Chart
-                  data={past7Series}
-                  floodStage={data?.floodStage}
-                  unit={data?.unit}
-                  color="#00ffff"
-                  showDayMarks={true}
-                  showPointLabels={true}
-                  labelColor="#00ffff"
-                />
+                <div className="flex flex-col items-center">
+                  <Chart
+                    data={levelCharts.past}
+                    flags={data?.qualityFlags?.flags}
+                    normalBand={levelCharts.normalBand}
+                    floodStage={levelCharts.floodStage}
+                    unit={data?.unit}
+                    color="#00ffff"
+                    showDayMarks={true}
+                    showPointLabels={true}
+                    labelColor="#00ffff"
+                  />
+                  <div className="flex items-center gap-1 mt-1">
+                    {HISTORY_RANGE_OPTIONS.map((opt) => (
+                      <button
+                        key={opt.value}
+                        onClick={() => setHistoryRange((prev) => ({ ...prev, range: opt.value }))}
+                        className={`text-[10px] px-1.5 py-0.5 rounded border ${
+                          historyRange.range === opt.value
+                            ? "border-cyan-400 bg-cyan-600/30 text-cyan-100"
+                            : "border-white/20 text-white/60 hover:border-cyan-500/60"
+                        }`}
+                      >
+                        {opt.label}
+                      </button>
+                    ))}
+                  </div>
+                  {historyRange.range === "custom" && (
+                    <div className="flex items-center gap-1 mt-1 text-[10px]">
+                      <input
+                        type="date"
+                        value={historyRange.start}
+                        onChange={(e) => setHistoryRange((prev) => ({ ...prev, start: e.target.value }))}
+                        className="px-1 py-0.5 text-black rounded bg-white"
+                      />
+                      <span className="text-white/60">to</span>
+                      <input
+                        type="date"
+                        value={historyRange.end}
+                        onChange={(e) => setHistoryRange((prev) => ({ ...prev, end: e.target.value }))}
+                        className="px-1 py-0.5 text-black rounded bg-white"
+                      />
+                    </div>
+                  )}
+                  {rangeSeries && (
+                    <p className="text-[10px] mt-1 text-white/60" title={data?.rangeHistory?.source || ""}>
+                      Daily mean with min–max band
+                    </p>
+                  )}
+                  {(data?.qualityFlags?.suspect > 0 || data?.qualityFlags?.gaps > 0) && (
+                    <p
+                      className="text-[10px] mt-1 text-amber-300 max-w-[240px] text-center cursor-help"
+                      title={data.qualityFlags.flags.map((f) => `${formatLocal(f.t)}: ${f.note}`).join("\n")}
+                    >
+                      {data.qualityFlags.suspect > 0 &&
+                        `⚠ ${data.qualityFlags.suspect} suspect reading${data.qualityFlags.suspect === 1 ? "" : "s"} excluded`}
+                      {data.qualityFlags.suspect > 0 && data.qualityFlags.gaps > 0 && " · "}
+                      {data.qualityFlags.gaps > 0 &&
+                        `${data.qualityFlags.gaps} data gap${data.qualityFlags.gaps === 1 ? "" : "s"}`}
+                    </p>
+                  )}
+                </div>
                 <div className="flex flex-col items-center">
                   {predictionSeries ? (
                     <Chart
-                      data={predictionSeries}
-                      floodStage={data?.floodStage}
+                      data={levelCharts.forecast}
+                      crest={data?.crest?.status === "falling" ? null : levelCharts.crest}
+                      normalBand={levelCharts.normalBand}
+                      floodStage={levelCharts.floodStage}
                       unit={data?.unit}
                       color="#00ffff"
                       showDayMarks={true}
@@ -1660,15 +2396,60 @@ export default function RiverConditions() {
                     </div>
                   )}
 
+                  {predictionSeries && data?.crest && (
+                    <p
+                      className="text-xs mt-1 font-semibold text-center"
+                      style={{ color: data.crest.floodCategory && data.crest.floodCategory !== "none" ? "#facc15" : undefined }}
+                      title={
+                        data.crest.floodCategoryLabel
+                          ? `Forecast crest category: ${data.crest.floodCategoryLabel}`
+                          : data.crest.aboveFloodStage
+                          ? "Forecast crest is above flood stage"
+                          : undefined
+                      }
+                    >
+                      {data.crest.status === "falling"
+                        ? "Falling — no crest in the forecast window"
+                        : data.crest.status === "rising"
+                        ? `Still rising: ${fmtLevel(data.crest.stage)} by ${formatCrestWhen(data.crest)}`
+                        : `Cresting at ${fmtLevel(data.crest.stage)} ${formatCrestWhen(data.crest)}`}
+                      {data.crest.status !== "falling" &&
+                        data.crest.floodCategoryLabel &&
+                        data.crest.floodCategory !== "none" &&
+                        ` (${data.crest.floodCategoryLabel})`}
+                      {data.crest.status !== "falling" &&
+                        data.crest.lo != null &&
+                        data.crest.hi != null &&
+                        ` · likely ${(data.crest.lo + levelOffset).toFixed(1)}–${fmtLevel(data.crest.hi)}`}
+                    </p>
+                  )}
+
+                  {predictionSeries?.some((p) => p.min != null && p.max != null) && (
+                    <p
+                      className="text-[10px] mt-1 text-white/60 text-center"
+                      title={
+                        data?.forecastMeta?.uncertainty?.basis === "measured-skill"
+                          ? "Band width comes from this gauge's verified forecast errors by lead day."
+                          : "Band width comes from recent day-to-day variability and grows with lead time."
+                      }
+                    >
+                      Shaded band: likely range (80%)
+                    </p>
+                  )}
+
                   <p
                     className="text-[10px] mt-1 text-white/60 cursor-help text-center"
-                    title={forecastType === "Projected" 
+                    title={projectionMethod === "upstream-routing"
+                      ? data?.forecastMeta?.coverageNote || "Upstream gauge rises shifted by river-mile travel time."
+                      : forecastType === "Projected" 
                       ? (projectionMethod === 'regression72h'
                           ? "Regression-based projection using last 72h of river levels with slope damping. NOAA forecasts will be used when available."
                           : "Trend-based projection using recent daily highs. NOAA forecasts will be used when available.")
                       : "Observed data availability varies by gauge. Some NOAA/USGS stations only publish recent data. Charts show the most recent verified observations available."}
                   >
-                    {forecastType === "Projected" 
+                    {projectionMethod === "upstream-routing"
+                      ? "ℹ Routed from upstream gauges (NOAA unavailable)"
+                      : forecastType === "Projected" 
                       ? (projectionMethod === 'regression72h' ? "ℹ Regression projection (NOAA unavailable)" : "ℹ Trend projection (NOAA unavailable)")
                       : "ℹ Observed data availability varies by gauge"}
                   </p>
@@ -1679,19 +2460,37 @@ export default function RiverConditions() {
         </div>
       </section>
 
-      {/* MAP - Marine Traffic, River Activity, Topography, or Dark Theme based on mapType */}
+      {/* MAP - Marine Traffic, River Profile, River Activity, Topography, or Dark Theme based on mapType */}
       {mapType === "marine" ? (
         <iframe src={mapSrc} width="100%" height="500" frameBorder="0" className="border-none" title="Marine Traffic Map" />
+      ) : mapType === "profile" ? (
+        <RiverProfile
+          river={river}
+          stations={stations}
+          locks={riverLocks}
+          selectedId={selected?.id}
+          units={units}
+          onStationSelect={(station) => {
+            setSelected(station);
+            setSelectedDam(null);
+            setWxLoc({ lat: station.lat, lon: station.lon });
+            setMapCenter({ lat: station.lat, lon: station.lon });
+          }}
+        />
       ) : mapType === "topo" ? (
         <OhioRiverActivityMap 
-          locks={ohioRiverLocks}
+          river={riverId}
+          onRiverChange={selectRiver}
+          locks={riverLocks}
           stations={stations}
+          liveData={liveStations}
+          units={units}
           selectedLockId={selectedDam?.id || selected?.id}
           userLocation={userLocation}
           onLockSelect={(id) => {
             // Determine if clicked item is a station or dam
             const station = stations.find(s => s.id === id);
-            const dam = ohioRiverLocks.find(l => l.id === id);
+            const dam = riverLocks.find(l => l.id === id);
             
             if (station) {
               setSelected(station);
@@ -1711,14 +2510,18 @@ export default function RiverConditions() {
         />
       ) : mapType === "dark" ? (
         <OhioRiverActivityMap 
-          locks={ohioRiverLocks}
+          river={riverId}
+          onRiverChange={selectRiver}
+          locks={riverLocks}
           stations={stations}
+          liveData={liveStations}
+          units={units}
           selectedLockId={selectedDam?.id || selected?.id}
           userLocation={userLocation}
           onLockSelect={(id) => {
             // Determine if clicked item is a station or dam
             const station = stations.find(s => s.id === id);
-            const dam = ohioRiverLocks.find(l => l.id === id);
+            const dam = riverLocks.find(l => l.id === id);
             
             if (station) {
               setSelected(station);
@@ -1738,14 +2541,18 @@ export default function RiverConditions() {
         />
       ) : (
         <OhioRiverActivityMap 
-          locks={ohioRiverLocks}
+          river={riverId}
+          onRiverChange={selectRiver}
+          locks={riverLocks}
           stations={stations}
+          liveData={liveStations}
+          units={units}
           selectedLockId={selectedDam?.id || selected?.id}
           userLocation={userLocation}
           onLockSelect={(id) => {
             // Determine if clicked item is a station or dam
             const station = stations.find(s => s.id === id);
-            const dam = ohioRiverLocks.find(l => l.id === id);
+            const dam = riverLocks.find(l => l.id === id);
             
             if (station) {
               setSelected(station);
@@ -1787,6 +2594,7 @@ export default function RiverConditions() {
                 <option value="topo">⛰️ Topography</option>
                 <option value="dark">🌙 Dark</option>
                 <option value="marine">🗺️ Marine Traffic</option>
+                <option value="profile">📈 River Profile</option>
               </select>
 
               {/* Lock Activity Dropdown Toggle */}
@@ -1816,17 +2624,17 @@ export default function RiverConditions() {
                   </p>
                   <div className="flex items-start gap-3">
                     <div className="flex flex-col">
-                      <p>🌡 {weather.tempF.toFixed(1)}°F</p>
+                      <p>🌡 {formatTemp(weather.tempF, units)}</p>
                       {weather.tempHighF && weather.tempLowF && (
                         <p className="text-xs opacity-75" style={{ marginLeft: '1.25rem' }}>
-                          H: {weather.tempHighF.toFixed(0)}° L: {weather.tempLowF.toFixed(0)}°
+                          H: {toTemp(weather.tempHighF, units).toFixed(0)}° L: {toTemp(weather.tempLowF, units).toFixed(0)}°
                         </p>
                       )}
                     </div>
                     <div className="flex flex-col">
-                      <p>💨 {weather.windMph.toFixed(1)} mph</p>
+                      <p>💨 {formatSpeed(weather.windMph, units)}</p>
                       <p className="text-xs opacity-75" style={{ marginLeft: '1.25rem' }}>
-                        {weather.windGustHighMph.toFixed(1)} mph
+                        {formatSpeed(weather.windGustHighMph, units)}
                       </p>
                     </div>
                   </div>
@@ -1871,7 +2679,7 @@ export default function RiverConditions() {
         {/* Lock Activity Dropdown Panel */}
         {showLockActivityDropdown && (
           <div className="max-w-6xl mx-auto px-4 py-3 border-t border-white/10">
-            <LockDamMap />
+            <LockDamMap river={riverId} units={units} />
           </div>
         )}
 
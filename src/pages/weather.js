@@ -1,6 +1,8 @@
 import { useEffect, useState } from "react";
 import Header from "@/components/Header";
 import Footer from "@/components/Footer";
+import { useUserProfile } from "@/context/UserProfileContext";
+import { formatSpeed, formatTemp, toSpeed, UNIT_SYSTEMS } from "@/lib/units";
 
 /* --------------------------------------------------
    Helpers
@@ -80,6 +82,7 @@ function formatTime(iso) {
 -------------------------------------------------- */
 
 export default function Weather() {
+  const { units } = useUserProfile();
   const [coords, setCoords] = useState({ lat: 37.77, lon: -87.57 });
   const [weather, setWeather] = useState(null);
   const [forecast, setForecast] = useState(null);
@@ -163,6 +166,9 @@ export default function Weather() {
   const windKnots =
     windMph != null ? windMph / 1.151 : null;
 
+  // Temperatures show the preferred scale with the other one alongside
+  const otherTemp = (f) => formatTemp(f, UNIT_SYSTEMS[units].temp === "°C" ? "imperial" : "metric");
+
   const hiF =
     forecast && forecast.highC != null
       ? forecast.highC * 9 / 5 + 32
@@ -224,13 +230,13 @@ export default function Weather() {
             {!loading && weather && tempF != null && windMph != null && (
               <>
                 <span>
-                  🌡 <strong>{tempF.toFixed(1)}°F</strong>{" "}
-                  ({weather.tempC.toFixed(1)}°C)
+                  🌡 <strong>{formatTemp(tempF, units)}</strong>{" "}
+                  ({otherTemp(tempF)})
                 </span>
                 <span>
                   💨 {windDirText}{" "}
-                  {windMph.toFixed(1)} mph
-                  {windKnots != null &&
+                  {formatSpeed(windMph, units)}
+                  {units === "imperial" && windKnots != null &&
                     ` (${windKnots.toFixed(1)} kts)`}
                 </span>
                 <span>☁ {weather.summary}</span>
@@ -254,18 +260,18 @@ export default function Weather() {
               <>
                 <span>
                   🔺 High{" "}
-                  <strong>{hiF.toFixed(1)}°F</strong>{" "}
-                  ({forecast.highC.toFixed(1)}°C)
+                  <strong>{formatTemp(hiF, units)}</strong>{" "}
+                  ({otherTemp(hiF)})
                 </span>
                 <span>
                   🔻 Low{" "}
-                  <strong>{loF.toFixed(1)}°F</strong>{" "}
-                  ({forecast.lowC.toFixed(1)}°C)
+                  <strong>{formatTemp(loF, units)}</strong>{" "}
+                  ({otherTemp(loF)})
                 </span>
                 {loWindMph != null && hiWindMph != null && (
                   <span>
                     💨 {avgDirText}{" "}
-                    {loWindMph.toFixed(1)}–{hiWindMph.toFixed(1)} mph
+                    {toSpeed(loWindMph, units).toFixed(1)}–{formatSpeed(hiWindMph, units)}
                   </span>
                 )}
                 <span>
@@ -0,0 +1,10 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { defineConfig } from "vitest/config";
+
+const src = path.join(path.dirname(fileURLToPath(import.meta.url)), "src");
+
+export default defineConfig({
+  resolve: { alias: { "@": src } },
+  test: { include: ["src/**/*.test.js"], environment: "node" },
+});